@@ -0,0 +1,207 @@
+const Account = require('../models/Account');
+const Transaction = require('../models/Transaction');
+const Reconciliation = require('../models/Reconciliation');
+const { validationResult } = require('express-validator');
+
+const ACCOUNT_FIELDS = ['name', 'kind', 'currency', 'institution', 'openingBalance', 'archived'];
+
+const buildAccountData = (body) => {
+  const data = {};
+  for (const field of ACCOUNT_FIELDS) {
+    if (body[field] !== undefined) data[field] = body[field];
+  }
+  return data;
+};
+
+const nameTaken = (req, name, excludeId) => Account.exists({
+  organizationId: req.organization.id,
+  name: name.trim(),
+  ...(excludeId && { _id: { $ne: excludeId } })
+});
+
+// @desc    Get accounts
+// @route   GET /api/accounts
+// @access  Private
+const getAccounts = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const filter = { organizationId: req.organization.id };
+    if (req.query.includeArchived !== 'true') filter.archived = false;
+
+    const accounts = await Account.find(filter).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: { accounts }
+    });
+  } catch (error) {
+    console.error('Get accounts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching accounts'
+    });
+  }
+};
+
+// @desc    Create an account
+// @route   POST /api/accounts
+// @access  Private (treasurer)
+const createAccount = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (await nameTaken(req, req.body.name)) {
+      return res.status(400).json({
+        success: false,
+        message: 'An account with this name already exists'
+      });
+    }
+
+    const account = await Account.create({
+      currency: req.organization.baseCurrency,
+      ...buildAccountData(req.body),
+      organizationId: req.organization.id,
+      createdBy: req.user.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Account created successfully',
+      data: { account }
+    });
+  } catch (error) {
+    console.error('Create account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating account'
+    });
+  }
+};
+
+// @desc    Update an account
+// @route   PATCH /api/accounts/:id
+// @access  Private (treasurer)
+const updateAccount = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const account = await Account.findOne({ _id: req.params.id, organizationId: req.organization.id });
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    if (req.body.name && await nameTaken(req, req.body.name, account._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'An account with this name already exists'
+      });
+    }
+
+    // Reconciled balances are in the account currency and the opening balance
+    // is where they start from
+    const changesBalance = ['currency', 'openingBalance']
+      .some(field => req.body[field] !== undefined && req.body[field] !== account[field]);
+    if (changesBalance && await Reconciliation.exists({ accountId: account._id })) {
+      return res.status(400).json({
+        success: false,
+        message: 'The currency and opening balance cannot change once the account has been reconciled'
+      });
+    }
+
+    account.set(buildAccountData(req.body));
+    await account.save();
+
+    res.json({
+      success: true,
+      message: 'Account updated successfully',
+      data: { account }
+    });
+  } catch (error) {
+    console.error('Update account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating account'
+    });
+  }
+};
+
+// @desc    Delete an account without transactions
+// @route   DELETE /api/accounts/:id
+// @access  Private (treasurer)
+const deleteAccount = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const account = await Account.findOne({ _id: req.params.id, organizationId: req.organization.id });
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    // Trashed transactions count too, they can still be restored
+    const inUse = await Transaction.exists({ organizationId: req.organization.id, accountId: account._id })
+      .setOptions({ withDeleted: true })
+      || await Reconciliation.exists({ accountId: account._id });
+
+    if (inUse) {
+      return res.status(400).json({
+        success: false,
+        message: 'This account has transactions or reconciliations; archive it instead'
+      });
+    }
+
+    await account.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Account deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting account'
+    });
+  }
+};
+
+module.exports = {
+  getAccounts,
+  createAccount,
+  updateAccount,
+  deleteAccount
+};
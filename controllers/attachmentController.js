@@ -0,0 +1,194 @@
+const Attachment = require('../models/Attachment');
+const Transaction = require('../models/Transaction');
+const { validationResult } = require('express-validator');
+const { storeAttachment, openAttachment, removeAttachments } = require('../utils/attachments');
+
+const findTransaction = (req) => Transaction.findOne({ _id: req.params.id, organizationId: req.organization.id });
+
+const findAttachment = (req) => Attachment.findOne({
+  _id: req.params.attachmentId,
+  transactionId: req.params.id,
+  organizationId: req.organization.id
+});
+
+// @desc    Get the attachments of a transaction
+// @route   GET /api/transactions/:id/attachments
+// @access  Private
+const getAttachments = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const transaction = await findTransaction(req);
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    const attachments = await Attachment.find({ organizationId: req.organization.id, transactionId: transaction._id })
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: { attachments }
+    });
+  } catch (error) {
+    console.error('Get attachments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching attachments'
+    });
+  }
+};
+
+// @desc    Attach a file to a transaction
+// @route   POST /api/transactions/:id/attachments
+// @access  Private (treasurer)
+const addAttachment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const transaction = await findTransaction(req);
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    const { attachment, duplicates } = await storeAttachment(transaction, req.file, req.user.userId);
+
+    // The same receipt on another transaction may mean an expense was recorded twice
+    res.status(201).json({
+      success: true,
+      message: duplicates.length
+        ? `Attachment uploaded; the same file is attached to ${duplicates.length} other transaction(s)`
+        : 'Attachment uploaded successfully',
+      data: { attachment, duplicates }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => ({ path: err.path, msg: err.message }))
+      });
+    }
+
+    console.error('Add attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while uploading attachment'
+    });
+  }
+};
+
+// @desc    Download an attachment
+// @route   GET /api/transactions/:id/attachments/:attachmentId
+// @access  Private
+const downloadAttachment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Attachments of trashed transactions stay hidden until they are restored
+    const transaction = await findTransaction(req);
+    const attachment = transaction && await findAttachment(req);
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    const stream = openAttachment(attachment);
+    stream.on('error', (error) => {
+      if (res.headersSent) return res.destroy(error);
+
+      const missing = error.code === 'ENOENT';
+      if (!missing) console.error('Download attachment error:', error);
+      res.status(missing ? 404 : 500).json({
+        success: false,
+        message: missing ? 'Attachment file is missing from storage' : 'Server error while downloading attachment'
+      });
+    });
+
+    res.attachment(attachment.filename);
+    res.setHeader('Content-Type', attachment.mimeType);
+    res.setHeader('Content-Length', attachment.size);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while downloading attachment'
+    });
+  }
+};
+
+// @desc    Delete an attachment and its file
+// @route   DELETE /api/transactions/:id/attachments/:attachmentId
+// @access  Private (treasurer)
+const deleteAttachment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const transaction = await findTransaction(req);
+    const attachment = transaction && await findAttachment(req);
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    await removeAttachments({ _id: attachment._id });
+
+    res.json({
+      success: true,
+      message: 'Attachment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting attachment'
+    });
+  }
+};
+
+module.exports = {
+  getAttachments,
+  addAttachment,
+  downloadAttachment,
+  deleteAttachment
+};
@@ -1,11 +1,36 @@
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
 const { validationResult } = require('express-validator');
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  hashToken,
+  issueAuthToken,
+  consumeAuthToken,
+  attemptAuthToken,
+  revokeAuthTokens
+} = require('../utils/tokens');
+const { ensurePersonalOrganization } = require('../utils/organizations');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/authEmails');
+const {
+  generateSecret,
+  matchStep,
+  buildEnrollment,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  organizationsRequiringTwoFactor
+} = require('../utils/twoFactor');
 
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
-  });
+// Wrong codes allowed per login challenge before the password is asked again
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+const requireVerifiedEmail = () => process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+// Mail is sent without holding up the response; a failure is only logged,
+// and the user can ask for another email
+const sendInBackground = (send, user) => {
+  send(user).catch(err => console.error(`Email to user ${user._id} error:`, err));
 };
 
 exports.register = async (req, res) => {
@@ -23,12 +48,25 @@ exports.register = async (req, res) => {
     }
 
     const user = await User.create({ username, email, password });
-    const token = generateToken(user._id);
+    await ensurePersonalOrganization(user);
+    sendInBackground(sendVerificationEmail, user);
+
+    // Like login, no session until the address is verified
+    if (requireVerifiedEmail()) {
+      return res.status(201).json({
+        success: true,
+        user,
+        emailVerificationRequired: true,
+        message: 'Verify your email address before logging in'
+      });
+    }
+
+    const tokens = await createSession(user._id, req);
 
     res.status(201).json({
       success: true,
       user,
-      token
+      ...tokens
     });
   } catch (err) {
     res.status(500).json({ success: false, message: 'Server error' });
@@ -43,11 +81,420 @@ exports.login = async (req, res) => {
     if (!user || !(await user.comparePassword(password))) {
       return res.status(401).json({ success: false, message: 'Invalid email or password' });
     }
+    if (requireVerifiedEmail() && !user.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Verify your email address before logging in'
+      });
+    }
+
+    // The password alone only earns a challenge to exchange at /login/2fa
+    if (user.twoFactor.enabled) {
+      const { token, expiresAt } = await issueAuthToken(user, 'two-factor-login');
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: token,
+        challengeExpiresAt: expiresAt
+      });
+    }
+
+    const tokens = await createSession(user._id, req);
+
+    res.json({ success: true, user, ...tokens });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+exports.refresh = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const { tokens, reused } = await rotateRefreshToken(req.body.refreshToken, req);
+
+    if (reused) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token reuse detected, the session has been revoked'
+      });
+    }
+    if (!tokens) {
+      return res.status(401).json({ success: false, message: 'Invalid or expired refresh token' });
+    }
+
+    res.json({ success: true, ...tokens });
+  } catch (err) {
+    console.error('Refresh token error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+exports.logout = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    await revokeSession({ tokenHash: hashToken(req.body.refreshToken) }, 'logout');
+
+    res.json({ success: true, message: 'Logged out' });
+  } catch (err) {
+    console.error('Logout error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+exports.logoutAll = async (req, res) => {
+  try {
+    const result = await revokeSession({ userId: req.user.userId }, 'logout-all');
+
+    res.json({
+      success: true,
+      message: 'Logged out of all sessions',
+      revokedSessions: result.modifiedCount
+    });
+  } catch (err) {
+    console.error('Logout all error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+exports.changePassword = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const { currentPassword, newPassword } = req.body;
+
+  try {
+    const user = await User.findById(req.user.userId).select('+password');
+    if (!user || !(await user.comparePassword(currentPassword))) {
+      return res.status(401).json({ success: false, message: 'Current password is incorrect' });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Every existing session ends; the caller gets a fresh one
+    await revokeSession({ userId: user._id }, 'password-change');
+    await revokeAuthTokens(user._id, 'password-reset');
+    const tokens = await createSession(user._id, req, { twoFactorVerified: req.user.twoFactorVerified });
+
+    res.json({ success: true, message: 'Password changed', ...tokens });
+  } catch (err) {
+    console.error('Change password error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+exports.verifyEmail = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const record = await consumeAuthToken(req.body.token, 'email-verification');
+    const user = record && await User.findById(record.userId);
+
+    // A token sent to an earlier address does not verify the current one
+    if (!user || user.email !== record.email) {
+      return res.status(400).json({ success: false, message: 'Verification link is invalid or has expired' });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    res.json({ success: true, message: 'Email verified', user });
+  } catch (err) {
+    console.error('Verify email error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// The reply is the same whether or not the address belongs to an account
+exports.resendVerification = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findOne({ email: req.body.email });
+    if (user && !user.emailVerified) sendInBackground(sendVerificationEmail, user);
+
+    res.json({
+      success: true,
+      message: 'If that address belongs to an unverified account, a verification email is on its way'
+    });
+  } catch (err) {
+    console.error('Resend verification error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// The reply is the same whether or not the address belongs to an account
+exports.forgotPassword = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findOne({ email: req.body.email });
+    if (user) sendInBackground(sendPasswordResetEmail, user);
+
+    res.json({
+      success: true,
+      message: 'If that address belongs to an account, a password reset email is on its way'
+    });
+  } catch (err) {
+    console.error('Forgot password error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+exports.resetPassword = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const record = await consumeAuthToken(req.body.token, 'password-reset');
+    const user = record && await User.findById(record.userId);
+    if (!user) {
+      return res.status(400).json({ success: false, message: 'Reset link is invalid or has expired' });
+    }
+
+    user.password = req.body.password;
+    // Opening the link proves the address works
+    if (!user.emailVerified && user.email === record.email) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // Saving the password rejects access tokens issued before now; end the
+    // sessions too so their refresh tokens cannot mint new ones
+    await revokeSession({ userId: user._id }, 'password-reset');
+
+    res.json({ success: true, message: 'Password reset, log in with the new password' });
+  } catch (err) {
+    console.error('Reset password error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+exports.loginTwoFactor = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  try {
+    const challenge = await attemptAuthToken(challengeToken, 'two-factor-login', MAX_CHALLENGE_ATTEMPTS);
+    if (!challenge) {
+      return res.status(401).json({ success: false, message: 'Login challenge is invalid or has expired, log in again' });
+    }
+
+    const user = await User.findById(challenge.userId).select('+twoFactor.secret');
+    const method = user && await verifySecondFactor(user, { code, recoveryCode });
+    if (!method) {
+      return res.status(401).json({ success: false, message: 'Invalid two-factor code' });
+    }
 
-    const token = generateToken(user._id);
+    // Another request may have spent the challenge in the meantime
+    if (!(await consumeAuthToken(challengeToken, 'two-factor-login'))) {
+      return res.status(401).json({ success: false, message: 'Login challenge is invalid or has expired, log in again' });
+    }
+
+    const tokens = await createSession(user._id, req, { twoFactorVerified: true });
+
+    res.json({ success: true, user, ...tokens });
+  } catch (err) {
+    console.error('Two-factor login error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+exports.getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('+twoFactor.recoveryCodes');
+
+    res.json({
+      success: true,
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      recoveryCodesLeft: (user.twoFactor.recoveryCodes || []).filter(record => !record.usedAt).length,
+      sessionVerified: req.user.twoFactorVerified
+    });
+  } catch (err) {
+    console.error('Two-factor status error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Starting again replaces a secret that was never confirmed
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+
+    res.json({
+      success: true,
+      message: 'Add the secret to an authenticator app, then confirm with a code',
+      ...(await buildEnrollment(secret, user.email))
+    });
+  } catch (err) {
+    console.error('Two-factor setup error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
 
-    res.json({ success: true, user, token });
+exports.enableTwoFactor = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findById(req.user.userId).select('+twoFactor.pendingSecret');
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ success: false, message: 'Start two-factor setup first' });
+    }
+
+    const step = matchStep(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ success: false, message: 'Invalid two-factor code' });
+    }
+
+    const { codes, records } = generateRecoveryCodes();
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.enabled': { $ne: true }, 'twoFactor.pendingSecret': user.twoFactor.pendingSecret },
+      {
+        $set: {
+          'twoFactor.enabled': true,
+          'twoFactor.enabledAt': new Date(),
+          'twoFactor.secret': user.twoFactor.pendingSecret,
+          'twoFactor.lastUsedStep': step,
+          'twoFactor.recoveryCodes': records
+        },
+        $unset: { 'twoFactor.pendingSecret': 1 }
+      }
+    );
+    if (!result.modifiedCount) {
+      return res.status(409).json({ success: false, message: 'Two-factor setup changed, start again' });
+    }
+
+    // Confirming a code proves the factor for this session too
+    await Session.updateOne({ _id: req.user.sessionId }, { $set: { twoFactorVerified: true } });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled; keep the recovery codes, they are not shown again',
+      recoveryCodes: codes
+    });
+  } catch (err) {
+    console.error('Two-factor enable error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+exports.disableTwoFactor = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const { password, code, recoveryCode } = req.body;
+
+  try {
+    const user = await User.findById(req.user.userId).select('+password +twoFactor.secret');
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+    }
+    if (!(await user.comparePassword(password))) {
+      return res.status(401).json({ success: false, message: 'Password is incorrect' });
+    }
+
+    const requiring = await organizationsRequiringTwoFactor(user._id);
+    if (requiring.length) {
+      return res.status(400).json({
+        success: false,
+        message: `Two-factor authentication is required by: ${requiring.map(org => org.name).join(', ')}`
+      });
+    }
+
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      return res.status(401).json({ success: false, message: 'Invalid two-factor code' });
+    }
+
+    await User.updateOne({ _id: user._id }, {
+      $set: { 'twoFactor.enabled': false },
+      $unset: {
+        'twoFactor.enabledAt': 1,
+        'twoFactor.secret': 1,
+        'twoFactor.pendingSecret': 1,
+        'twoFactor.lastUsedStep': 1,
+        'twoFactor.recoveryCodes': 1
+      }
+    });
+    await Session.updateMany({ userId: user._id }, { $set: { twoFactorVerified: false } });
+    await revokeAuthTokens(user._id, 'two-factor-login');
+
+    res.json({ success: true, message: 'Two-factor authentication disabled' });
+  } catch (err) {
+    console.error('Two-factor disable error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// The new codes replace every earlier one, used or not
+exports.regenerateRecoveryCodes = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findById(req.user.userId).select('+twoFactor.secret');
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+    }
+    if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+      return res.status(401).json({ success: false, message: 'Invalid two-factor code' });
+    }
+
+    const { codes, records } = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.recoveryCodes': records } });
+
+    res.json({
+      success: true,
+      message: 'Recovery codes replaced; keep them, they are not shown again',
+      recoveryCodes: codes
+    });
   } catch (err) {
+    console.error('Recovery codes error:', err);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 };
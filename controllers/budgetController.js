@@ -0,0 +1,210 @@
+const Budget = require('../models/Budget');
+const { validationResult } = require('express-validator');
+const { buildBudgetReport } = require('../utils/budget');
+
+// @desc    Get all budgets
+// @route   GET /api/budgets
+// @access  Private
+const getBudgets = async (req, res) => {
+  try {
+    const budgets = await Budget.find({ organizationId: req.organization.id })
+      .sort({ period: 1, category: 1 });
+
+    res.json({
+      success: true,
+      data: { budgets }
+    });
+  } catch (error) {
+    console.error('Get budgets error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching budgets'
+    });
+  }
+};
+
+// @desc    Create a budget for a category and period
+// @route   POST /api/budgets
+// @access  Private
+const createBudget = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { category, amount, period, rollover, alertThreshold, notes } = req.body;
+
+    const exists = await Budget.findOne({
+      organizationId: req.organization.id,
+      category: category.trim(),
+      period: period || 'monthly'
+    });
+    if (exists) {
+      return res.status(400).json({
+        success: false,
+        message: 'A budget for this category and period already exists'
+      });
+    }
+
+    const budget = await Budget.create({
+      organizationId: req.organization.id,
+      userId: req.user.userId,
+      category: category.trim(),
+      amount: parseFloat(amount),
+      period,
+      rollover,
+      alertThreshold: alertThreshold !== undefined ? parseFloat(alertThreshold) : undefined,
+      notes
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Budget created successfully',
+      data: { budget }
+    });
+  } catch (error) {
+    console.error('Create budget error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating budget'
+    });
+  }
+};
+
+// @desc    Update a budget
+// @route   PATCH /api/budgets/:id
+// @access  Private
+const updateBudget = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const updateData = {};
+    const { amount, rollover, alertThreshold, notes } = req.body;
+
+    if (amount) updateData.amount = parseFloat(amount);
+    if (rollover) updateData.rollover = rollover;
+    if (alertThreshold) updateData.alertThreshold = parseFloat(alertThreshold);
+    if (notes !== undefined) updateData.notes = notes;
+
+    const budget = await Budget.findOneAndUpdate(
+      { _id: req.params.id, organizationId: req.organization.id },
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    if (!budget) {
+      return res.status(404).json({
+        success: false,
+        message: 'Budget not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Budget updated successfully',
+      data: { budget }
+    });
+  } catch (error) {
+    console.error('Update budget error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating budget'
+    });
+  }
+};
+
+// @desc    Delete a budget
+// @route   DELETE /api/budgets/:id
+// @access  Private
+const deleteBudget = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const budget = await Budget.findOneAndDelete({
+      _id: req.params.id,
+      organizationId: req.organization.id
+    });
+
+    if (!budget) {
+      return res.status(404).json({
+        success: false,
+        message: 'Budget not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Budget deleted successfully',
+      data: { budget }
+    });
+  } catch (error) {
+    console.error('Delete budget error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting budget'
+    });
+  }
+};
+
+// @desc    Get budget-vs-actual report for the periods containing a date
+// @route   GET /api/budgets/report
+// @access  Private
+const getBudgetReport = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    const report = await buildBudgetReport(req.organization.id, date);
+
+    res.json({
+      success: true,
+      data: {
+        date,
+        budgets: report,
+        totalBudgeted: report.reduce((sum, row) => sum + row.available, 0),
+        totalSpent: report.reduce((sum, row) => sum + row.spent, 0),
+        overBudgetCount: report.filter(row => row.status === 'over').length
+      }
+    });
+  } catch (error) {
+    console.error('Get budget report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building budget report'
+    });
+  }
+};
+
+module.exports = {
+  getBudgets,
+  createBudget,
+  updateBudget,
+  deleteBudget,
+  getBudgetReport
+};
@@ -0,0 +1,316 @@
+const Category = require('../models/Category');
+const Budget = require('../models/Budget');
+const { validationResult } = require('express-validator');
+const { actorFrom } = require('../utils/audit');
+const {
+  findCategoryByName,
+  isDescendantOf,
+  findLockedUsage,
+  renameCategory: renameCategoryRecords,
+  mergeCategories,
+  ensureCategoriesMigrated
+} = require('../utils/categories');
+
+const findCategory = (req, id = req.params.id) => Category.findOne({ _id: id, organizationId: req.organization.id });
+
+// Full name from the root, e.g. "Operations > Rent"
+const withPaths = (categories) => {
+  const byId = new Map(categories.map(category => [category._id.toString(), category]));
+  const pathOf = (category, depth = 0) => {
+    const parent = category.parentId && byId.get(category.parentId.toString());
+    return parent && depth < 20 ? `${pathOf(parent, depth + 1)} > ${category.name}` : category.name;
+  };
+  return categories.map(category => ({ ...category.toObject(), path: pathOf(category) }));
+};
+
+// @desc    Get categories (migrating free-text categories on first use)
+// @route   GET /api/categories
+// @access  Private
+const getCategories = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await ensureCategoriesMigrated(req.organization.id);
+
+    const all = await Category.find({ organizationId: req.organization.id }).sort({ name: 1 });
+    const categories = withPaths(all).filter(category => (!req.query.type || category.type === req.query.type)
+      && (req.query.includeArchived === 'true' || !category.archived));
+
+    res.json({
+      success: true,
+      data: { categories }
+    });
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching categories'
+    });
+  }
+};
+
+// @desc    Create a category
+// @route   POST /api/categories
+// @access  Private (treasurer)
+const createCategory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, type, parentId, color } = req.body;
+
+    if (await findCategoryByName(req.organization.id, name)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A category with this name already exists'
+      });
+    }
+
+    if (parentId) {
+      const parent = await findCategory(req, parentId);
+      if (!parent || parent.type !== type) {
+        return res.status(400).json({
+          success: false,
+          message: parent ? 'A subcategory must have the same type as its parent' : 'Parent category not found'
+        });
+      }
+    }
+
+    const category = await Category.create({
+      organizationId: req.organization.id,
+      name,
+      type,
+      parentId: parentId || null,
+      color,
+      createdBy: req.user.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      data: { category }
+    });
+  } catch (error) {
+    console.error('Create category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating category'
+    });
+  }
+};
+
+// @desc    Move, recolor, retype or archive a category
+// @route   PATCH /api/categories/:id
+// @access  Private (treasurer)
+const updateCategory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const category = await findCategory(req);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const { parentId, type, color, archived } = req.body;
+    const newType = type || category.type;
+
+    let parent = null;
+    if (parentId !== undefined ? parentId : category.parentId) {
+      parent = await findCategory(req, parentId !== undefined ? parentId : category.parentId);
+      if (!parent) {
+        return res.status(400).json({
+          success: false,
+          message: 'Parent category not found'
+        });
+      }
+    }
+
+    if (parent && (parent._id.equals(category._id) || await isDescendantOf(parent, category))) {
+      return res.status(400).json({
+        success: false,
+        message: 'A category cannot be moved under itself or one of its subcategories'
+      });
+    }
+
+    const childOfOtherType = await Category.exists({
+      organizationId: req.organization.id,
+      parentId: category._id,
+      type: { $ne: newType }
+    });
+    if ((parent && parent.type !== newType) || childOfOtherType) {
+      return res.status(400).json({
+        success: false,
+        message: 'A subcategory must have the same type as its parent'
+      });
+    }
+
+    if (parentId !== undefined) category.parentId = parentId || null;
+    if (type) category.type = type;
+    if (color !== undefined) category.color = color || undefined;
+    if (archived !== undefined) category.archived = archived;
+    await category.save();
+
+    res.json({
+      success: true,
+      message: 'Category updated successfully',
+      data: { category }
+    });
+  } catch (error) {
+    console.error('Update category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating category'
+    });
+  }
+};
+
+// @desc    Rename a category and rewrite its transactions, budgets and grant lines
+// @route   POST /api/categories/:id/rename
+// @access  Private (treasurer)
+const renameCategory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const category = await findCategory(req);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    // Changing only the case of the name is allowed
+    const existing = await findCategoryByName(req.organization.id, req.body.name);
+    if (existing && !existing._id.equals(category._id)) {
+      return res.status(400).json({
+        success: false,
+        message: `Category "${existing.name}" already exists; merge into it instead`
+      });
+    }
+
+    const locked = await findLockedUsage(category);
+    if (locked) {
+      return res.status(400).json({
+        success: false,
+        message: locked
+      });
+    }
+
+    const updated = await renameCategoryRecords(category, req.body.name, { actor: actorFrom(req) });
+
+    res.json({
+      success: true,
+      message: `Category renamed; ${updated.transactions} transaction(s) updated`,
+      data: { category, updated }
+    });
+  } catch (error) {
+    console.error('Rename category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while renaming category'
+    });
+  }
+};
+
+// @desc    Merge a category into another one and delete it
+// @route   POST /api/categories/:id/merge
+// @access  Private (treasurer)
+const mergeCategory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const source = await findCategory(req);
+    const target = await findCategory(req, req.body.targetId);
+    if (!source || !target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    let problem = null;
+    if (source._id.equals(target._id)) problem = 'A category cannot be merged into itself';
+    else if (source.type !== target.type) problem = 'Only categories of the same type can be merged';
+    else if (target.archived) problem = 'Cannot merge into an archived category';
+    else if (await isDescendantOf(target, source) && !target.parentId.equals(source._id)) {
+      problem = 'Move the target out of this category before merging';
+    }
+
+    // Budgets are unique per category and period
+    if (!problem) {
+      const budgets = await Budget.find({ organizationId: req.organization.id, category: { $in: [source.name, target.name] } })
+        .collation(Category.CASE_INSENSITIVE);
+      const periods = budgets.map(budget => budget.period);
+      if (new Set(periods).size < periods.length) {
+        problem = 'Both categories have a budget for the same period; delete one of them first';
+      }
+    }
+    if (!problem) problem = await findLockedUsage(source);
+
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    const updated = await mergeCategories(source, target, { actor: actorFrom(req) });
+
+    res.json({
+      success: true,
+      message: `Merged "${source.name}" into "${target.name}"; ${updated.transactions} transaction(s) updated`,
+      data: { category: target, updated }
+    });
+  } catch (error) {
+    console.error('Merge category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while merging categories'
+    });
+  }
+};
+
+module.exports = {
+  getCategories,
+  createCategory,
+  updateCategory,
+  renameCategory,
+  mergeCategory
+};
@@ -0,0 +1,349 @@
+const Donor = require('../models/Donor');
+const Transaction = require('../models/Transaction');
+const { validationResult } = require('express-validator');
+const { getDonorTotals, buildDonorReport } = require('../utils/donors');
+const { escapeRegex } = require('../utils/search');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DONOR_FIELDS = ['type', 'name', 'contactName', 'email', 'phone', 'address', 'taxId', 'notes'];
+
+// Copy the editable fields present in the body; consent changes are timestamped
+const buildDonorData = (body) => {
+  const data = {};
+  for (const field of DONOR_FIELDS) {
+    if (body[field] !== undefined) data[field] = body[field];
+  }
+
+  if (body.consent !== undefined) {
+    for (const [key, value] of Object.entries(body.consent)) {
+      data[`consent.${key}`] = value;
+    }
+    data.consentUpdatedAt = new Date();
+  }
+
+  return data;
+};
+
+// @desc    Get donors with optional search and pagination
+// @route   GET /api/donors
+// @access  Private
+const getDonors = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { search, type, page = 1, limit = 20 } = req.query;
+    const filter = { organizationId: req.organization.id };
+
+    if (type) filter.type = type;
+    if (search) {
+      const pattern = { $regex: escapeRegex(search), $options: 'i' };
+      filter.$or = [{ name: pattern }, { email: pattern }, { contactName: pattern }];
+    }
+
+    const donors = await Donor.find(filter)
+      .sort({ name: 1 })
+      .skip((parseInt(page) - 1) * parseInt(limit))
+      .limit(parseInt(limit));
+
+    const totalDonors = await Donor.countDocuments(filter);
+    const totalPages = Math.ceil(totalDonors / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        donors,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalDonors,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get donors error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching donors'
+    });
+  }
+};
+
+// @desc    Get a donor with lifetime giving totals
+// @route   GET /api/donors/:id
+// @access  Private
+const getDonor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const donor = await Donor.findOne({ _id: req.params.id, organizationId: req.organization.id });
+    if (!donor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Donor not found'
+      });
+    }
+
+    const totals = await getDonorTotals(req.organization.id, donor._id, req.organization.baseCurrency);
+
+    res.json({
+      success: true,
+      data: { donor, totals }
+    });
+  } catch (error) {
+    console.error('Get donor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching donor'
+    });
+  }
+};
+
+// @desc    Create a donor
+// @route   POST /api/donors
+// @access  Private (treasurer)
+const createDonor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const donor = new Donor({
+      organizationId: req.organization.id,
+      createdBy: req.user.userId
+    });
+    donor.set(buildDonorData(req.body));
+    await donor.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Donor created successfully',
+      data: { donor }
+    });
+  } catch (error) {
+    console.error('Create donor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating donor'
+    });
+  }
+};
+
+// @desc    Update a donor's details or consent
+// @route   PATCH /api/donors/:id
+// @access  Private (treasurer)
+const updateDonor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const donor = await Donor.findOneAndUpdate(
+      { _id: req.params.id, organizationId: req.organization.id },
+      buildDonorData(req.body),
+      { new: true, runValidators: true }
+    );
+
+    if (!donor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Donor not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Donor updated successfully',
+      data: { donor }
+    });
+  } catch (error) {
+    console.error('Update donor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating donor'
+    });
+  }
+};
+
+// @desc    Delete a donor without donations
+// @route   DELETE /api/donors/:id
+// @access  Private (treasurer)
+const deleteDonor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Trashed donations count too, they can still be restored
+    const hasDonations = await Transaction.exists({
+      organizationId: req.organization.id,
+      donorId: req.params.id
+    }).setOptions({ withDeleted: true });
+
+    if (hasDonations) {
+      return res.status(400).json({
+        success: false,
+        message: 'This donor has donations; unlink them before deleting the donor'
+      });
+    }
+
+    const donor = await Donor.findOneAndDelete({ _id: req.params.id, organizationId: req.organization.id });
+    if (!donor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Donor not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Donor deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete donor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting donor'
+    });
+  }
+};
+
+// @desc    Get a donor's giving history, newest first
+// @route   GET /api/donors/:id/donations
+// @access  Private
+const getDonorDonations = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const donor = await Donor.findOne({ _id: req.params.id, organizationId: req.organization.id });
+    if (!donor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Donor not found'
+      });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const filter = { organizationId: req.organization.id, donorId: donor._id, type: 'Income' };
+
+    const donations = await Transaction.find(filter)
+      .sort({ date: -1 })
+      .skip((parseInt(page) - 1) * parseInt(limit))
+      .limit(parseInt(limit));
+
+    const totals = await getDonorTotals(req.organization.id, donor._id, req.organization.baseCurrency);
+    const totalPages = Math.ceil(totals.count / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        donor: { id: donor._id, name: donor.name, type: donor.type },
+        totals,
+        donations,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalDonations: totals.count,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get donor donations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching donations'
+    });
+  }
+};
+
+// @desc    Get first-time, repeat, lapsed and top donors for a period
+// @route   GET /api/donors/report
+// @access  Private
+const getDonorReport = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Defaults to the current calendar year; endDate is inclusive
+    const year = new Date().getFullYear();
+    const start = req.query.startDate ? new Date(req.query.startDate) : new Date(year, 0, 1);
+    const lastDay = req.query.endDate ? new Date(req.query.endDate) : new Date(year, 11, 31);
+    const end = new Date(lastDay.getTime() + DAY_MS);
+
+    const lapsedSince = new Date(start);
+    lapsedSince.setMonth(lapsedSince.getMonth() - parseInt(req.query.lapsedMonths || 12));
+
+    const report = await buildDonorReport(req.organization.id, req.organization.baseCurrency, {
+      start,
+      end,
+      lapsedSince,
+      limit: parseInt(req.query.limit || 10)
+    });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Get donor report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building donor report'
+    });
+  }
+};
+
+module.exports = {
+  getDonors,
+  getDonor,
+  createDonor,
+  updateDonor,
+  deleteDonor,
+  getDonorDonations,
+  getDonorReport
+};
@@ -0,0 +1,191 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const { validationResult } = require('express-validator');
+const { parseRateCSV } = require('../utils/currency');
+
+// Rates apply per calendar day
+const toRateDate = (value) => new Date(String(value).slice(0, 10));
+
+// @desc    Get exchange rates, newest first
+// @route   GET /api/exchange-rates
+// @access  Private
+const getExchangeRates = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { currency, startDate, endDate } = req.query;
+    const filter = {
+      organizationId: req.organization.id,
+      baseCurrency: req.query.baseCurrency || req.organization.baseCurrency
+    };
+
+    if (currency) filter.currency = currency;
+    if (startDate || endDate) {
+      filter.date = {};
+      if (startDate) filter.date.$gte = toRateDate(startDate);
+      if (endDate) filter.date.$lte = toRateDate(endDate);
+    }
+
+    const rates = await ExchangeRate.find(filter).sort({ date: -1, currency: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        baseCurrency: filter.baseCurrency,
+        rates
+      }
+    });
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching exchange rates'
+    });
+  }
+};
+
+// @desc    Set the rate of a currency for a day, replacing any rate on file
+// @route   POST /api/exchange-rates
+// @access  Private (treasurer)
+const setExchangeRate = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const baseCurrency = req.body.baseCurrency || req.organization.baseCurrency;
+    if (req.body.currency === baseCurrency) {
+      return res.status(400).json({
+        success: false,
+        message: 'Currency and base currency are the same'
+      });
+    }
+
+    const rate = await ExchangeRate.findOneAndUpdate(
+      {
+        organizationId: req.organization.id,
+        currency: req.body.currency,
+        baseCurrency,
+        date: toRateDate(req.body.date)
+      },
+      { rate: parseFloat(req.body.rate), source: req.body.source || 'manual' },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Exchange rate saved successfully',
+      data: { rate }
+    });
+  } catch (error) {
+    console.error('Set exchange rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while saving exchange rate'
+    });
+  }
+};
+
+// @desc    Import dated rates from a CSV file (date, currency, rate[, base])
+// @route   POST /api/exchange-rates/import
+// @access  Private (treasurer)
+const importExchangeRates = async (req, res) => {
+  try {
+    const text = req.file.buffer.toString('utf8').replace(/^\uFEFF/, '');
+
+    let records;
+    try {
+      records = parseRateCSV(text, req.organization.baseCurrency);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: `Could not read rate table: ${parseError.message}`
+      });
+    }
+
+    const valid = records.filter(record => !record.error);
+    const rejected = records.filter(record => record.error).map(({ row, error }) => ({ row, reason: error }));
+
+    if (valid.length) {
+      await ExchangeRate.bulkWrite(valid.map(({ date, currency, baseCurrency, rate }) => ({
+        updateOne: {
+          filter: { organizationId: req.organization.id, currency, baseCurrency, date },
+          update: { $set: { rate, source: req.file.originalname } },
+          upsert: true
+        }
+      })));
+    }
+
+    res.json({
+      success: true,
+      message: `Imported ${valid.length} of ${records.length} rates`,
+      data: {
+        summary: { total: records.length, imported: valid.length, rejected: rejected.length },
+        rejected
+      }
+    });
+  } catch (error) {
+    console.error('Import exchange rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while importing exchange rates'
+    });
+  }
+};
+
+// @desc    Delete an exchange rate
+// @route   DELETE /api/exchange-rates/:id
+// @access  Private (treasurer)
+const deleteExchangeRate = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rate = await ExchangeRate.findOneAndDelete({
+      _id: req.params.id,
+      organizationId: req.organization.id
+    });
+
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exchange rate not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Exchange rate deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete exchange rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting exchange rate'
+    });
+  }
+};
+
+module.exports = {
+  getExchangeRates,
+  setExchangeRate,
+  importExchangeRates,
+  deleteExchangeRate
+};
@@ -0,0 +1,451 @@
+const Fund = require('../models/Fund');
+const FundTransfer = require('../models/FundTransfer');
+const Transaction = require('../models/Transaction');
+const { validationResult } = require('express-validator');
+const { emptyBalance, ensureDefaultFund, getFundBalances, getFundBalance } = require('../utils/funds');
+const { TOLERANCE, round } = require('../utils/money');
+
+// @desc    Get funds with their balances
+// @route   GET /api/funds
+// @access  Private
+const getFunds = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { baseCurrency } = req.organization;
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : undefined;
+
+    await ensureDefaultFund(req.organization.id);
+    const funds = await Fund.find({ organizationId: req.organization.id }).sort({ isDefault: -1, name: 1 });
+    const balances = await getFundBalances(req.organization.id, baseCurrency, { asOf });
+
+    const rows = funds.map(fund => ({
+      ...fund.toObject(),
+      balance: balances.get(fund._id.toString()) || emptyBalance()
+    }));
+
+    // Net assets per restriction class
+    const byRestriction = Fund.RESTRICTIONS.map(restriction => ({
+      restriction,
+      balance: round(rows
+        .filter(row => row.restriction === restriction)
+        .reduce((sum, row) => sum + row.balance.balance, 0))
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        baseCurrency,
+        asOf: asOf || new Date(),
+        funds: rows,
+        byRestriction,
+        totalBalance: round(byRestriction.reduce((sum, row) => sum + row.balance, 0))
+      }
+    });
+  } catch (error) {
+    console.error('Get funds error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching funds'
+    });
+  }
+};
+
+// @desc    Get a fund with its balance and transfers
+// @route   GET /api/funds/:id
+// @access  Private
+const getFund = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const fund = await Fund.findOne({ _id: req.params.id, organizationId: req.organization.id });
+    if (!fund) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fund not found'
+      });
+    }
+
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : undefined;
+    const balance = await getFundBalance(req.organization.id, fund, req.organization.baseCurrency, { asOf });
+
+    const transferFilter = {
+      organizationId: req.organization.id,
+      $or: [{ fromFundId: fund._id }, { toFundId: fund._id }]
+    };
+    if (asOf) transferFilter.date = { $lte: asOf };
+    const transfers = await FundTransfer.find(transferFilter)
+      .sort({ date: -1 })
+      .populate('fromFundId toFundId', 'name restriction');
+
+    res.json({
+      success: true,
+      data: {
+        fund,
+        baseCurrency: req.organization.baseCurrency,
+        balance,
+        transfers
+      }
+    });
+  } catch (error) {
+    console.error('Get fund error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching fund'
+    });
+  }
+};
+
+// @desc    Create a fund
+// @route   POST /api/funds
+// @access  Private (treasurer)
+const createFund = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, restriction, restrictedUntil, description } = req.body;
+
+    const exists = await Fund.findOne({ organizationId: req.organization.id, name: name.trim() });
+    if (exists) {
+      return res.status(400).json({
+        success: false,
+        message: 'A fund with this name already exists'
+      });
+    }
+
+    // Make sure existing transactions land in the default fund, not the new one
+    await ensureDefaultFund(req.organization.id);
+
+    const fund = await Fund.create({
+      organizationId: req.organization.id,
+      name: name.trim(),
+      restriction,
+      restrictedUntil: restrictedUntil ? new Date(restrictedUntil) : undefined,
+      description,
+      createdBy: req.user.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Fund created successfully',
+      data: { fund }
+    });
+  } catch (error) {
+    console.error('Create fund error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating fund'
+    });
+  }
+};
+
+// @desc    Update a fund
+// @route   PATCH /api/funds/:id
+// @access  Private (treasurer)
+const updateFund = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const fund = await Fund.findOne({ _id: req.params.id, organizationId: req.organization.id });
+    if (!fund) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fund not found'
+      });
+    }
+
+    const { name, restriction, restrictedUntil, description } = req.body;
+
+    if (name && name.trim() !== fund.name) {
+      const exists = await Fund.findOne({ organizationId: req.organization.id, name: name.trim() });
+      if (exists) {
+        return res.status(400).json({
+          success: false,
+          message: 'A fund with this name already exists'
+        });
+      }
+      fund.name = name.trim();
+    }
+
+    if (restriction) {
+      if (fund.isDefault && restriction !== 'unrestricted') {
+        return res.status(400).json({
+          success: false,
+          message: 'The default fund must be unrestricted'
+        });
+      }
+      fund.restriction = restriction;
+    }
+    if (restrictedUntil !== undefined) fund.restrictedUntil = restrictedUntil ? new Date(restrictedUntil) : undefined;
+    if (description !== undefined) fund.description = description;
+
+    await fund.save();
+
+    res.json({
+      success: true,
+      message: 'Fund updated successfully',
+      data: { fund }
+    });
+  } catch (error) {
+    console.error('Update fund error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating fund'
+    });
+  }
+};
+
+// @desc    Delete a fund that was never used
+// @route   DELETE /api/funds/:id
+// @access  Private (treasurer)
+const deleteFund = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const fund = await Fund.findOne({ _id: req.params.id, organizationId: req.organization.id });
+    if (!fund) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fund not found'
+      });
+    }
+
+    if (fund.isDefault) {
+      return res.status(400).json({
+        success: false,
+        message: 'The default fund cannot be deleted'
+      });
+    }
+
+    // Trashed transactions count too, they can still be restored
+    const inUse = await Transaction.exists({ organizationId: req.organization.id, fundId: fund._id })
+      .setOptions({ withDeleted: true })
+      || await FundTransfer.exists({
+        organizationId: req.organization.id,
+        $or: [{ fromFundId: fund._id }, { toFundId: fund._id }]
+      });
+
+    if (inUse) {
+      return res.status(400).json({
+        success: false,
+        message: 'This fund has transactions or transfers and cannot be deleted'
+      });
+    }
+
+    await fund.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Fund deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete fund error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting fund'
+    });
+  }
+};
+
+// @desc    Get transfers between funds
+// @route   GET /api/funds/transfers
+// @access  Private
+const getTransfers = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { startDate, endDate, kind } = req.query;
+    const filter = { organizationId: req.organization.id };
+
+    if (kind) filter.kind = kind;
+    if (startDate || endDate) {
+      filter.date = {};
+      if (startDate) filter.date.$gte = new Date(startDate);
+      if (endDate) filter.date.$lte = new Date(endDate);
+    }
+
+    const transfers = await FundTransfer.find(filter)
+      .sort({ date: -1 })
+      .populate('fromFundId toFundId', 'name restriction');
+
+    res.json({
+      success: true,
+      data: { transfers }
+    });
+  } catch (error) {
+    console.error('Get fund transfers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching fund transfers'
+    });
+  }
+};
+
+// @desc    Move money between funds; out of a restricted fund into an unrestricted one it is a release
+// @route   POST /api/funds/transfers
+// @access  Private (treasurer)
+const createTransfer = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { fromFundId, toFundId, reason } = req.body;
+    const amount = parseFloat(req.body.amount);
+    const { baseCurrency } = req.organization;
+
+    const funds = await Fund.find({ _id: { $in: [fromFundId, toFundId] }, organizationId: req.organization.id });
+    const fromFund = funds.find(fund => fund._id.equals(fromFundId));
+    const toFund = funds.find(fund => fund._id.equals(toFundId));
+    if (!fromFund || !toFund) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fund not found'
+      });
+    }
+
+    if (fromFund.isRestricted()) {
+      const { balance } = await getFundBalance(req.organization.id, fromFund, baseCurrency);
+      if (amount > balance + TOLERANCE) {
+        return res.status(400).json({
+          success: false,
+          message: `Transfer exceeds the available balance of restricted fund "${fromFund.name}" (${balance.toFixed(2)} ${baseCurrency})`
+        });
+      }
+    }
+
+    const transfer = await FundTransfer.create({
+      organizationId: req.organization.id,
+      fromFundId: fromFund._id,
+      toFundId: toFund._id,
+      kind: fromFund.isRestricted() && !toFund.isRestricted() ? 'release' : 'transfer',
+      amount,
+      currency: baseCurrency,
+      date: req.body.date ? new Date(req.body.date) : new Date(),
+      reason,
+      createdBy: req.user.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: transfer.kind === 'release'
+        ? `Released ${amount.toFixed(2)} ${baseCurrency} from "${fromFund.name}"`
+        : 'Transfer recorded successfully',
+      data: { transfer }
+    });
+  } catch (error) {
+    console.error('Create fund transfer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while recording fund transfer'
+    });
+  }
+};
+
+// @desc    Delete a transfer, unless that would overdraw a restricted fund
+// @route   DELETE /api/funds/transfers/:id
+// @access  Private (treasurer)
+const deleteTransfer = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const transfer = await FundTransfer.findOne({ _id: req.params.id, organizationId: req.organization.id });
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transfer not found'
+      });
+    }
+
+    const toFund = await Fund.findById(transfer.toFundId);
+    if (toFund && toFund.isRestricted()) {
+      const { balance } = await getFundBalance(req.organization.id, toFund, req.organization.baseCurrency, {
+        excludeTransferId: transfer._id
+      });
+      if (balance < -TOLERANCE) {
+        return res.status(400).json({
+          success: false,
+          message: `Deleting this transfer would overdraw restricted fund "${toFund.name}"`
+        });
+      }
+    }
+
+    await transfer.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Transfer deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete fund transfer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting fund transfer'
+    });
+  }
+};
+
+module.exports = {
+  getFunds,
+  getFund,
+  createFund,
+  updateFund,
+  deleteFund,
+  getTransfers,
+  createTransfer,
+  deleteTransfer
+};
@@ -0,0 +1,475 @@
+const Grant = require('../models/Grant');
+const Transaction = require('../models/Transaction');
+const { validationResult } = require('express-validator');
+const { buildGrantReport, getReportingDeadlines } = require('../utils/grants');
+
+const GRANT_FIELDS = ['name', 'funder', 'donorId', 'referenceNumber', 'awardAmount', 'startDate', 'endDate', 'status', 'notes'];
+const DEADLINE_FIELDS = ['dueDate', 'periodStart', 'periodEnd', 'description'];
+
+// Copy the fields present in the body; budget lines are replaced as a whole
+const buildGrantData = (body) => {
+  const data = {};
+  for (const field of GRANT_FIELDS) {
+    if (body[field] !== undefined) data[field] = body[field];
+  }
+  if (body.budgetLines !== undefined) data.budgetLines = body.budgetLines;
+  return data;
+};
+
+const validationFailed = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation failed',
+  errors: Object.values(error.errors).map(err => ({ path: err.path, msg: err.message }))
+});
+
+// @desc    Get grants
+// @route   GET /api/grants
+// @access  Private
+const getGrants = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const filter = { organizationId: req.organization.id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const grants = await Grant.find(filter).sort({ startDate: -1 });
+
+    res.json({
+      success: true,
+      data: { grants }
+    });
+  } catch (error) {
+    console.error('Get grants error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching grants'
+    });
+  }
+};
+
+// @desc    Get a grant with its spend to date
+// @route   GET /api/grants/:id
+// @access  Private
+const getGrant = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const grant = await Grant.findOne({ _id: req.params.id, organizationId: req.organization.id });
+    if (!grant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Grant not found'
+      });
+    }
+
+    const { totals, burn } = await buildGrantReport(grant, req.organization.baseCurrency);
+
+    res.json({
+      success: true,
+      data: {
+        grant,
+        baseCurrency: req.organization.baseCurrency,
+        totals,
+        burn
+      }
+    });
+  } catch (error) {
+    console.error('Get grant error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching grant'
+    });
+  }
+};
+
+// @desc    Create a grant
+// @route   POST /api/grants
+// @access  Private (treasurer)
+const createGrant = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const exists = await Grant.findOne({ organizationId: req.organization.id, name: req.body.name });
+    if (exists) {
+      return res.status(400).json({
+        success: false,
+        message: 'A grant with this name already exists'
+      });
+    }
+
+    const grant = new Grant({
+      organizationId: req.organization.id,
+      createdBy: req.user.userId,
+      reportingDeadlines: req.body.reportingDeadlines || []
+    });
+    grant.set(buildGrantData(req.body));
+    await grant.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Grant created successfully',
+      data: { grant }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') return validationFailed(res, error);
+
+    console.error('Create grant error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating grant'
+    });
+  }
+};
+
+// @desc    Update a grant, its status or its budget lines
+// @route   PATCH /api/grants/:id
+// @access  Private (treasurer)
+const updateGrant = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const grant = await Grant.findOne({ _id: req.params.id, organizationId: req.organization.id });
+    if (!grant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Grant not found'
+      });
+    }
+
+    if (req.body.name && req.body.name !== grant.name) {
+      const exists = await Grant.findOne({ organizationId: req.organization.id, name: req.body.name });
+      if (exists) {
+        return res.status(400).json({
+          success: false,
+          message: 'A grant with this name already exists'
+        });
+      }
+    }
+
+    // Validators compare fields, so run them on the merged document
+    grant.set(buildGrantData(req.body));
+    await grant.save();
+
+    res.json({
+      success: true,
+      message: 'Grant updated successfully',
+      data: { grant }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') return validationFailed(res, error);
+
+    console.error('Update grant error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating grant'
+    });
+  }
+};
+
+// @desc    Delete a grant that has no transactions
+// @route   DELETE /api/grants/:id
+// @access  Private (treasurer)
+const deleteGrant = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const grant = await Grant.findOne({ _id: req.params.id, organizationId: req.organization.id });
+    if (!grant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Grant not found'
+      });
+    }
+
+    // Trashed transactions count too, they can still be restored
+    const inUse = await Transaction.exists({ organizationId: req.organization.id, grantId: grant._id })
+      .setOptions({ withDeleted: true });
+    if (inUse) {
+      return res.status(400).json({
+        success: false,
+        message: 'This grant has transactions and cannot be deleted; close it instead'
+      });
+    }
+
+    await grant.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Grant deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete grant error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting grant'
+    });
+  }
+};
+
+// @desc    Get spend against budget lines, unspent balance and burn rate
+// @route   GET /api/grants/:id/report
+// @access  Private
+const getGrantReport = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const grant = await Grant.findOne({ _id: req.params.id, organizationId: req.organization.id });
+    if (!grant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Grant not found'
+      });
+    }
+
+    // A reporting deadline supplies the period unless dates are given
+    let start = grant.startDate;
+    let end = grant.endDate;
+    if (req.query.deadlineId) {
+      const deadline = grant.reportingDeadlines.id(req.query.deadlineId);
+      if (!deadline) {
+        return res.status(404).json({
+          success: false,
+          message: 'Reporting deadline not found'
+        });
+      }
+      start = deadline.periodStart || start;
+      end = deadline.periodEnd || deadline.dueDate;
+    }
+    if (req.query.startDate) start = new Date(req.query.startDate);
+    if (req.query.endDate) end = new Date(req.query.endDate);
+
+    const report = await buildGrantReport(grant, req.organization.baseCurrency, { start, end });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Get grant report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building grant report'
+    });
+  }
+};
+
+// @desc    Get overdue and upcoming reporting deadlines of active grants
+// @route   GET /api/grants/deadlines
+// @access  Private
+const getDeadlines = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const days = req.query.days ? parseInt(req.query.days) : undefined;
+    const deadlines = await getReportingDeadlines(req.organization.id, { days });
+
+    res.json({
+      success: true,
+      data: deadlines
+    });
+  } catch (error) {
+    console.error('Get grant deadlines error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reporting deadlines'
+    });
+  }
+};
+
+// @desc    Add a reporting deadline to a grant
+// @route   POST /api/grants/:id/deadlines
+// @access  Private (treasurer)
+const addDeadline = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const grant = await Grant.findOne({ _id: req.params.id, organizationId: req.organization.id });
+    if (!grant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Grant not found'
+      });
+    }
+
+    const data = {};
+    for (const field of DEADLINE_FIELDS) {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    }
+    grant.reportingDeadlines.push(data);
+    await grant.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Reporting deadline added successfully',
+      data: { deadline: grant.reportingDeadlines[grant.reportingDeadlines.length - 1] }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') return validationFailed(res, error);
+
+    console.error('Add grant deadline error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding reporting deadline'
+    });
+  }
+};
+
+// @desc    Update a reporting deadline or mark it submitted
+// @route   PATCH /api/grants/:id/deadlines/:deadlineId
+// @access  Private (treasurer)
+const updateDeadline = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const grant = await Grant.findOne({ _id: req.params.id, organizationId: req.organization.id });
+    const deadline = grant && grant.reportingDeadlines.id(req.params.deadlineId);
+    if (!deadline) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reporting deadline not found'
+      });
+    }
+
+    for (const field of DEADLINE_FIELDS) {
+      if (req.body[field] !== undefined) deadline[field] = req.body[field];
+    }
+    if (req.body.submitted === true && !deadline.submittedAt) {
+      deadline.submittedAt = new Date();
+      deadline.submittedBy = req.user.userId;
+    }
+    if (req.body.submitted === false) {
+      deadline.submittedAt = undefined;
+      deadline.submittedBy = undefined;
+    }
+    await grant.save();
+
+    res.json({
+      success: true,
+      message: 'Reporting deadline updated successfully',
+      data: { deadline }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') return validationFailed(res, error);
+
+    console.error('Update grant deadline error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating reporting deadline'
+    });
+  }
+};
+
+// @desc    Remove a reporting deadline
+// @route   DELETE /api/grants/:id/deadlines/:deadlineId
+// @access  Private (treasurer)
+const deleteDeadline = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const grant = await Grant.findOne({ _id: req.params.id, organizationId: req.organization.id });
+    const deadline = grant && grant.reportingDeadlines.id(req.params.deadlineId);
+    if (!deadline) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reporting deadline not found'
+      });
+    }
+
+    deadline.deleteOne();
+    await grant.save();
+
+    res.json({
+      success: true,
+      message: 'Reporting deadline deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete grant deadline error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting reporting deadline'
+    });
+  }
+};
+
+module.exports = {
+  getGrants,
+  getGrant,
+  createGrant,
+  updateGrant,
+  deleteGrant,
+  getGrantReport,
+  getDeadlines,
+  addDeadline,
+  updateDeadline,
+  deleteDeadline
+};
@@ -0,0 +1,331 @@
+const path = require('path');
+const ImportBatch = require('../models/ImportBatch');
+const ImportProfile = require('../models/ImportProfile');
+const { validationResult } = require('express-validator');
+const { parseCSV, parseOFX, parseQIF } = require('../utils/importParsers');
+const { buildPreviewRows, commitBatch, summarize } = require('../utils/importer');
+const { actorFrom } = require('../utils/audit');
+
+// Resolve the CSV mapping from a saved profile or an inline JSON mapping
+const resolveProfile = async (req) => {
+  if (req.body.profileId) {
+    return ImportProfile.findOne({ _id: req.body.profileId, userId: req.user.userId });
+  }
+
+  if (req.body.mapping) {
+    const profile = new ImportProfile({
+      ...JSON.parse(req.body.mapping),
+      userId: req.user.userId,
+      name: 'Unsaved mapping'
+    });
+    const error = profile.validateSync();
+    if (error) throw new Error(Object.values(error.errors).map(err => err.message).join('; '));
+    return profile;
+  }
+
+  return null;
+};
+
+// @desc    Parse a statement and preview what an import would do
+// @route   POST /api/imports/preview
+// @access  Private
+const previewImport = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const format = (req.body.format || path.extname(req.file.originalname).slice(1)).toLowerCase();
+    if (!['csv', 'ofx', 'qif'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unsupported format, expected csv, ofx or qif'
+      });
+    }
+
+    const text = req.file.buffer.toString('utf8').replace(/^\uFEFF/, '');
+
+    let records;
+    let profile = null;
+    try {
+      if (format === 'csv') {
+        profile = await resolveProfile(req);
+        if (!profile) {
+          return res.status(400).json({
+            success: false,
+            message: 'CSV imports need a saved profileId or a mapping'
+          });
+        }
+        records = parseCSV(text, profile);
+      } else if (format === 'ofx') {
+        records = parseOFX(text);
+      } else {
+        records = parseQIF(text, req.body.dateFormat);
+      }
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: `Could not read statement: ${parseError.message}`
+      });
+    }
+
+    if (!records.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'No transactions found in the statement'
+      });
+    }
+
+    const owner = { organizationId: req.organization.id, userId: req.user.userId };
+    const rows = await buildPreviewRows(owner, records, {
+      defaultCategory: req.body.defaultCategory || profile?.defaultCategory,
+      defaultPaymentMethod: req.body.paymentMethod || 'Bank Transfer',
+      currency: req.body.currency || req.organization.baseCurrency
+    });
+
+    const batch = await ImportBatch.create({
+      ...owner,
+      format,
+      fileName: req.file.originalname,
+      rows
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Import preview ready, commit it to create the pending rows',
+      data: {
+        importId: batch._id,
+        expiresAt: batch.expiresAt,
+        summary: summarize(batch.rows),
+        rows: batch.rows
+      }
+    });
+  } catch (error) {
+    console.error('Preview import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while previewing import'
+    });
+  }
+};
+
+// @desc    Commit a previewed import
+// @route   POST /api/imports/:id/commit
+// @access  Private
+const commitImport = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const batch = await ImportBatch.findOne({ _id: req.params.id, organizationId: req.organization.id });
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import not found or preview expired'
+      });
+    }
+
+    if (batch.status === 'committed') {
+      return res.status(409).json({
+        success: false,
+        message: 'Import has already been committed'
+      });
+    }
+
+    await commitBatch(batch, {
+      baseCurrency: req.organization.baseCurrency,
+      actor: actorFrom(req)
+    });
+
+    res.json({
+      success: true,
+      message: 'Import committed successfully',
+      data: {
+        importId: batch._id,
+        summary: summarize(batch.rows),
+        rows: batch.rows
+      }
+    });
+  } catch (error) {
+    console.error('Commit import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while committing import'
+    });
+  }
+};
+
+// @desc    Get the per-row report of an import
+// @route   GET /api/imports/:id
+// @access  Private
+const getImport = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const batch = await ImportBatch.findOne({ _id: req.params.id, organizationId: req.organization.id });
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import not found or preview expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        import: batch,
+        summary: summarize(batch.rows)
+      }
+    });
+  } catch (error) {
+    console.error('Get import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching import'
+    });
+  }
+};
+
+// @desc    Get saved CSV mapping profiles
+// @route   GET /api/imports/profiles
+// @access  Private
+const getImportProfiles = async (req, res) => {
+  try {
+    const profiles = await ImportProfile.find({ userId: req.user.userId }).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: { profiles }
+    });
+  } catch (error) {
+    console.error('Get import profiles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching import profiles'
+    });
+  }
+};
+
+// @desc    Save a CSV mapping profile
+// @route   POST /api/imports/profiles
+// @access  Private
+const createImportProfile = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, delimiter, hasHeader, dateFormat, decimalSeparator, invertAmount, columns, defaultCategory } = req.body;
+
+    const exists = await ImportProfile.findOne({ userId: req.user.userId, name: name.trim() });
+    if (exists) {
+      return res.status(400).json({
+        success: false,
+        message: 'A profile with this name already exists'
+      });
+    }
+
+    const profile = new ImportProfile({
+      userId: req.user.userId,
+      name,
+      delimiter,
+      hasHeader,
+      dateFormat,
+      decimalSeparator,
+      invertAmount,
+      columns,
+      defaultCategory
+    });
+
+    const validationError = profile.validateSync();
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(validationError.errors).map(err => ({ path: err.path, msg: err.message }))
+      });
+    }
+
+    await profile.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Import profile saved successfully',
+      data: { profile }
+    });
+  } catch (error) {
+    console.error('Create import profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while saving import profile'
+    });
+  }
+};
+
+// @desc    Delete a CSV mapping profile
+// @route   DELETE /api/imports/profiles/:id
+// @access  Private
+const deleteImportProfile = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const profile = await ImportProfile.findOneAndDelete({ _id: req.params.id, userId: req.user.userId });
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import profile not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Import profile deleted successfully',
+      data: { profile }
+    });
+  } catch (error) {
+    console.error('Delete import profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting import profile'
+    });
+  }
+};
+
+module.exports = {
+  previewImport,
+  commitImport,
+  getImport,
+  getImportProfiles,
+  createImportProfile,
+  deleteImportProfile
+};
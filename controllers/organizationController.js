@@ -0,0 +1,463 @@
+const crypto = require('crypto');
+const Organization = require('../models/Organization');
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const { validationResult } = require('express-validator');
+const { hashToken } = require('../utils/tokens');
+
+const INVITATION_DAYS = 7;
+
+// @desc    Get organizations the user belongs to
+// @route   GET /api/organizations
+// @access  Private
+const getOrganizations = async (req, res) => {
+  try {
+    const organizations = await Organization.find({ 'members.userId': req.user.userId })
+      .sort({ isPersonal: -1, name: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        organizations: organizations.map(org => ({
+          id: org._id,
+          name: org.name,
+          isPersonal: org.isPersonal,
+          role: org.getMember(req.user.userId).role,
+          memberCount: org.members.length
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get organizations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching organizations'
+    });
+  }
+};
+
+// @desc    Create an organization with the current user as admin
+// @route   POST /api/organizations
+// @access  Private
+const createOrganization = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const organization = await Organization.create({
+      name: req.body.name.trim(),
+      baseCurrency: req.body.baseCurrency,
+      createdBy: req.user.userId,
+      members: [{ userId: req.user.userId, role: 'admin' }]
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Organization created successfully',
+      data: { organization }
+    });
+  } catch (error) {
+    console.error('Create organization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating organization'
+    });
+  }
+};
+
+// @desc    Get the active organization and its members
+// @route   GET /api/organizations/current
+// @access  Private
+const getCurrentOrganization = async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.organization.id)
+      .populate('members.userId', 'username email');
+
+    res.json({
+      success: true,
+      data: {
+        organization,
+        role: req.organization.role
+      }
+    });
+  } catch (error) {
+    console.error('Get organization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching organization'
+    });
+  }
+};
+
+// @desc    Update the active organization's name, base currency, details, receipt settings or two-factor roles
+// @route   PATCH /api/organizations/current
+// @access  Private (admin)
+const updateOrganization = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, baseCurrency, details, receiptSettings, twoFactorRequiredRoles } = req.body;
+    const updateData = {};
+    if (name) updateData.name = name.trim();
+    if (baseCurrency) updateData.baseCurrency = baseCurrency;
+
+    if (twoFactorRequiredRoles) {
+      // The admin would lock themselves out with the next request
+      if (twoFactorRequiredRoles.includes(req.organization.role) && !req.user.twoFactorVerified) {
+        return res.status(400).json({
+          success: false,
+          message: 'Log in with two-factor authentication before requiring it for your own role'
+        });
+      }
+      updateData.twoFactorRequiredRoles = [...new Set(twoFactorRequiredRoles)];
+    }
+
+    // Nested settings are merged field by field
+    for (const [group, values] of Object.entries({ details, receiptSettings })) {
+      for (const [key, value] of Object.entries(values || {})) {
+        if (Organization.schema.path(`${group}.${key}`)) updateData[`${group}.${key}`] = value;
+      }
+    }
+
+    // Transactions without a currency were in the old base currency; record
+    // it before the base changes so their amounts keep their meaning
+    if (baseCurrency && baseCurrency !== req.organization.baseCurrency) {
+      await Transaction.updateMany(
+        { organizationId: req.organization.id, currency: null },
+        { currency: req.organization.baseCurrency }
+      );
+    }
+
+    const organization = await Organization.findByIdAndUpdate(
+      req.organization.id,
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Organization updated successfully',
+      data: { organization }
+    });
+  } catch (error) {
+    console.error('Update organization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating organization'
+    });
+  }
+};
+
+// @desc    Invite someone by email to the active organization
+// @route   POST /api/organizations/current/invitations
+// @access  Private (admin)
+const inviteMember = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const email = req.body.email.toLowerCase();
+    const organization = await Organization.findById(req.organization.id);
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser && organization.getMember(existingUser._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This user is already a member'
+      });
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const invitation = await Invitation.create({
+      organizationId: organization._id,
+      email,
+      role: req.body.role,
+      tokenHash: hashToken(token),
+      invitedBy: req.user.userId,
+      expiresAt: new Date(Date.now() + INVITATION_DAYS * 24 * 60 * 60 * 1000)
+    });
+
+    // The token is only shown once; share it with the invitee
+    res.status(201).json({
+      success: true,
+      message: 'Invitation created successfully',
+      data: { invitation, token }
+    });
+  } catch (error) {
+    console.error('Invite member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating invitation'
+    });
+  }
+};
+
+// @desc    Get pending invitations of the active organization
+// @route   GET /api/organizations/current/invitations
+// @access  Private (admin)
+const getInvitations = async (req, res) => {
+  try {
+    const invitations = await Invitation.find({
+      organizationId: req.organization.id,
+      acceptedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { invitations }
+    });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching invitations'
+    });
+  }
+};
+
+// @desc    Cancel a pending invitation
+// @route   DELETE /api/organizations/current/invitations/:id
+// @access  Private (admin)
+const cancelInvitation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const invitation = await Invitation.findOneAndDelete({
+      _id: req.params.id,
+      organizationId: req.organization.id,
+      acceptedAt: null
+    });
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation cancelled successfully',
+      data: { invitation }
+    });
+  } catch (error) {
+    console.error('Cancel invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling invitation'
+    });
+  }
+};
+
+// @desc    Accept an invitation sent to the current user's email
+// @route   POST /api/organizations/invitations/accept
+// @access  Private
+const acceptInvitation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const invitation = await Invitation.findOne({ tokenHash: hashToken(req.body.token) });
+    if (!invitation || !invitation.isPending()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (user.email !== invitation.email) {
+      return res.status(403).json({
+        success: false,
+        message: 'This invitation was sent to a different email address'
+      });
+    }
+
+    // Add the member unless they joined in the meantime
+    const organization = await Organization.findOneAndUpdate(
+      { _id: invitation.organizationId, 'members.userId': { $ne: user._id } },
+      { $push: { members: { userId: user._id, role: invitation.role } } },
+      { new: true }
+    );
+
+    invitation.acceptedAt = new Date();
+    invitation.acceptedBy = user._id;
+    await invitation.save();
+
+    if (!organization) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already a member of this organization'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Joined ${organization.name} as ${invitation.role}`,
+      data: {
+        organization: { id: organization._id, name: organization.name, role: invitation.role }
+      }
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while accepting invitation'
+    });
+  }
+};
+
+// @desc    Change a member's role
+// @route   PATCH /api/organizations/current/members/:userId
+// @access  Private (admin)
+const updateMemberRole = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const organization = await Organization.findById(req.organization.id);
+    const member = organization.getMember(req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (member.role === 'admin' && req.body.role !== 'admin' && organization.adminCount() === 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'An organization needs at least one admin'
+      });
+    }
+
+    member.role = req.body.role;
+    await organization.save();
+
+    res.json({
+      success: true,
+      message: 'Member role updated successfully',
+      data: { member }
+    });
+  } catch (error) {
+    console.error('Update member role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating member role'
+    });
+  }
+};
+
+// @desc    Remove a member, or leave the organization when removing yourself
+// @route   DELETE /api/organizations/current/members/:userId
+// @access  Private (admin, or any member for themselves)
+const removeMember = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const isSelf = req.user.userId.equals(req.params.userId);
+    if (!isSelf && req.organization.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'This action requires the admin role'
+      });
+    }
+
+    const organization = await Organization.findById(req.organization.id);
+    const member = organization.getMember(req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (organization.isPersonal && organization.createdBy.equals(member.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The owner cannot leave their personal organization'
+      });
+    }
+
+    if (member.role === 'admin' && organization.adminCount() === 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'An organization needs at least one admin'
+      });
+    }
+
+    organization.members = organization.members.filter(m => !m.userId.equals(member.userId));
+    await organization.save();
+
+    res.json({
+      success: true,
+      message: isSelf ? 'You left the organization' : 'Member removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing member'
+    });
+  }
+};
+
+module.exports = {
+  getOrganizations,
+  createOrganization,
+  getCurrentOrganization,
+  updateOrganization,
+  inviteMember,
+  getInvitations,
+  cancelInvitation,
+  acceptInvitation,
+  updateMemberRole,
+  removeMember
+};
@@ -0,0 +1,236 @@
+const Period = require('../models/Period');
+const Organization = require('../models/Organization');
+const { validationResult } = require('express-validator');
+const { getPeriodRange, takeSnapshot, detectDrift } = require('../utils/periods');
+
+// @desc    Get closed and reopened periods
+// @route   GET /api/periods
+// @access  Private
+const getPeriods = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const filter = { organizationId: req.organization.id };
+    if (req.query.kind) filter.kind = req.query.kind;
+    if (req.query.status) filter.status = req.query.status;
+
+    const periods = await Period.find(filter).sort({ startDate: -1, kind: 1 });
+
+    res.json({
+      success: true,
+      data: { periods }
+    });
+  } catch (error) {
+    console.error('Get periods error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching periods'
+    });
+  }
+};
+
+// @desc    Compare every closed period with its snapshot and list those that changed
+// @route   GET /api/periods/drift
+// @access  Private
+const getDriftReport = async (req, res) => {
+  try {
+    const periods = await Period.find({ organizationId: req.organization.id, status: 'closed' })
+      .sort({ startDate: 1, kind: 1 });
+
+    const drifted = [];
+    for (const period of periods) {
+      const drift = await detectDrift(period);
+      if (drift.drifted) {
+        drifted.push({ id: period._id, kind: period.kind, label: period.label, snapshot: period.snapshot, drift });
+      }
+    }
+
+    res.json({
+      success: true,
+      data: { checked: periods.length, drifted }
+    });
+  } catch (error) {
+    console.error('Get drift report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while checking periods'
+    });
+  }
+};
+
+// @desc    Get a period with its snapshot and, while closed, any drift since
+// @route   GET /api/periods/:id
+// @access  Private
+const getPeriod = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const period = await Period.findOne({ _id: req.params.id, organizationId: req.organization.id });
+    if (!period) {
+      return res.status(404).json({
+        success: false,
+        message: 'Period not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        period,
+        drift: period.status === 'closed' ? await detectDrift(period) : null
+      }
+    });
+  } catch (error) {
+    console.error('Get period error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching period'
+    });
+  }
+};
+
+// @desc    Close a month or fiscal year and snapshot its totals
+// @route   POST /api/periods
+// @access  Private (admin)
+const closePeriod = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { kind, month, fiscalYear } = req.body;
+    const organization = await Organization.findById(req.organization.id);
+    const range = getPeriodRange(kind, kind === 'month' ? month : fiscalYear, organization.receiptSettings?.fiscalYearStartMonth);
+
+    if (range.end > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: `${range.label} has not ended yet`
+      });
+    }
+
+    let period = await Period.findOne({ organizationId: req.organization.id, kind, label: range.label });
+    if (period && period.status === 'closed') {
+      return res.status(400).json({
+        success: false,
+        message: `${range.label} is already closed`
+      });
+    }
+
+    const snapshot = await takeSnapshot(req.organization.id, req.organization.baseCurrency, range);
+
+    // Closing again after a reopen takes a fresh snapshot
+    if (!period) period = new Period({ organizationId: req.organization.id, kind, label: range.label });
+    period.set({
+      startDate: range.start,
+      endDate: range.end,
+      status: 'closed',
+      closedAt: new Date(),
+      closedBy: req.user.userId,
+      snapshot
+    });
+    period.events.push({ action: 'closed', userId: req.user.userId });
+    await period.save();
+
+    res.status(201).json({
+      success: true,
+      message: `${range.label} closed`,
+      data: { period }
+    });
+  } catch (error) {
+    console.error('Close period error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while closing period'
+    });
+  }
+};
+
+// @desc    Reopen a closed period, recording the reason
+// @route   POST /api/periods/:id/reopen
+// @access  Private (admin)
+const reopenPeriod = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const period = await Period.findOne({ _id: req.params.id, organizationId: req.organization.id });
+    if (!period) {
+      return res.status(404).json({
+        success: false,
+        message: 'Period not found'
+      });
+    }
+
+    if (period.status !== 'closed') {
+      return res.status(400).json({
+        success: false,
+        message: `${period.label} is not closed`
+      });
+    }
+
+    // A month inside a closed fiscal year stays locked by the year
+    const covering = await Period.findOne({
+      organizationId: req.organization.id,
+      _id: { $ne: period._id },
+      status: 'closed',
+      startDate: { $lte: period.startDate },
+      endDate: { $gte: period.endDate }
+    });
+    if (covering) {
+      return res.status(400).json({
+        success: false,
+        message: `Reopen ${covering.label} first`
+      });
+    }
+
+    period.status = 'reopened';
+    period.events.push({ action: 'reopened', reason: req.body.reason, userId: req.user.userId });
+    await period.save();
+
+    res.json({
+      success: true,
+      message: `${period.label} reopened`,
+      data: { period }
+    });
+  } catch (error) {
+    console.error('Reopen period error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reopening period'
+    });
+  }
+};
+
+module.exports = {
+  getPeriods,
+  getDriftReport,
+  getPeriod,
+  closePeriod,
+  reopenPeriod
+};
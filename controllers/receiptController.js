@@ -0,0 +1,356 @@
+const mongoose = require('mongoose');
+const Receipt = require('../models/Receipt');
+const Transaction = require('../models/Transaction');
+const Donor = require('../models/Donor');
+const Organization = require('../models/Organization');
+const { validationResult } = require('express-validator');
+const {
+  getFiscalYear,
+  getFiscalYearRange,
+  findUnreceiptedDonations,
+  issueReceipt
+} = require('../utils/receipts');
+const { renderReceiptHTML, renderReceiptPDF } = require('../utils/receiptRenderer');
+const { round } = require('../utils/money');
+
+const alreadyReceipted = (res, error) => res.status(400).json({
+  success: false,
+  message: error.message
+});
+
+// @desc    Get the receipts register
+// @route   GET /api/receipts
+// @access  Private
+const getReceipts = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { fiscalYear, status, kind, donorId, page = 1, limit = 50 } = req.query;
+    const filter = { organizationId: req.organization.id };
+
+    if (fiscalYear) filter.fiscalYear = parseInt(fiscalYear);
+    if (status) filter.status = status;
+    if (kind) filter.kind = kind;
+    if (donorId) filter.donorId = donorId;
+
+    const receipts = await Receipt.find(filter)
+      .sort({ fiscalYear: 1, number: 1 })
+      .skip((parseInt(page) - 1) * parseInt(limit))
+      .limit(parseInt(limit))
+      .select('-lines -organization');
+
+    const totalReceipts = await Receipt.countDocuments(filter);
+    const totalPages = Math.ceil(totalReceipts / parseInt(limit));
+
+    // Counts per status and issued totals per currency for the whole filter
+    const [summary] = await Receipt.aggregate([
+      { $match: { ...filter, ...(donorId && { donorId: new mongoose.Types.ObjectId(donorId) }) } },
+      {
+        $facet: {
+          counts: [{ $group: { _id: '$status', count: { $sum: 1 } } }],
+          totals: [
+            { $match: { status: 'issued' } },
+            { $unwind: '$totals' },
+            { $group: { _id: '$totals.currency', amount: { $sum: '$totals.amount' } } },
+            { $sort: { _id: 1 } }
+          ]
+        }
+      }
+    ]);
+    const countOf = (status) => summary.counts.find(count => count._id === status)?.count || 0;
+
+    res.json({
+      success: true,
+      data: {
+        receipts,
+        summary: {
+          issued: countOf('issued'),
+          void: countOf('void'),
+          issuedTotals: summary.totals.map(total => ({
+            currency: total._id,
+            amount: round(total.amount)
+          }))
+        },
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalReceipts,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get receipts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching receipts'
+    });
+  }
+};
+
+// @desc    Get a receipt
+// @route   GET /api/receipts/:id
+// @access  Private
+const getReceipt = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const receipt = await Receipt.findOne({ _id: req.params.id, organizationId: req.organization.id });
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Receipt not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { receipt }
+    });
+  } catch (error) {
+    console.error('Get receipt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching receipt'
+    });
+  }
+};
+
+// @desc    Render a receipt as printable HTML or PDF
+// @route   GET /api/receipts/:id/document
+// @access  Private
+const getReceiptDocument = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const receipt = await Receipt.findOne({ _id: req.params.id, organizationId: req.organization.id });
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Receipt not found'
+      });
+    }
+
+    // The template is the organization's current one; the content is as issued
+    const organization = await Organization.findById(req.organization.id).select('receiptSettings');
+    const settings = organization.receiptSettings;
+    const fileName = `receipt-${receipt.receiptNumber}`;
+
+    if (req.query.format === 'pdf') {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.pdf"`);
+      return renderReceiptPDF(receipt, settings, res);
+    }
+
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.setHeader('Content-Disposition', `inline; filename="${fileName}.html"`);
+    res.send(renderReceiptHTML(receipt, settings));
+  } catch (error) {
+    console.error('Render receipt error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Server error while rendering receipt'
+      });
+    }
+  }
+};
+
+// @desc    Issue a receipt for one donation
+// @route   POST /api/receipts
+// @access  Private (treasurer)
+const createReceipt = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const transaction = await Transaction.findOne({
+      _id: req.body.transactionId,
+      organizationId: req.organization.id
+    });
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    if (transaction.type !== 'Income' || !transaction.donorId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only Income transactions with a donor can be receipted'
+      });
+    }
+
+    const organization = await Organization.findById(req.organization.id);
+    const donor = await Donor.findById(transaction.donorId);
+    const startMonth = organization.receiptSettings?.fiscalYearStartMonth;
+
+    const receipt = await issueReceipt({
+      organization,
+      donor,
+      kind: 'single',
+      transactions: [transaction],
+      fiscalYear: getFiscalYear(transaction.date, startMonth),
+      userId: req.user.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Receipt ${receipt.receiptNumber} issued`,
+      data: { receipt }
+    });
+  } catch (error) {
+    if (error.code === 'ALREADY_RECEIPTED') return alreadyReceipted(res, error);
+
+    console.error('Create receipt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while issuing receipt'
+    });
+  }
+};
+
+// @desc    Issue a consolidated receipt for a donor's unreceipted donations of a fiscal year
+// @route   POST /api/receipts/annual
+// @access  Private (treasurer)
+const createAnnualReceipt = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const donor = await Donor.findOne({ _id: req.body.donorId, organizationId: req.organization.id });
+    if (!donor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Donor not found'
+      });
+    }
+
+    const organization = await Organization.findById(req.organization.id);
+    const fiscalYear = parseInt(req.body.fiscalYear);
+    const period = getFiscalYearRange(fiscalYear, organization.receiptSettings?.fiscalYearStartMonth);
+
+    const donations = await findUnreceiptedDonations(organization._id, donor._id, period);
+    if (!donations.length) {
+      return res.status(400).json({
+        success: false,
+        message: `No unreceipted donations from this donor in fiscal year ${fiscalYear}`
+      });
+    }
+
+    const receipt = await issueReceipt({
+      organization,
+      donor,
+      kind: 'annual',
+      transactions: donations,
+      fiscalYear,
+      period,
+      userId: req.user.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Receipt ${receipt.receiptNumber} issued for ${donations.length} donation(s)`,
+      data: { receipt }
+    });
+  } catch (error) {
+    if (error.code === 'ALREADY_RECEIPTED') return alreadyReceipted(res, error);
+
+    console.error('Create annual receipt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while issuing receipt'
+    });
+  }
+};
+
+// @desc    Void a receipt; its number stays taken and its donations can be receipted again
+// @route   POST /api/receipts/:id/void
+// @access  Private (treasurer)
+const voidReceipt = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const receipt = await Receipt.findOneAndUpdate(
+      { _id: req.params.id, organizationId: req.organization.id, status: 'issued' },
+      {
+        status: 'void',
+        voidedAt: new Date(),
+        voidedBy: req.user.userId,
+        voidReason: req.body.reason.trim()
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!receipt) {
+      const exists = await Receipt.exists({ _id: req.params.id, organizationId: req.organization.id });
+      return res.status(exists ? 400 : 404).json({
+        success: false,
+        message: exists ? 'Receipt is already void' : 'Receipt not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Receipt ${receipt.receiptNumber} voided`,
+      data: { receipt }
+    });
+  } catch (error) {
+    console.error('Void receipt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while voiding receipt'
+    });
+  }
+};
+
+module.exports = {
+  getReceipts,
+  getReceipt,
+  getReceiptDocument,
+  createReceipt,
+  createAnnualReceipt,
+  voidReceipt
+};
@@ -0,0 +1,401 @@
+const Account = require('../models/Account');
+const Reconciliation = require('../models/Reconciliation');
+const Transaction = require('../models/Transaction');
+const { validationResult } = require('express-validator');
+const { actorFrom, recordChange } = require('../utils/audit');
+const { summarizeSession, clearProblem } = require('../utils/reconciliation');
+
+const findSession = (req) => Reconciliation.findOne({ _id: req.params.id, organizationId: req.organization.id });
+
+const notInProgress = (res, session) => res.status(400).json({
+  success: false,
+  message: `This reconciliation is ${session.status.replace('_', ' ')}`
+});
+
+// @desc    Get reconciliation sessions
+// @route   GET /api/reconciliations
+// @access  Private
+const getReconciliations = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const filter = { organizationId: req.organization.id };
+    if (req.query.accountId) filter.accountId = req.query.accountId;
+    if (req.query.status) filter.status = req.query.status;
+
+    const reconciliations = await Reconciliation.find(filter)
+      .populate('accountId', 'name currency')
+      .sort({ statementEndDate: -1 });
+
+    res.json({
+      success: true,
+      data: { reconciliations }
+    });
+  } catch (error) {
+    console.error('Get reconciliations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reconciliations'
+    });
+  }
+};
+
+// @desc    Start reconciling an account against a statement
+// @route   POST /api/reconciliations
+// @access  Private (treasurer)
+const createReconciliation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { accountId, statementStartDate, statementEndDate, endingBalance } = req.body;
+
+    const account = await Account.findOne({ _id: accountId, organizationId: req.organization.id });
+    if (!account || account.archived) {
+      return res.status(400).json({
+        success: false,
+        message: account ? 'This account is archived' : 'Account not found'
+      });
+    }
+
+    if (await Reconciliation.exists({ accountId: account._id, status: 'in_progress' })) {
+      return res.status(400).json({
+        success: false,
+        message: 'This account already has a reconciliation in progress'
+      });
+    }
+
+    const session = await Reconciliation.create({
+      organizationId: req.organization.id,
+      accountId: account._id,
+      statementStartDate: statementStartDate ? new Date(statementStartDate) : undefined,
+      statementEndDate: new Date(statementEndDate),
+      endingBalance: parseFloat(endingBalance),
+      createdBy: req.user.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Reconciliation started',
+      data: { reconciliation: session, summary: await summarizeSession(session, account) }
+    });
+  } catch (error) {
+    console.error('Create reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while starting reconciliation'
+    });
+  }
+};
+
+// @desc    Get a session with its balances, the uncleared transactions up to
+//          the statement end and those ticked off so far
+// @route   GET /api/reconciliations/:id
+// @access  Private
+const getReconciliation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = await findSession(req);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reconciliation not found'
+      });
+    }
+
+    const account = await Account.findById(session.accountId);
+    const base = { organizationId: req.organization.id, accountId: account._id };
+
+    const [cleared, uncleared] = await Promise.all([
+      Transaction.find({ ...base, reconciliationId: session._id }).sort({ date: 1 }),
+      session.status === 'in_progress'
+        ? Transaction.find({
+          ...base,
+          clearedStatus: { $in: ['uncleared', null] },
+          date: { $lte: session.statementEndDate }
+        }).sort({ date: 1 })
+        : []
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        reconciliation: session,
+        account,
+        summary: await summarizeSession(session, account),
+        cleared,
+        uncleared
+      }
+    });
+  } catch (error) {
+    console.error('Get reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reconciliation'
+    });
+  }
+};
+
+// @desc    Tick transactions off against the statement, or untick them with { cleared: false }
+// @route   POST /api/reconciliations/:id/clear
+// @access  Private (treasurer)
+const clearTransactions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = await findSession(req);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reconciliation not found'
+      });
+    }
+    if (session.status !== 'in_progress') return notInProgress(res, session);
+
+    const account = await Account.findById(session.accountId);
+    const clear = req.body.cleared !== false;
+    const ids = [...new Set(req.body.transactionIds)];
+
+    const transactions = await Transaction.find({ _id: { $in: ids }, organizationId: req.organization.id });
+    const found = new Map(transactions.map(transaction => [transaction._id.toString(), transaction]));
+
+    const accepted = [];
+    const rejected = [];
+    for (const id of ids) {
+      const transaction = found.get(id);
+      let problem = transaction ? null : 'Transaction not found';
+      if (transaction && clear) problem = clearProblem(transaction, session, account, req.organization.baseCurrency);
+      if (transaction && !clear && !(transaction.reconciliationId && transaction.reconciliationId.equals(session._id))) {
+        problem = 'Not cleared in this reconciliation';
+      }
+
+      if (problem) rejected.push({ transactionId: id, reason: problem });
+      else accepted.push(transaction._id);
+    }
+
+    // The status conditions guard against concurrent ticks from another session
+    const result = clear
+      ? await Transaction.updateMany(
+        { _id: { $in: accepted }, clearedStatus: { $in: ['uncleared', null] } },
+        { clearedStatus: 'cleared', reconciliationId: session._id }
+      )
+      : await Transaction.updateMany(
+        { _id: { $in: accepted }, clearedStatus: 'cleared', reconciliationId: session._id },
+        { clearedStatus: 'uncleared', $unset: { reconciliationId: 1 } }
+      );
+
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} transaction(s) ${clear ? 'cleared' : 'uncleared'}`,
+      data: {
+        updated: result.modifiedCount,
+        rejected,
+        summary: await summarizeSession(session, account)
+      }
+    });
+  } catch (error) {
+    console.error('Clear transactions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while clearing transactions'
+    });
+  }
+};
+
+// @desc    Finalize a balanced session, marking its cleared transactions reconciled
+// @route   POST /api/reconciliations/:id/finalize
+// @access  Private (treasurer)
+const finalizeReconciliation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = await findSession(req);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reconciliation not found'
+      });
+    }
+    if (session.status !== 'in_progress') return notInProgress(res, session);
+
+    const account = await Account.findById(session.accountId);
+    const summary = await summarizeSession(session, account);
+    if (!summary.balanced) {
+      return res.status(400).json({
+        success: false,
+        message: `The cleared balance differs from the statement by ${summary.difference.toFixed(2)} ${account.currency}`,
+        data: { summary }
+      });
+    }
+
+    await Transaction.updateMany(
+      { organizationId: req.organization.id, reconciliationId: session._id, clearedStatus: 'cleared' },
+      { clearedStatus: 'reconciled' }
+    );
+
+    session.set({
+      status: 'finalized',
+      openingBalance: summary.openingBalance,
+      clearedTotal: summary.clearedTotal,
+      clearedCount: summary.clearedCount,
+      finalizedAt: new Date(),
+      finalizedBy: req.user.userId
+    });
+    await session.save();
+
+    res.json({
+      success: true,
+      message: `Reconciliation finalized; ${summary.clearedCount} transaction(s) reconciled`,
+      data: { reconciliation: session, summary: await summarizeSession(session, account) }
+    });
+  } catch (error) {
+    console.error('Finalize reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while finalizing reconciliation'
+    });
+  }
+};
+
+// @desc    Abandon a session in progress, unticking its transactions
+// @route   DELETE /api/reconciliations/:id
+// @access  Private (treasurer)
+const cancelReconciliation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = await findSession(req);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reconciliation not found'
+      });
+    }
+    if (session.status !== 'in_progress') return notInProgress(res, session);
+
+    await Transaction.updateMany(
+      { organizationId: req.organization.id, reconciliationId: session._id, clearedStatus: 'cleared' },
+      { clearedStatus: 'uncleared', $unset: { reconciliationId: 1 } }
+    );
+    await session.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Reconciliation cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling reconciliation'
+    });
+  }
+};
+
+// @desc    Take a reconciled transaction out of its reconciliation so it can be edited
+// @route   POST /api/transactions/:id/unreconcile
+// @access  Private (treasurer)
+const unreconcileTransaction = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const before = await Transaction.findOne({ _id: req.params.id, organizationId: req.organization.id });
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    if (before.clearedStatus !== 'reconciled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Transaction is not reconciled'
+      });
+    }
+
+    const transaction = await Transaction.findOneAndUpdate(
+      { _id: before._id, clearedStatus: 'reconciled' },
+      { clearedStatus: 'uncleared', $unset: { reconciliationId: 1 } },
+      { new: true }
+    );
+
+    // The reason is kept with the reconciliation the transaction came from
+    await Reconciliation.updateOne(
+      { _id: before.reconciliationId, organizationId: req.organization.id },
+      { $push: { unreconciled: { transactionId: before._id, reason: req.body.reason, userId: req.user.userId } } }
+    );
+    await recordChange('update', { before, after: transaction, actor: actorFrom(req) });
+
+    res.json({
+      success: true,
+      message: 'Transaction un-reconciled',
+      data: { transaction }
+    });
+  } catch (error) {
+    console.error('Unreconcile transaction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while un-reconciling transaction'
+    });
+  }
+};
+
+module.exports = {
+  getReconciliations,
+  createReconciliation,
+  getReconciliation,
+  clearTransactions,
+  finalizeReconciliation,
+  cancelReconciliation,
+  unreconcileTransaction
+};
@@ -0,0 +1,263 @@
+const Transaction = require('../models/Transaction');
+const { validationResult } = require('express-validator');
+const { addInterval } = require('../utils/recurrence');
+const { generateOccurrences } = require('../utils/recurringScheduler');
+const { toSnapshot, actorFrom, recordChange } = require('../utils/audit');
+const { ensureDefaultFund } = require('../utils/funds');
+const { resolveCategory } = require('../utils/categories');
+const { findClosedPeriod } = require('../utils/periods');
+
+const findTemplate = (id, organizationId) => Transaction.findOne({
+  _id: id,
+  organizationId,
+  isRecurring: true
+});
+
+// @desc    Get recurring transaction templates
+// @route   GET /api/recurring
+// @access  Private
+const getRecurringTransactions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const filter = { organizationId: req.organization.id, isRecurring: true };
+    if (req.query.status) filter['recurringDetails.status'] = req.query.status;
+
+    const templates = await Transaction.find(filter)
+      .sort({ 'recurringDetails.nextDueDate': 1 });
+
+    res.json({
+      success: true,
+      data: { templates }
+    });
+  } catch (error) {
+    console.error('Get recurring transactions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching recurring transactions'
+    });
+  }
+};
+
+// @desc    Create a recurring transaction template
+// @route   POST /api/recurring
+// @access  Private
+const createRecurringTransaction = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { date, description, amount, currency, category, type, recurringDetails } = req.body;
+
+    // A backdated template fills in its occurrences up to today
+    const closedPeriod = await findClosedPeriod(req.organization.id, new Date(date), new Date());
+    if (closedPeriod) {
+      return res.status(400).json({
+        success: false,
+        message: `Occurrences from ${date} would fall in closed period ${closedPeriod.label}`
+      });
+    }
+
+    const managedCategory = await resolveCategory(req.organization.id, category, type, { createdBy: req.user.userId });
+
+    const template = new Transaction({
+      organizationId: req.organization.id,
+      userId: req.user.userId,
+      date: new Date(date),
+      description: description.trim(),
+      amount: parseFloat(amount),
+      currency: currency || req.organization.baseCurrency,
+      category: managedCategory.name,
+      categoryId: managedCategory._id,
+      type,
+      fundId: (await ensureDefaultFund(req.organization.id))._id,
+      isRecurring: true,
+      recurringDetails: {
+        frequency: recurringDetails.frequency,
+        endDate: recurringDetails.endDate ? new Date(recurringDetails.endDate) : undefined
+      }
+    });
+
+    await template.save();
+    await recordChange('create', { after: template, actor: actorFrom(req) });
+
+    // Backdated templates catch up straight away instead of waiting for the scheduler
+    const generated = await generateOccurrences(template);
+
+    res.status(201).json({
+      success: true,
+      message: 'Recurring transaction created successfully',
+      data: { template, generated }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => ({ path: err.path, msg: err.message }))
+      });
+    }
+
+    console.error('Create recurring transaction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating recurring transaction'
+    });
+  }
+};
+
+// @desc    Get occurrences generated from a recurring template
+// @route   GET /api/recurring/:id/occurrences
+// @access  Private
+const getOccurrences = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const template = await findTemplate(req.params.id, req.organization.id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring transaction not found'
+      });
+    }
+
+    const occurrences = await Transaction.find({
+      organizationId: req.organization.id,
+      recurringParentId: template._id
+    }).sort({ occurrenceDate: -1 });
+
+    res.json({
+      success: true,
+      data: { template, occurrences }
+    });
+  } catch (error) {
+    console.error('Get occurrences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching occurrences'
+    });
+  }
+};
+
+// Build a handler that moves a template between statuses
+const changeStatus = ({ from, to, verb, past, apply }) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const template = await findTemplate(req.params.id, req.organization.id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring transaction not found'
+      });
+    }
+
+    if (!from.includes(template.recurringDetails.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot ${verb} a ${template.recurringDetails.status} recurring transaction`
+      });
+    }
+
+    const before = toSnapshot(template);
+    template.recurringDetails.status = to;
+    if (apply) apply(template);
+    await template.save();
+    await recordChange('update', { before, after: template, actor: actorFrom(req) });
+
+    res.json({
+      success: true,
+      message: `Recurring transaction ${past} successfully`,
+      data: { template }
+    });
+  } catch (error) {
+    console.error(`Recurring transaction ${verb} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Server error while trying to ${verb} recurring transaction`
+    });
+  }
+};
+
+// @desc    Pause a recurring transaction
+// @route   PATCH /api/recurring/:id/pause
+// @access  Private
+const pauseRecurringTransaction = changeStatus({
+  from: ['active'],
+  to: 'paused',
+  verb: 'pause',
+  past: 'paused'
+});
+
+// @desc    Resume a paused recurring transaction. Occurrences that fell due
+//          while paused are skipped rather than back-filled.
+// @route   PATCH /api/recurring/:id/resume
+// @access  Private
+const resumeRecurringTransaction = changeStatus({
+  from: ['paused'],
+  to: 'active',
+  verb: 'resume',
+  past: 'resumed',
+  apply: (template) => {
+    const { frequency } = template.recurringDetails;
+    const anchorDay = template.date.getDate();
+    const now = new Date();
+
+    let nextDueDate = template.recurringDetails.nextDueDate;
+    while (nextDueDate <= now) {
+      nextDueDate = addInterval(nextDueDate, frequency, anchorDay);
+    }
+    template.recurringDetails.nextDueDate = nextDueDate;
+
+    const { endDate } = template.recurringDetails;
+    if (endDate && nextDueDate > endDate) {
+      template.recurringDetails.status = 'completed';
+    }
+  }
+});
+
+// @desc    Cancel a recurring transaction permanently
+// @route   PATCH /api/recurring/:id/cancel
+// @access  Private
+const cancelRecurringTransaction = changeStatus({
+  from: ['active', 'paused'],
+  to: 'cancelled',
+  verb: 'cancel',
+  past: 'cancelled'
+});
+
+module.exports = {
+  getRecurringTransactions,
+  createRecurringTransaction,
+  getOccurrences,
+  pauseRecurringTransaction,
+  resumeRecurringTransaction,
+  cancelRecurringTransaction
+};
@@ -0,0 +1,338 @@
+const CategorizationRule = require('../models/CategorizationRule');
+const { validationResult } = require('express-validator');
+const { actorFrom } = require('../utils/audit');
+const { findCategoryByName } = require('../utils/categories');
+const { PREVIEW_LIMIT, findRuleChanges, suggestCategories } = require('../utils/categorization');
+const { updateTransactionRecord } = require('../utils/transactionWriter');
+
+const RULE_FIELDS = ['name', 'priority', 'enabled', 'conditions', 'actions'];
+
+// Copy the fields present in the body; conditions and actions are replaced as a whole
+const buildRuleData = (body) => {
+  const data = {};
+  for (const field of RULE_FIELDS) {
+    if (body[field] !== undefined) data[field] = body[field];
+  }
+  return data;
+};
+
+const validationFailed = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation failed',
+  errors: Object.values(error.errors).map(err => ({ path: err.path, msg: err.message }))
+});
+
+// A rule's category takes the spelling of an existing category, which must
+// not be archived and must fit the rule's type. Returns a problem, if any.
+const checkCategoryAction = async (organizationId, actions) => {
+  if (!actions || !actions.category) return null;
+
+  const category = await findCategoryByName(organizationId, actions.category);
+  if (!category) return null;
+  if (category.archived) return `Category "${category.name}" is archived`;
+  if (actions.type && actions.type !== category.type) return `Category "${category.name}" is an ${category.type} category`;
+
+  actions.category = category.name;
+  return null;
+};
+
+const nameTaken = (req, name, excludeId) => CategorizationRule.exists({
+  organizationId: req.organization.id,
+  name: name.trim(),
+  ...(excludeId && { _id: { $ne: excludeId } })
+});
+
+// @desc    Get categorization rules in the order they run
+// @route   GET /api/rules
+// @access  Private
+const getRules = async (req, res) => {
+  try {
+    const rules = await CategorizationRule.find({ organizationId: req.organization.id })
+      .sort({ priority: 1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: { rules }
+    });
+  } catch (error) {
+    console.error('Get rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching rules'
+    });
+  }
+};
+
+// @desc    Create a categorization rule
+// @route   POST /api/rules
+// @access  Private (treasurer)
+const createRule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (await nameTaken(req, req.body.name)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A rule with this name already exists'
+      });
+    }
+
+    const problem = await checkCategoryAction(req.organization.id, req.body.actions);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    const rule = await CategorizationRule.create({
+      ...buildRuleData(req.body),
+      organizationId: req.organization.id,
+      createdBy: req.user.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Rule created successfully',
+      data: { rule }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') return validationFailed(res, error);
+
+    console.error('Create rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating rule'
+    });
+  }
+};
+
+// @desc    Update a categorization rule
+// @route   PATCH /api/rules/:id
+// @access  Private (treasurer)
+const updateRule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rule = await CategorizationRule.findOne({ _id: req.params.id, organizationId: req.organization.id });
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rule not found'
+      });
+    }
+
+    if (req.body.name && await nameTaken(req, req.body.name, rule._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A rule with this name already exists'
+      });
+    }
+
+    const problem = await checkCategoryAction(req.organization.id, req.body.actions);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    rule.set(buildRuleData(req.body));
+    await rule.save();
+
+    res.json({
+      success: true,
+      message: 'Rule updated successfully',
+      data: { rule }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') return validationFailed(res, error);
+
+    console.error('Update rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating rule'
+    });
+  }
+};
+
+// @desc    Delete a categorization rule
+// @route   DELETE /api/rules/:id
+// @access  Private (treasurer)
+const deleteRule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rule = await CategorizationRule.findOneAndDelete({ _id: req.params.id, organizationId: req.organization.id });
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting rule'
+    });
+  }
+};
+
+// @desc    Preview the changes re-running the rules would make to existing transactions
+// @route   POST /api/rules/preview
+// @access  Private
+const previewRules = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { rules, scanned, changes } = await findRuleChanges(req.organization.id, req.body);
+
+    res.json({
+      success: true,
+      data: {
+        rules,
+        scanned,
+        matched: changes.length,
+        truncated: changes.length > PREVIEW_LIMIT,
+        changes: changes.slice(0, PREVIEW_LIMIT)
+      }
+    });
+  } catch (error) {
+    console.error('Preview rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while previewing rules'
+    });
+  }
+};
+
+// @desc    Re-run the rules over existing transactions
+// @route   POST /api/rules/apply
+// @access  Private (treasurer)
+const applyRules = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const ctx = {
+      organizationId: req.organization.id,
+      userId: req.user.userId,
+      baseCurrency: req.organization.baseCurrency,
+      actor: { ...actorFrom(req), source: 'rules' }
+    };
+
+    const { changes } = await findRuleChanges(req.organization.id, req.body);
+    let updated = 0;
+    const failed = [];
+
+    // Each transaction goes through the usual checks and gets its own history entry
+    for (const change of changes) {
+      const data = Object.fromEntries(Object.entries(change.changes).map(([field, { to }]) => [field, to]));
+      try {
+        if (await updateTransactionRecord(ctx, change.transactionId, data)) updated++;
+      } catch (error) {
+        if (error.name !== 'ValidationError') throw error;
+        failed.push({
+          transactionId: change.transactionId,
+          message: Object.values(error.errors).map(err => err.message).join('; ')
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: `${updated} transaction(s) updated${failed.length ? `, ${failed.length} failed` : ''}`,
+      data: { updated, failed }
+    });
+  } catch (error) {
+    console.error('Apply rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while applying rules'
+    });
+  }
+};
+
+// @desc    Suggest categories for a description from your past transactions
+// @route   GET /api/rules/suggestions
+// @access  Private
+const getSuggestions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { description, amount, limit } = req.query;
+    const suggestions = await suggestCategories(req.organization.id, req.user.userId, {
+      description,
+      amount: amount ? parseFloat(amount) : undefined,
+      limit: limit ? parseInt(limit) : undefined
+    });
+
+    res.json({
+      success: true,
+      data: { suggestions }
+    });
+  } catch (error) {
+    console.error('Get suggestions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching suggestions'
+    });
+  }
+};
+
+module.exports = {
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  previewRules,
+  applyRules,
+  getSuggestions
+};
@@ -0,0 +1,170 @@
+const SavedSearch = require('../models/SavedSearch');
+const { validationResult } = require('express-validator');
+
+const ownSearch = (req) => ({
+  organizationId: req.organization.id,
+  userId: req.user.userId
+});
+
+const nameTaken = (req, name, excludeId) => SavedSearch.exists({
+  ...ownSearch(req),
+  name,
+  ...(excludeId && { _id: { $ne: excludeId } })
+});
+
+// @desc    Get the current user's saved searches
+// @route   GET /api/transactions/searches
+// @access  Private
+const getSavedSearches = async (req, res) => {
+  try {
+    const searches = await SavedSearch.find(ownSearch(req)).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: { searches }
+    });
+  } catch (error) {
+    console.error('Get saved searches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching saved searches'
+    });
+  }
+};
+
+// @desc    Save a set of transaction list filters under a name
+// @route   POST /api/transactions/searches
+// @access  Private
+const createSavedSearch = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (await nameTaken(req, req.body.name)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have a saved search with this name'
+      });
+    }
+
+    const search = await SavedSearch.create({
+      ...ownSearch(req),
+      name: req.body.name,
+      query: req.body.query
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Search saved successfully',
+      data: { search }
+    });
+  } catch (error) {
+    console.error('Create saved search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while saving search'
+    });
+  }
+};
+
+// @desc    Rename a saved search or replace its filters
+// @route   PATCH /api/transactions/searches/:id
+// @access  Private
+const updateSavedSearch = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, query } = req.body;
+
+    if (name && await nameTaken(req, name, req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have a saved search with this name'
+      });
+    }
+
+    const updateData = {};
+    if (name) updateData.name = name;
+    if (query) updateData.query = query;
+
+    const search = await SavedSearch.findOneAndUpdate(
+      { _id: req.params.id, ...ownSearch(req) },
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Saved search updated successfully',
+      data: { search }
+    });
+  } catch (error) {
+    console.error('Update saved search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating saved search'
+    });
+  }
+};
+
+// @desc    Delete a saved search
+// @route   DELETE /api/transactions/searches/:id
+// @access  Private
+const deleteSavedSearch = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const search = await SavedSearch.findOneAndDelete({ _id: req.params.id, ...ownSearch(req) });
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Saved search deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete saved search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting saved search'
+    });
+  }
+};
+
+module.exports = {
+  getSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch
+};
@@ -1,7 +1,99 @@
+const mongoose = require('mongoose');
 const Transaction = require('../models/Transaction');
+const TransactionHistory = require('../models/TransactionHistory');
+const SavedSearch = require('../models/SavedSearch');
+const Category = require('../models/Category');
 const { validationResult } = require('express-validator');
+const { generateOccurrences } = require('../utils/recurringScheduler');
+const { checkBudgetAlerts } = require('../utils/budget');
+const { createExporter } = require('../utils/exporters');
+const { actorFrom } = require('../utils/audit');
+const { getRetentionDays } = require('../utils/trashPurger');
+const { conversionStages, baseTotals } = require('../utils/currency');
+const { getFundBreakdown } = require('../utils/funds');
+const { countAttachments, getAttachedTransactionIds } = require('../utils/attachments');
+const { escapeRegex, toList, encodeCursor, decodeCursor, cursorCondition } = require('../utils/search');
+const { ensureCategoriesMigrated, rollUpCategoryStats } = require('../utils/categories');
+const { buildForecast } = require('../utils/forecast');
+const { splitLineStages, countTransactions } = require('../utils/splits');
+const {
+  createTransactionRecord,
+  updateTransactionRecord,
+  trashTransactionRecord,
+  restoreTransactionRecord
+} = require('../utils/transactionWriter');
 
-// @desc    Get all or filtered transactions with pagination
+// Who is writing, for the shared transaction writer
+const writeContext = (req) => ({
+  organizationId: req.organization.id,
+  userId: req.user.userId,
+  baseCurrency: req.organization.baseCurrency,
+  actor: actorFrom(req)
+});
+
+// Build the find() filter shared by the transaction list and export
+const buildTransactionFilter = (organizationId, {
+  search, startDate, endDate, category, type, description, tags, paymentMethod, isRecurring,
+  amountMin, amountMax, donorId, fundId, grantId, accountId, clearedStatus
+}) => {
+  const filter = { organizationId };
+
+  // Full-text search over description, notes and tags
+  if (search) filter.$text = { $search: search };
+
+  // Date filtering
+  if (startDate || endDate) {
+    filter.date = {};
+    if (startDate) filter.date.$gte = new Date(startDate);
+    if (endDate) filter.date.$lte = new Date(endDate);
+  }
+
+  // Amount range
+  if (amountMin !== undefined || amountMax !== undefined) {
+    filter.amount = {};
+    if (amountMin !== undefined) filter.amount.$gte = parseFloat(amountMin);
+    if (amountMax !== undefined) filter.amount.$lte = parseFloat(amountMax);
+  }
+
+  // Category filtering: any of the values, matched case-insensitively as part
+  // of the name of the transaction's category or of one of its split lines
+  const categories = toList(category);
+  if (categories.length) {
+    const patterns = { $in: categories.map(value => new RegExp(escapeRegex(value), 'i')) };
+    filter.$or = [{ category: patterns }, { 'splits.category': patterns }];
+  }
+
+  // Type, payment method and tag filtering: any of the values
+  const types = toList(type);
+  if (types.length) filter.type = { $in: types };
+
+  const paymentMethods = toList(paymentMethod);
+  if (paymentMethods.length) filter.paymentMethod = { $in: paymentMethods };
+
+  const tagList = toList(tags);
+  if (tagList.length) filter.tags = { $in: tagList };
+
+  if (isRecurring !== undefined) filter.isRecurring = isRecurring === 'true';
+
+  // Description search
+  if (description) filter.description = { $regex: escapeRegex(description), $options: 'i' };
+
+  if (donorId) filter.donorId = donorId;
+  if (fundId) filter.fundId = fundId;
+  if (grantId) filter.grantId = grantId;
+  if (accountId) filter.accountId = accountId;
+
+  // Transactions from before reconciliation existed have no status and count as uncleared
+  const clearedStatuses = toList(clearedStatus);
+  if (clearedStatuses.length) {
+    filter.clearedStatus = { $in: clearedStatuses.includes('uncleared') ? [...clearedStatuses, null] : clearedStatuses };
+  }
+
+  return filter;
+};
+
+// @desc    Get all or filtered transactions with page or cursor pagination,
+//          optionally re-running a saved search
 // @route   GET /api/transactions
 // @access  Private
 const getTransactions = async (req, res) => {
@@ -15,46 +107,96 @@ const getTransactions = async (req, res) => {
       });
     }
 
+    // Parameters given with the request override the saved ones
+    let params = req.query;
+    if (req.query.savedSearch) {
+      const { savedSearch, ...overrides } = req.query;
+      const saved = await SavedSearch.findOneAndUpdate(
+        { organizationId: req.organization.id, userId: req.user.userId, name: savedSearch },
+        { lastRunAt: new Date() }
+      );
+      if (!saved) {
+        return res.status(404).json({
+          success: false,
+          message: 'Saved search not found'
+        });
+      }
+      params = { ...saved.query, ...overrides };
+    }
+
     const { 
-      startDate, 
-      endDate, 
-      category, 
-      type,
-      description, 
       page = 1, 
       limit = 10,
-      sortBy = 'date',
-      sortOrder = 'desc'
-    } = req.query;
+      sortBy = params.search ? 'relevance' : 'date',
+      sortOrder = 'desc',
+      cursor
+    } = params;
 
-    const filter = { userId: req.user.userId };
+    // Checked here rather than in the route because saved searches supply
+    // some of the parameters
+    const position = cursor && decodeCursor(cursor, sortBy);
+    const paramError = (sortBy === 'relevance' && !params.search && 'Sorting by relevance needs a search term')
+      || (cursor && sortBy === 'relevance' && 'Cursor pagination is not available when sorting by relevance')
+      || (cursor && !position && 'Invalid cursor');
+    if (paramError) {
+      return res.status(400).json({
+        success: false,
+        message: paramError
+      });
+    }
 
-    // Date filtering
-    if (startDate || endDate) {
-      filter.date = {};
-      if (startDate) filter.date.$gte = new Date(startDate);
-      if (endDate) filter.date.$lte = new Date(endDate);
+    const filter = buildTransactionFilter(req.organization.id, params);
+
+    // Expenses without a receipt or invoice attached
+    if (params.missingReceipt === 'true') {
+      filter.type = 'Expense';
+      filter._id = { $nin: await getAttachedTransactionIds(req.organization.id) };
     }
 
-    // Category filtering
-    if (category) filter.category = { $regex: category, $options: 'i' };
-    
-    // Type filtering
-    if (type) filter.type = type;
-    
-    // Description search
-    if (description) filter.description = { $regex: description, $options: 'i' };
+    // Sort on the requested field with _id as tie-breaker so pages are stable
+    const direction = sortOrder === 'desc' ? -1 : 1;
+    const sortObj = sortBy === 'relevance'
+      ? { score: { $meta: 'textScore' }, _id: -1 }
+      : { [sortBy]: direction, _id: direction };
 
-    // Pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    const sortObj = {};
-    sortObj[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    // Cursor pagination continues after the last row of the previous page
+    // instead of skipping, so deep pages stay fast
+    const pageFilter = cursor
+      ? { ...filter, $and: [cursorCondition(position, sortBy, sortOrder)] }
+      : filter;
+    const skip = cursor ? 0 : (parseInt(page) - 1) * parseInt(limit);
 
-    // Get transactions with pagination
-    const transactions = await Transaction.find(filter)
+    // Fetch one extra row to know whether another page follows
+    const query = Transaction.find(pageFilter)
       .sort(sortObj)
       .skip(skip)
-      .limit(parseInt(limit));
+      .limit(parseInt(limit) + 1);
+    if (sortBy === 'relevance') query.select({ score: { $meta: 'textScore' } });
+
+    const rows = await query;
+    const hasNextPage = rows.length > parseInt(limit);
+    const transactions = rows.slice(0, parseInt(limit));
+    const nextCursor = hasNextPage && sortBy !== 'relevance'
+      ? encodeCursor(transactions[transactions.length - 1], sortBy)
+      : null;
+
+    const attachmentCounts = await countAttachments(req.organization.id, transactions.map(t => t._id));
+    const items = transactions.map(t => ({
+      ...t.toJSON(),
+      attachmentCount: attachmentCounts.get(t._id.toString()) || 0
+    }));
+
+    // Counting every match is what makes deep offset pages slow, so cursor
+    // pages skip it
+    if (cursor) {
+      return res.json({
+        success: true,
+        data: {
+          transactions: items,
+          pagination: { limit: parseInt(limit), hasNextPage, nextCursor }
+        }
+      });
+    }
 
     // Get total count for pagination
     const totalTransactions = await Transaction.countDocuments(filter);
@@ -63,13 +205,14 @@ const getTransactions = async (req, res) => {
     res.json({
       success: true,
       data: {
-        transactions,
+        transactions: items,
         pagination: {
           currentPage: parseInt(page),
           totalPages,
           totalTransactions,
-          hasNextPage: page < totalPages,
-          hasPrevPage: page > 1
+          hasNextPage,
+          hasPrevPage: page > 1,
+          nextCursor
         }
       }
     });
@@ -82,6 +225,79 @@ const getTransactions = async (req, res) => {
   }
 };
 
+// @desc    Stream all matching transactions as CSV, JSON Lines or OFX
+// @route   GET /api/transactions/export
+// @access  Private
+const exportTransactions = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { format = 'csv', include, startDate, endDate, sortOrder = 'asc' } = req.query;
+  const columns = include ? include.split(',').map(column => column.trim()) : [];
+  const exporter = createExporter(format, columns, {
+    startDate: startDate && new Date(startDate),
+    endDate: endDate && new Date(endDate),
+    currency: req.organization.baseCurrency
+  });
+
+  const filter = buildTransactionFilter(req.organization.id, req.query);
+  const cursor = Transaction.find(filter)
+    .sort({ date: sortOrder === 'desc' ? -1 : 1, _id: 1 })
+    .cursor();
+
+  // Respect backpressure so a slow client doesn't buffer the whole ledger. A
+  // client that goes away while the buffer is full never drains it, so
+  // 'close' and 'error' also end the wait; the loop then sees res.destroyed.
+  const write = (chunk) => new Promise((resolve, reject) => {
+    if (!chunk || res.destroyed || res.write(chunk)) return resolve();
+
+    const done = (error) => {
+      res.off('drain', done);
+      res.off('close', done);
+      res.off('error', done);
+      if (error) reject(error);
+      else resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+    res.on('error', done);
+  });
+
+  try {
+    const fileName = `transactions-${new Date().toISOString().slice(0, 10)}.${exporter.extension}`;
+    res.setHeader('Content-Type', exporter.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    await write(exporter.header());
+    for await (const doc of cursor) {
+      if (res.destroyed) break;
+      await write(exporter.row(doc));
+    }
+    await write(exporter.footer());
+
+    res.end();
+  } catch (error) {
+    console.error('Export transactions error:', error);
+
+    if (!res.headersSent) {
+      return res.status(500).json({
+        success: false,
+        message: 'Server error while exporting transactions'
+      });
+    }
+    // Part of the file has been sent, so the only signal left is a broken stream
+    res.destroy(error);
+  } finally {
+    await cursor.close().catch(() => {});
+  }
+};
+
 // @desc    Get single transaction
 // @route   GET /api/transactions/:id
 // @access  Private
@@ -98,7 +314,7 @@ const getTransaction = async (req, res) => {
 
     const transaction = await Transaction.findOne({
       _id: req.params.id,
-      userId: req.user.userId
+      organizationId: req.organization.id
     });
 
     if (!transaction) {
@@ -135,25 +351,29 @@ const addTransaction = async (req, res) => {
       });
     }
 
-    const { date, description, amount, category, type } = req.body;
+    const transaction = await createTransactionRecord(writeContext(req), req.body);
 
-    const transaction = new Transaction({
-      userId: req.user.userId,
-      date: new Date(date),
-      description: description.trim(),
-      amount: parseFloat(amount),
-      category: category.trim(),
-      type
-    });
+    // Backdated recurring transactions catch up straight away
+    if (transaction.isRecurring) {
+      await generateOccurrences(transaction);
+    }
 
-    await transaction.save();
+    const budgetAlerts = await checkBudgetAlerts(transaction);
 
     res.status(201).json({
       success: true,
       message: 'Transaction added successfully',
-      data: { transaction }
+      data: { transaction, budgetAlerts }
     });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => ({ path: err.path, msg: err.message }))
+      });
+    }
+
     console.error('Add transaction error:', error);
     res.status(500).json({
       success: false,
@@ -176,20 +396,13 @@ const updateTransaction = async (req, res) => {
       });
     }
 
-    const updateData = {};
-    const { date, description, amount, category, type } = req.body;
-
-    if (date) updateData.date = new Date(date);
-    if (description) updateData.description = description.trim();
-    if (amount) updateData.amount = parseFloat(amount);
-    if (category) updateData.category = category.trim();
-    if (type) updateData.type = type;
+    // As it was before the edit, so budget alerts only fire when it crosses
+    const before = await Transaction.findOne({
+      _id: req.params.id,
+      organizationId: req.organization.id
+    }).lean();
 
-    const transaction = await Transaction.findOneAndUpdate(
-      { _id: req.params.id, userId: req.user.userId },
-      updateData,
-      { new: true, runValidators: true }
-    );
+    const transaction = before && await updateTransactionRecord(writeContext(req), req.params.id, req.body);
 
     if (!transaction) {
       return res.status(404).json({
@@ -198,12 +411,22 @@ const updateTransaction = async (req, res) => {
       });
     }
 
+    const budgetAlerts = await checkBudgetAlerts(transaction, { before });
+
     res.json({
       success: true,
       message: 'Transaction updated successfully',
-      data: { transaction }
+      data: { transaction, budgetAlerts }
     });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => ({ path: err.path, msg: err.message }))
+      });
+    }
+
     console.error('Update transaction error:', error);
     res.status(500).json({
       success: false,
@@ -212,7 +435,7 @@ const updateTransaction = async (req, res) => {
   }
 };
 
-// @desc    Delete a transaction
+// @desc    Move a transaction to the trash
 // @route   DELETE /api/transactions/:id
 // @access  Private
 const deleteTransaction = async (req, res) => {
@@ -226,10 +449,7 @@ const deleteTransaction = async (req, res) => {
       });
     }
 
-    const transaction = await Transaction.findOneAndDelete({
-      _id: req.params.id,
-      userId: req.user.userId
-    });
+    const transaction = await trashTransactionRecord(writeContext(req), req.params.id);
 
     if (!transaction) {
       return res.status(404).json({
@@ -240,10 +460,18 @@ const deleteTransaction = async (req, res) => {
 
     res.json({
       success: true,
-      message: 'Transaction deleted successfully',
+      message: 'Transaction moved to trash',
       data: { transaction }
     });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => ({ path: err.path, msg: err.message }))
+      });
+    }
+
     console.error('Delete transaction error:', error);
     res.status(500).json({
       success: false,
@@ -252,13 +480,372 @@ const deleteTransaction = async (req, res) => {
   }
 };
 
+// Apply one bulk operation. Returns null when the target does not exist.
+const runBulkOperation = (ctx, operation, session) => {
+  switch (operation.op) {
+    case 'create':
+      return createTransactionRecord(ctx, operation.data, { session });
+    case 'update':
+      return updateTransactionRecord(ctx, operation.id, operation.data, { session });
+    default:
+      return trashTransactionRecord(ctx, operation.id, { session });
+  }
+};
+
+// @desc    Apply a batch of create, update and delete operations
+// @route   POST /api/transactions/bulk
+// @access  Private
+const bulkTransactions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { operations, bestEffort = false } = req.body;
+    const operationErrors = req.operationErrors;
+    const ctx = writeContext(req);
+    const results = operations.map((operation, index) => ({ index, op: operation.op, id: operation.id }));
+
+    const invalidCount = operationErrors.filter(opErrors => opErrors.length).length;
+
+    // All-or-nothing: one invalid operation rejects the batch before any write
+    if (!bestEffort && invalidCount) {
+      return res.status(400).json({
+        success: false,
+        message: `${invalidCount} operation(s) failed validation, nothing was applied`,
+        data: {
+          results: results.map((result, index) => operationErrors[index].length
+            ? { ...result, status: 'invalid', errors: operationErrors[index] }
+            : { ...result, status: 'not-applied' })
+        }
+      });
+    }
+
+    if (bestEffort) {
+      for (const [index, operation] of operations.entries()) {
+        if (operationErrors[index].length) {
+          Object.assign(results[index], { status: 'invalid', errors: operationErrors[index] });
+          continue;
+        }
+
+        try {
+          const transaction = await runBulkOperation(ctx, operation);
+          Object.assign(results[index], transaction
+            ? { status: 'ok', id: transaction._id, transaction }
+            : { status: 'failed', message: 'Transaction not found' });
+        } catch (error) {
+          Object.assign(results[index], { status: 'failed', message: error.message });
+        }
+      }
+    } else {
+      const session = await mongoose.startSession();
+      let currentIndex = null;
+      let failure = null;
+
+      try {
+        await session.withTransaction(async () => {
+          for (const [index, operation] of operations.entries()) {
+            currentIndex = index;
+            const transaction = await runBulkOperation(ctx, operation, session);
+            if (!transaction) {
+              const notFound = new Error('Transaction not found');
+              notFound.status = 404;
+              throw notFound;
+            }
+            Object.assign(results[index], { status: 'ok', id: transaction._id, transaction });
+          }
+        });
+      } catch (error) {
+        failure = error;
+      } finally {
+        await session.endSession();
+      }
+
+      if (failure) {
+        // Standalone MongoDB servers do not support transactions
+        if (failure.code === 20 || /replica set/i.test(failure.message)) {
+          return res.status(501).json({
+            success: false,
+            message: 'Atomic bulk operations need MongoDB running as a replica set; retry with bestEffort'
+          });
+        }
+
+        const isClientError = failure.status === 404 || failure.name === 'ValidationError';
+        if (!isClientError) console.error('Bulk transactions error:', failure);
+
+        return res.status(isClientError ? 400 : 500).json({
+          success: false,
+          message: `Operation ${currentIndex} failed, the batch was rolled back`,
+          data: {
+            results: results.map((result, index) => index === currentIndex
+              ? { index, op: result.op, id: result.id, status: 'failed', message: isClientError ? failure.message : 'Server error' }
+              : { index, op: result.op, id: result.id, status: 'rolled-back' })
+          }
+        });
+      }
+    }
+
+    // Occurrences are generated outside the batch so they cannot roll it back
+    for (const result of results) {
+      if (result.op === 'create' && result.status === 'ok' && result.transaction.isRecurring) {
+        await generateOccurrences(result.transaction);
+      }
+    }
+
+    const failed = results.filter(result => result.status !== 'ok').length;
+
+    res.status(failed ? 207 : 200).json({
+      success: failed === 0,
+      message: failed
+        ? `${results.length - failed} of ${results.length} operation(s) applied`
+        : `${results.length} operation(s) applied`,
+      data: { results }
+    });
+  } catch (error) {
+    console.error('Bulk transactions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while applying bulk operations'
+    });
+  }
+};
+
+// @desc    Get trashed transactions
+// @route   GET /api/transactions/trash
+// @access  Private
+const getTrash = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 10 } = req.query;
+    const filter = { organizationId: req.organization.id, deletedAt: { $ne: null } };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const transactions = await Transaction.find(filter)
+      .sort({ deletedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('deletedBy', 'username email');
+
+    const totalTransactions = await Transaction.countDocuments(filter);
+    const totalPages = Math.ceil(totalTransactions / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        transactions,
+        retentionDays: getRetentionDays(),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalTransactions,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching trash'
+    });
+  }
+};
+
+// @desc    Restore a trashed transaction
+// @route   POST /api/transactions/:id/restore
+// @access  Private
+const restoreTransaction = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const transaction = await restoreTransactionRecord(writeContext(req), req.params.id);
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found in trash'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Transaction restored successfully',
+      data: { transaction }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => ({ path: err.path, msg: err.message }))
+      });
+    }
+
+    console.error('Restore transaction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while restoring transaction'
+    });
+  }
+};
+
+// @desc    Get the change history of a transaction
+// @route   GET /api/transactions/:id/history
+// @access  Private
+const getTransactionHistory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // History outlives the transaction, so deleted records can still be audited
+    const history = await TransactionHistory.find({
+      transactionId: req.params.id,
+      organizationId: req.organization.id
+    })
+      .sort({ version: -1 })
+      .populate('userId', 'username email');
+
+    if (!history.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'No history found for this transaction'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { history }
+    });
+  } catch (error) {
+    console.error('Get transaction history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching transaction history'
+    });
+  }
+};
+
+// @desc    Revert a transaction to an earlier version
+// @route   POST /api/transactions/:id/revert
+// @access  Private
+const revertTransaction = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const transaction = await Transaction.findOne({
+      _id: req.params.id,
+      organizationId: req.organization.id
+    });
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    const version = parseInt(req.body.version);
+    const entry = await TransactionHistory.findOne({
+      transactionId: transaction._id,
+      version
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: `Version ${version} not found`
+      });
+    }
+
+    // The version's content goes through the same checks as an edit: its
+    // category must still be usable, its fund able to carry it and its grant
+    // open. Fields it did not have are cleared.
+    const { snapshot } = entry;
+    const reverted = await updateTransactionRecord(writeContext(req), transaction._id, {
+      ...snapshot,
+      donorId: snapshot.donorId || null,
+      grantId: snapshot.grantId || null,
+      accountId: snapshot.accountId || null,
+      splits: snapshot.splits || []
+    }, {
+      fields: { notes: snapshot.notes ?? null },
+      revertedToVersion: version
+    });
+
+    if (!reverted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    const history = await TransactionHistory.findOne({ transactionId: reverted._id })
+      .sort({ version: -1 })
+      .select('version');
+
+    res.json({
+      success: true,
+      message: `Transaction reverted to version ${version}`,
+      data: { transaction: reverted, version: history.version }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => ({ path: err.path, msg: err.message }))
+      });
+    }
+
+    console.error('Revert transaction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reverting transaction'
+    });
+  }
+};
+
 // @desc    Get transaction statistics
 // @route   GET /api/transactions/stats
 // @access  Private
 const getTransactionStats = async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
-    const filter = { userId: req.user.userId };
+    const filter = { organizationId: req.organization.id };
 
     if (startDate || endDate) {
       filter.date = {};
@@ -266,34 +853,62 @@ const getTransactionStats = async (req, res) => {
       if (endDate) filter.date.$lte = new Date(endDate);
     }
 
+    const { baseCurrency } = req.organization;
     const stats = await Transaction.aggregate([
       { $match: filter },
+      ...conversionStages(filter.organizationId, baseCurrency),
       {
         $group: {
-          _id: '$type',
-          total: { $sum: '$amount' },
-          count: { $sum: 1 },
-          average: { $avg: '$amount' }
+          _id: { type: '$type', currency: '$currency' },
+          ...baseTotals
         }
+      },
+      {
+        $sort: { '_id.currency': 1 }
       }
     ]);
 
-    const totalIncome = stats.find(s => s._id === 'Income')?.total || 0;
-    const totalExpense = stats.find(s => s._id === 'Expense')?.total || 0;
-    const incomeCount = stats.find(s => s._id === 'Income')?.count || 0;
-    const expenseCount = stats.find(s => s._id === 'Expense')?.count || 0;
+    const totals = { Income: { total: 0, count: 0, converted: 0 }, Expense: { total: 0, count: 0, converted: 0 } };
+    const byCurrency = {};
+    for (const stat of stats) {
+      const { type, currency } = stat._id;
+      totals[type].total += stat.total;
+      totals[type].count += stat.count;
+      totals[type].converted += stat.count - stat.unconvertedCount;
+
+      if (!byCurrency[currency]) {
+        byCurrency[currency] = { currency, income: 0, expense: 0, incomeInBase: 0, expenseInBase: 0, count: 0, unconvertedCount: 0 };
+      }
+      const entry = byCurrency[currency];
+      entry[type === 'Income' ? 'income' : 'expense'] = stat.originalTotal;
+      entry[type === 'Income' ? 'incomeInBase' : 'expenseInBase'] = stat.total;
+      entry.count += stat.count;
+      entry.unconvertedCount += stat.unconvertedCount;
+    }
+
+    const average = ({ total, converted }) => (converted > 0 ? total / converted : 0);
+    const totalIncome = totals.Income.total;
+    const totalExpense = totals.Expense.total;
+    const incomeCount = totals.Income.count;
+    const expenseCount = totals.Expense.count;
+    const currencies = Object.values(byCurrency);
 
     res.json({
       success: true,
       data: {
+        baseCurrency,
         totalIncome,
         totalExpense,
         netAmount: totalIncome - totalExpense,
         incomeCount,
         expenseCount,
         totalTransactions: incomeCount + expenseCount,
-        averageIncome: stats.find(s => s._id === 'Income')?.average || 0,
-        averageExpense: stats.find(s => s._id === 'Expense')?.average || 0
+        averageIncome: average(totals.Income),
+        averageExpense: average(totals.Expense),
+        // Transactions left out of the totals because no rate was on file
+        unconvertedCount: currencies.reduce((sum, entry) => sum + entry.unconvertedCount, 0),
+        byCurrency: currencies,
+        byFund: await getFundBreakdown(filter, baseCurrency)
       }
     });
   } catch (error) {
@@ -310,8 +925,17 @@ const getTransactionStats = async (req, res) => {
 // @access  Private
 const getCategoryStats = async (req, res) => {
   try {
-    const { startDate, endDate, type } = req.query;
-    const filter = { userId: req.user.userId };
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { startDate, endDate, type, rollup } = req.query;
+    const filter = { organizationId: req.organization.id };
 
     if (startDate || endDate) {
       filter.date = {};
@@ -319,31 +943,43 @@ const getCategoryStats = async (req, res) => {
       if (endDate) filter.date.$lte = new Date(endDate);
     }
 
-    if (type) filter.type = type;
+    const types = toList(type);
+    if (types.length) filter.type = { $in: types };
 
-    const categoryStats = await Transaction.aggregate([
-      { $match: filter },
-      {
-        $group: {
-          _id: { category: '$category', type: '$type' },
-          total: { $sum: '$amount' },
-          count: { $sum: 1 },
-          average: { $avg: '$amount' }
-        }
-      },
-      {
-        $sort: { total: -1 }
-      }
-    ]);
+    const categoryStats = await Transaction.aggregateByCategory(filter, req.organization.baseCurrency);
+
+    // Totals of subcategories counted in their top-level category
+    if (rollup === 'true') {
+      await ensureCategoriesMigrated(req.organization.id);
+      const categories = await Category.find({ organizationId: req.organization.id });
+
+      return res.json({
+        success: true,
+        baseCurrency: req.organization.baseCurrency,
+        data: rollUpCategoryStats(categoryStats, categories).map(stat => ({
+          category: stat.category,
+          type: stat.type,
+          total: stat.total,
+          count: stat.count,
+          average: stat.average,
+          unconvertedCount: stat.unconvertedCount,
+          byCurrency: stat.currencies,
+          subcategories: stat.subcategories
+        }))
+      });
+    }
 
     res.json({
       success: true,
+      baseCurrency: req.organization.baseCurrency,
       data: categoryStats.map(stat => ({
         category: stat._id.category,
         type: stat._id.type,
         total: stat.total,
         count: stat.count,
-        average: stat.average
+        average: stat.average,
+        unconvertedCount: stat.unconvertedCount,
+        byCurrency: stat.currencies
       }))
     });
   } catch (error) {
@@ -361,7 +997,7 @@ const getCategoryStats = async (req, res) => {
 const getMonthlyStats = async (req, res) => {
   try {
     const { year } = req.query;
-    const filter = { userId: req.user.userId };
+    const filter = { organizationId: req.organization.id };
 
     if (year) {
       const startOfYear = new Date(`${year}-01-01`);
@@ -369,21 +1005,30 @@ const getMonthlyStats = async (req, res) => {
       filter.date = { $gte: startOfYear, $lte: endOfYear };
     }
 
+    // Split transactions are totalled per line so the category breakdown
+    // stays correct; counts are still of transactions
+    const { baseCurrency } = req.organization;
     const monthlyStats = await Transaction.aggregate([
       { $match: filter },
+      ...splitLineStages(),
+      ...conversionStages(filter.organizationId, baseCurrency),
       {
         $group: {
           _id: {
             year: { $year: '$date' },
             month: { $month: '$date' },
-            type: '$type'
+            type: '$type',
+            currency: '$currency',
+            category: '$category'
           },
-          total: { $sum: '$amount' },
-          count: { $sum: 1 }
+          ...baseTotals,
+          lineCount: { $sum: 1 },
+          count: countTransactions,
+          unconvertedCount: { $sum: { $cond: [{ $and: [{ $eq: ['$rate', null] }, { $eq: ['$lineIndex', 0] }] }, 1, 0] } }
         }
       },
       {
-        $sort: { '_id.year': 1, '_id.month': 1 }
+        $sort: { '_id.year': 1, '_id.month': 1, total: -1 }
       }
     ]);
 
@@ -397,29 +1042,53 @@ const getMonthlyStats = async (req, res) => {
           income: 0,
           expense: 0,
           incomeCount: 0,
-          expenseCount: 0
+          expenseCount: 0,
+          unconvertedCount: 0,
+          byCurrency: {},
+          byCategory: {}
         };
       }
-      
-      if (stat._id.type === 'Income') {
-        acc[key].income = stat.total;
-        acc[key].incomeCount = stat.count;
+
+      const month = acc[key];
+      const { type, currency, category } = stat._id;
+      if (type === 'Income') {
+        month.income += stat.total;
+        month.incomeCount += stat.count;
       } else {
-        acc[key].expense = stat.total;
-        acc[key].expenseCount = stat.count;
+        month.expense += stat.total;
+        month.expenseCount += stat.count;
+      }
+      month.unconvertedCount += stat.unconvertedCount;
+
+      if (!month.byCurrency[currency]) {
+        month.byCurrency[currency] = { currency, income: 0, expense: 0, incomeInBase: 0, expenseInBase: 0 };
       }
-      
+      const entry = month.byCurrency[currency];
+      entry[type === 'Income' ? 'income' : 'expense'] += stat.originalTotal;
+      entry[type === 'Income' ? 'incomeInBase' : 'expenseInBase'] += stat.total;
+
+      const categoryKey = `${category}|${type}`;
+      if (!month.byCategory[categoryKey]) month.byCategory[categoryKey] = { category, type, total: 0, count: 0 };
+      month.byCategory[categoryKey].total += stat.total;
+      month.byCategory[categoryKey].count += stat.lineCount;
+
       return acc;
     }, {});
 
-    const result = Object.values(groupedStats).map(stat => ({
+    const fundsByMonth = await getFundBreakdown(filter, baseCurrency, { byMonth: true });
+
+    const result = Object.entries(groupedStats).map(([key, stat]) => ({
       ...stat,
       net: stat.income - stat.expense,
-      totalTransactions: stat.incomeCount + stat.expenseCount
+      totalTransactions: stat.incomeCount + stat.expenseCount,
+      byCurrency: Object.values(stat.byCurrency),
+      byCategory: Object.values(stat.byCategory).sort((a, b) => b.total - a.total),
+      byFund: fundsByMonth[key] || []
     }));
 
     res.json({
       success: true,
+      baseCurrency,
       data: result
     });
   } catch (error) {
@@ -431,13 +1100,54 @@ const getMonthlyStats = async (req, res) => {
   }
 };
 
+// @desc    Forecast daily and monthly balances from recurring schedules and seasonal history
+// @route   GET /api/transactions/forecast
+// @access  Private
+const getForecast = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { months, historyMonths, threshold } = req.query;
+    const forecast = await buildForecast(req.organization.id, req.organization.baseCurrency, {
+      months: months ? parseInt(months) : undefined,
+      historyMonths: historyMonths ? parseInt(historyMonths) : undefined,
+      threshold: threshold ? parseFloat(threshold) : undefined
+    });
+
+    res.json({
+      success: true,
+      data: forecast
+    });
+  } catch (error) {
+    console.error('Get forecast error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building forecast'
+    });
+  }
+};
+
 module.exports = {
   getTransactions,
+  exportTransactions,
   getTransaction,
   addTransaction,
   updateTransaction,
   deleteTransaction,
+  bulkTransactions,
+  getTrash,
+  restoreTransaction,
+  getTransactionHistory,
+  revertTransaction,
   getTransactionStats,
   getCategoryStats,
-  getMonthlyStats
+  getMonthlyStats,
+  getForecast
 };
\ No newline at end of file
@@ -0,0 +1,408 @@
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { validationResult } = require('express-validator');
+const { generateSecret, buildDelivery } = require('../utils/webhooks');
+
+const WEBHOOK_FIELDS = ['url', 'description', 'events', 'active'];
+
+const buildWebhookData = (body) => {
+  const data = {};
+  for (const field of WEBHOOK_FIELDS) {
+    if (body[field] !== undefined) data[field] = body[field];
+  }
+  return data;
+};
+
+const findWebhook = (req) => Webhook.findOne({ _id: req.params.id, organizationId: req.organization.id });
+
+// The secret is only shown when it is created or replaced
+const withSecret = (webhook, secret) => ({ ...webhook.toJSON(), secret });
+
+// @desc    Get webhooks
+// @route   GET /api/webhooks
+// @access  Private (admin)
+const getWebhooks = async (req, res) => {
+  try {
+    const webhooks = await Webhook.find({ organizationId: req.organization.id }).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: { webhooks }
+    });
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching webhooks'
+    });
+  }
+};
+
+// @desc    Get a webhook with its delivery counts
+// @route   GET /api/webhooks/:id
+// @access  Private (admin)
+const getWebhook = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const webhook = await findWebhook(req);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const counts = await WebhookDelivery.aggregate([
+      { $match: { webhookId: webhook._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    const deliveries = Object.fromEntries(WebhookDelivery.STATUSES.map(status => [status, 0]));
+    for (const { _id, count } of counts) deliveries[_id] = count;
+
+    res.json({
+      success: true,
+      data: { webhook, deliveries }
+    });
+  } catch (error) {
+    console.error('Get webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching webhook'
+    });
+  }
+};
+
+// @desc    Subscribe a URL to transaction events
+// @route   POST /api/webhooks
+// @access  Private (admin)
+const createWebhook = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const secret = req.body.secret || generateSecret();
+    const webhook = await Webhook.create({
+      ...buildWebhookData(req.body),
+      secret,
+      organizationId: req.organization.id,
+      createdBy: req.user.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created; keep the secret, it is not shown again',
+      data: { webhook: withSecret(webhook, secret) }
+    });
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating webhook'
+    });
+  }
+};
+
+// @desc    Update a webhook's URL, events, description or active flag
+// @route   PATCH /api/webhooks/:id
+// @access  Private (admin)
+const updateWebhook = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const webhook = await findWebhook(req);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    webhook.set(buildWebhookData(req.body));
+    await webhook.save();
+
+    res.json({
+      success: true,
+      message: 'Webhook updated successfully',
+      data: { webhook }
+    });
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating webhook'
+    });
+  }
+};
+
+// @desc    Replace a webhook's signing secret
+// @route   POST /api/webhooks/:id/secret
+// @access  Private (admin)
+const rotateWebhookSecret = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const webhook = await findWebhook(req);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const secret = req.body.secret || generateSecret();
+    webhook.secret = secret;
+    await webhook.save();
+
+    res.json({
+      success: true,
+      message: 'Secret replaced; deliveries from now on are signed with it',
+      data: { webhook: withSecret(webhook, secret) }
+    });
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while replacing webhook secret'
+    });
+  }
+};
+
+// @desc    Delete a webhook and its delivery log
+// @route   DELETE /api/webhooks/:id
+// @access  Private (admin)
+const deleteWebhook = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const webhook = await findWebhook(req);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    await WebhookDelivery.deleteMany({ webhookId: webhook._id });
+    await webhook.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting webhook'
+    });
+  }
+};
+
+// @desc    Queue a webhook.ping event to check the receiver
+// @route   POST /api/webhooks/:id/ping
+// @access  Private (admin)
+const pingWebhook = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const webhook = await findWebhook(req);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    if (!webhook.active) {
+      return res.status(400).json({
+        success: false,
+        message: 'Activate the webhook before pinging it'
+      });
+    }
+
+    const delivery = await WebhookDelivery.create(
+      buildDelivery(req.organization.id, webhook._id, 'webhook.ping', { webhookId: webhook._id })
+    );
+
+    res.status(202).json({
+      success: true,
+      message: 'Ping queued',
+      data: { delivery }
+    });
+  } catch (error) {
+    console.error('Ping webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while pinging webhook'
+    });
+  }
+};
+
+// @desc    Get a webhook's delivery log, newest first
+// @route   GET /api/webhooks/:id/deliveries
+// @access  Private (admin)
+const getDeliveries = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const webhook = await findWebhook(req);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const { status, event, page = 1, limit = 50 } = req.query;
+    const filter = { webhookId: webhook._id };
+    if (status) filter.status = status;
+    if (event) filter.event = event;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit)),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        deliveries,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching webhook deliveries'
+    });
+  }
+};
+
+// @desc    Send a delivery again as a new delivery with the same event
+// @route   POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+// @access  Private (admin)
+const redeliver = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const webhook = await findWebhook(req);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const original = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhookId: webhook._id });
+    if (!original) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found'
+      });
+    }
+
+    if (!webhook.active) {
+      return res.status(400).json({
+        success: false,
+        message: 'Activate the webhook before redelivering'
+      });
+    }
+
+    const delivery = await WebhookDelivery.create({
+      organizationId: original.organizationId,
+      webhookId: webhook._id,
+      eventId: original.eventId,
+      event: original.event,
+      payload: original.payload,
+      redeliveryOf: original._id
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Redelivery queued',
+      data: { delivery }
+    });
+  } catch (error) {
+    console.error('Redeliver webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while redelivering webhook'
+    });
+  }
+};
+
+module.exports = {
+  getWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  rotateWebhookSecret,
+  deleteWebhook,
+  pingWebhook,
+  getDeliveries,
+  redeliver
+};
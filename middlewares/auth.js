@@ -1,5 +1,18 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Organization = require('../models/Organization');
+const { ensurePersonalOrganization } = require('../utils/organizations');
+
+// Pick the organization named in the X-Organization-Id header, falling back
+// to the user's personal organization
+const resolveOrganization = async (req, user) => {
+  const requested = req.get('x-organization-id');
+  if (!requested) return ensurePersonalOrganization(user);
+
+  if (!/^[a-f0-9]{24}$/i.test(requested)) return null;
+  return Organization.findOne({ _id: requested, 'members.userId': user._id });
+};
 
 const verifyToken = async (req, res, next) => {
   try {
@@ -17,8 +30,39 @@ const verifyToken = async (req, res, next) => {
       return res.status(401).json({ success: false, message: 'User no longer exists' });
     }
 
-    // ✅ This assigns the userId for downstream use
-    req.user = { userId: user._id };
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({ success: false, message: 'Password changed, please log in again' });
+    }
+
+    // Tokens issued before sessions existed carry no sid and are rejected
+    const session = decoded.sid && await Session.findById(decoded.sid);
+    if (!session || !session.isActive() || !session.userId.equals(user._id)) {
+      return res.status(401).json({ success: false, message: 'Session has been revoked, please log in again' });
+    }
+
+    const organization = await resolveOrganization(req, user);
+    if (!organization) {
+      return res.status(403).json({ success: false, message: 'You are not a member of this organization' });
+    }
+
+    // Organizations may require some roles to have logged in with a second factor
+    const { role } = organization.getMember(user._id);
+    const twoFactorVerified = Boolean(user.twoFactor.enabled && session.twoFactorVerified);
+    if (organization.requiresTwoFactor(role) && !twoFactorVerified) {
+      return res.status(403).json({
+        success: false,
+        message: `This organization requires two-factor authentication for the ${role} role; enable it or log in with it to continue`
+      });
+    }
+
+    // ✅ This assigns the userId and active organization for downstream use
+    req.user = { userId: user._id, sessionId: session._id, twoFactorVerified };
+    req.organization = {
+      id: organization._id,
+      name: organization.name,
+      baseCurrency: organization.baseCurrency,
+      role
+    };
 
     next();
   } catch (err) {
@@ -26,4 +70,16 @@ const verifyToken = async (req, res, next) => {
   }
 };
 
-module.exports = { verifyToken };
+// Allow the request only if the member's role in the active organization is
+// at least `role` (viewer < treasurer < admin). Use after verifyToken.
+const requireRole = (role) => (req, res, next) => {
+  if (!req.organization || !Organization.hasRole(req.organization.role, role)) {
+    return res.status(403).json({
+      success: false,
+      message: `This action requires the ${role} role`
+    });
+  }
+  next();
+};
+
+module.exports = { verifyToken, requireRole };
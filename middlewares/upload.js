@@ -0,0 +1,37 @@
+const multer = require('multer');
+
+const MB = 1024 * 1024;
+const MAX_FILE_SIZE = 5 * MB;
+const MAX_ATTACHMENT_SIZE = (Number(process.env.ATTACHMENT_MAX_SIZE_MB) || 10) * MB;
+
+// Accept a single file in the `file` field, reporting upload problems in the
+// same JSON shape as validation errors. `label` names the file in messages.
+const uploadFile = (label, maxSize = MAX_FILE_SIZE) => {
+  const singleFileUploader = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxSize, files: 1 }
+  }).single('file');
+
+  return (req, res, next) => {
+    singleFileUploader(req, res, (err) => {
+      if (err) {
+        const message = err.code === 'LIMIT_FILE_SIZE'
+          ? `${label} file must be smaller than ${Math.round(maxSize / MB * 10) / 10} MB`
+          : err.message;
+        return res.status(400).json({ success: false, message });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({ success: false, message: `A ${label.toLowerCase()} file is required` });
+      }
+
+      next();
+    });
+  };
+};
+
+const uploadStatement = uploadFile('Statement');
+const uploadRateTable = uploadFile('Rate table');
+const uploadAttachment = uploadFile('Attachment', MAX_ATTACHMENT_SIZE);
+
+module.exports = { uploadStatement, uploadRateTable, uploadAttachment };
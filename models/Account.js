@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const KINDS = ['bank', 'credit_card', 'cash', 'other'];
+
+// A bank account, card or cash box that transactions are paid from or into,
+// reconciled against its statements
+const accountSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: [true, 'Organization ID is required'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Account name is required'],
+    trim: true,
+    maxlength: [100, 'Account name cannot exceed 100 characters']
+  },
+  kind: {
+    type: String,
+    enum: {
+      values: KINDS,
+      message: `Kind must be one of: ${KINDS.join(', ')}`
+    },
+    default: 'bank'
+  },
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO 4217 code']
+  },
+  institution: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Institution cannot exceed 100 characters']
+  },
+  // Balance before the first transaction recorded against the account
+  openingBalance: {
+    type: Number,
+    default: 0
+  },
+  archived: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+accountSchema.index({ organizationId: 1, name: 1 }, { unique: true });
+
+const Account = mongoose.model('Account', accountSchema);
+Account.KINDS = KINDS;
+
+module.exports = Account;
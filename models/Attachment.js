@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// A file (scanned receipt, invoice...) attached to a transaction. The bytes
+// live in the storage backend under `storageKey`.
+const attachmentSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: [true, 'Organization ID is required']
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: [true, 'Transaction ID is required']
+  },
+  filename: {
+    type: String,
+    required: [true, 'Filename is required'],
+    trim: true,
+    maxlength: [255, 'Filename cannot exceed 255 characters']
+  },
+  mimeType: {
+    type: String,
+    required: [true, 'MIME type is required']
+  },
+  size: {
+    type: Number,
+    required: [true, 'Size is required'],
+    min: [1, 'Attachment cannot be empty']
+  },
+  // SHA-256 of the content, used to spot the same file attached twice
+  hash: {
+    type: String,
+    required: [true, 'Hash is required'],
+    match: [/^[a-f0-9]{64}$/, 'Hash must be a SHA-256 hex digest']
+  },
+  storage: {
+    type: String,
+    required: [true, 'Storage backend is required']
+  },
+  storageKey: {
+    type: String,
+    required: [true, 'Storage key is required']
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+attachmentSchema.index({ organizationId: 1, transactionId: 1 });
+attachmentSchema.index({ organizationId: 1, hash: 1 });
+
+// Storage details stay on the server
+attachmentSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.storage;
+    delete ret.storageKey;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const PURPOSES = ['email-verification', 'password-reset', 'two-factor-login'];
+
+// A single-use token e-mailed to a user, or handed out as the second step of
+// a login. Only its SHA-256 hash is stored; it is spent by setting `usedAt`
+// and removed by MongoDB once expired.
+const authTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  purpose: {
+    type: String,
+    enum: PURPOSES,
+    required: [true, 'Purpose is required']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Address the token was sent to; a verification token only verifies it
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Tries counted against tokens that allow several, e.g. login challenges
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  usedAt: Date
+}, {
+  timestamps: true
+});
+
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuthToken = mongoose.model('AuthToken', authTokenSchema);
+AuthToken.PURPOSES = PURPOSES;
+
+module.exports = AuthToken;
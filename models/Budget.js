@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const budgetSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: [true, 'Organization ID is required'],
+    index: true
+  },
+  // The member who created the budget
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  category: {
+    type: String,
+    required: [true, 'Category is required'],
+    trim: true,
+    maxlength: [50, 'Category cannot exceed 50 characters']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be at least 0.01']
+  },
+  period: {
+    type: String,
+    enum: {
+      values: ['monthly', 'yearly'],
+      message: 'Period must be either monthly or yearly'
+    },
+    default: 'monthly'
+  },
+  // none:   every period starts from the budgeted amount
+  // unused: unspent money from the previous period is added to this one
+  // all:    unspent money is added and overspend is deducted
+  rollover: {
+    type: String,
+    enum: {
+      values: ['none', 'unused', 'all'],
+      message: 'Rollover must be none, unused or all'
+    },
+    default: 'none'
+  },
+  // Percentage of the available amount at which transactions are flagged
+  alertThreshold: {
+    type: Number,
+    min: [1, 'Alert threshold must be at least 1 percent'],
+    max: [1000, 'Alert threshold cannot exceed 1000 percent'],
+    default: 100
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// One budget per category and period
+budgetSchema.index({ organizationId: 1, category: 1, period: 1 }, { unique: true });
+
+module.exports = mongoose.model('Budget', budgetSchema);
@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const RE2 = require('re2');
+const Transaction = require('./Transaction');
+
+const PAYMENT_METHODS = Transaction.schema.path('paymentMethod').enumValues;
+const MATCH_MODES = ['contains', 'starts_with', 'ends_with', 'equals', 'regex'];
+
+const isSet = (value) => value !== undefined && value !== null;
+
+// Rule patterns come from users and run on every new transaction, so they are
+// compiled with RE2, which matches in linear time. It has no lookaround or
+// backreferences; patterns using them are rejected, and ones saved before
+// that never match.
+const compilePattern = (pattern) => new RE2(pattern, 'i');
+
+const isValidRegex = (pattern) => {
+  try {
+    compilePattern(pattern);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// When every condition that is set holds, the rule applies
+const conditionsSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Description condition cannot exceed 100 characters'],
+    validate: {
+      validator: function(value) {
+        return this.descriptionMatch !== 'regex' || isValidRegex(value);
+      },
+      message: 'Description condition is not a valid regular expression'
+    }
+  },
+  descriptionMatch: {
+    type: String,
+    enum: {
+      values: MATCH_MODES,
+      message: `Description match must be one of: ${MATCH_MODES.join(', ')}`
+    },
+    default: 'contains'
+  },
+  // Amounts as entered, in the transaction's own currency
+  amountMin: {
+    type: Number,
+    min: [0, 'Minimum amount cannot be negative']
+  },
+  amountMax: {
+    type: Number,
+    min: [0, 'Maximum amount cannot be negative'],
+    validate: {
+      validator: function(value) {
+        return !isSet(this.amountMin) || value >= this.amountMin;
+      },
+      message: 'Maximum amount must not be below the minimum amount'
+    }
+  },
+  paymentMethods: [{
+    type: String,
+    enum: PAYMENT_METHODS
+  }]
+}, { _id: false });
+
+// Fields the rule fills in
+const actionsSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Category cannot exceed 50 characters']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: ['Income', 'Expense'],
+      message: 'Type must be either Income or Expense'
+    }
+  },
+  paymentMethod: {
+    type: String,
+    enum: PAYMENT_METHODS
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    maxlength: [30, 'Tag cannot exceed 30 characters']
+  }]
+}, { _id: false });
+
+const categorizationRuleSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: [true, 'Organization ID is required'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot exceed 100 characters']
+  },
+  // Lower numbers run first
+  priority: {
+    type: Number,
+    default: 100,
+    min: [0, 'Priority cannot be negative']
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  conditions: {
+    type: conditionsSchema,
+    required: [true, 'Conditions are required'],
+    validate: {
+      validator: (conditions) => Boolean(conditions.description
+        || isSet(conditions.amountMin)
+        || isSet(conditions.amountMax)
+        || conditions.paymentMethods.length),
+      message: 'A rule needs at least one condition'
+    }
+  },
+  actions: {
+    type: actionsSchema,
+    required: [true, 'Actions are required'],
+    validate: {
+      validator: (actions) => Boolean(actions.category || actions.type || actions.paymentMethod || actions.tags.length),
+      message: 'A rule needs at least one action'
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+categorizationRuleSchema.index({ organizationId: 1, name: 1 }, { unique: true });
+categorizationRuleSchema.index({ organizationId: 1, enabled: 1, priority: 1 });
+
+// Whether a transaction (or transaction data) meets every condition
+categorizationRuleSchema.methods.matches = function({ description, amount, paymentMethod }) {
+  const { conditions } = this;
+
+  if (conditions.description) {
+    const text = String(description || '').toLowerCase();
+    const value = conditions.description.toLowerCase();
+    const matched = {
+      contains: () => text.includes(value),
+      starts_with: () => text.startsWith(value),
+      ends_with: () => text.endsWith(value),
+      equals: () => text === value,
+      regex: () => isValidRegex(conditions.description)
+        && compilePattern(conditions.description).test(description || '')
+    }[conditions.descriptionMatch]();
+    if (!matched) return false;
+  }
+
+  if (isSet(conditions.amountMin) && !(amount >= conditions.amountMin)) return false;
+  if (isSet(conditions.amountMax) && !(amount <= conditions.amountMax)) return false;
+  if (conditions.paymentMethods.length && !conditions.paymentMethods.includes(paymentMethod)) return false;
+
+  return true;
+};
+
+// Enabled rules of an organization in the order they run
+categorizationRuleSchema.statics.findActive = function(organizationId, filter = {}) {
+  return this.find({ organizationId, enabled: true, ...filter }).sort({ priority: 1, createdAt: 1 });
+};
+
+const CategorizationRule = mongoose.model('CategorizationRule', categorizationRuleSchema);
+CategorizationRule.MATCH_MODES = MATCH_MODES;
+CategorizationRule.isValidRegex = isValidRegex;
+
+module.exports = CategorizationRule;
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Category names are unique per organization regardless of case
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+// A managed transaction category. Transactions keep the category name as
+// well as categoryId, so renames and merges rewrite both.
+const categorySchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: [true, 'Organization ID is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true,
+    maxlength: [50, 'Category cannot exceed 50 characters']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: ['Income', 'Expense'],
+      message: 'Type must be either Income or Expense'
+    },
+    required: [true, 'Type is required']
+  },
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  color: {
+    type: String,
+    match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex code like #1a2b3c']
+  },
+  // Archived categories stay on existing transactions but cannot be used for new ones
+  archived: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+categorySchema.index({ organizationId: 1, name: 1 }, { unique: true, collation: CASE_INSENSITIVE });
+categorySchema.index({ organizationId: 1, parentId: 1 });
+
+const Category = mongoose.model('Category', categorySchema);
+Category.CASE_INSENSITIVE = CASE_INSENSITIVE;
+
+module.exports = Category;
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// A person or organization giving to an organization. Income transactions
+// reference their donor through Transaction.donorId.
+const donorSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: [true, 'Organization ID is required'],
+    index: true
+  },
+  type: {
+    type: String,
+    enum: {
+      values: ['individual', 'organization'],
+      message: 'Donor type must be individual or organization'
+    },
+    default: 'individual'
+  },
+  name: {
+    type: String,
+    required: [true, 'Donor name is required'],
+    trim: true,
+    maxlength: [100, 'Donor name cannot exceed 100 characters']
+  },
+  // Contact person when the donor is an organization
+  contactName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Contact name cannot exceed 100 characters']
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email']
+  },
+  phone: {
+    type: String,
+    trim: true,
+    maxlength: [30, 'Phone cannot exceed 30 characters']
+  },
+  address: {
+    street: { type: String, trim: true, maxlength: [200, 'Street cannot exceed 200 characters'] },
+    city: { type: String, trim: true, maxlength: [100, 'City cannot exceed 100 characters'] },
+    postalCode: { type: String, trim: true, maxlength: [20, 'Postal code cannot exceed 20 characters'] },
+    country: { type: String, trim: true, maxlength: [100, 'Country cannot exceed 100 characters'] }
+  },
+  // Tax or registration number, for receipts
+  taxId: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Tax ID cannot exceed 50 characters']
+  },
+  // What the donor agreed to; everything is opt-in
+  consent: {
+    email: { type: Boolean, default: false },
+    phone: { type: Boolean, default: false },
+    post: { type: Boolean, default: false },
+    publicAcknowledgement: { type: Boolean, default: false }
+  },
+  consentUpdatedAt: Date,
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+donorSchema.index({ organizationId: 1, name: 1 });
+donorSchema.index({ organizationId: 1, email: 1 });
+
+module.exports = mongoose.model('Donor', donorSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Dated conversion rate managed by an organization: on `date`, one unit of
+// `currency` was worth `rate` units of `baseCurrency`
+const exchangeRateSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: [true, 'Organization ID is required']
+  },
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO 4217 code']
+  },
+  baseCurrency: {
+    type: String,
+    required: [true, 'Base currency is required'],
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Base currency must be a 3-letter ISO 4217 code']
+  },
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    validate: {
+      validator: value => Number.isFinite(value) && value > 0,
+      message: 'Rate must be a positive number'
+    }
+  },
+  source: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Source cannot exceed 100 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// One rate per pair and day; the latest rate on or before a date is used
+exchangeRateSchema.index(
+  { organizationId: 1, currency: 1, baseCurrency: 1, date: -1 },
+  { unique: true }
+);
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
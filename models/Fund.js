@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const RESTRICTIONS = ['unrestricted', 'temporarily_restricted', 'restricted'];
+
+// A pool of money tracked separately, e.g. a grant earmarked for a project.
+// Every organization has one default unrestricted fund that holds whatever
+// is not assigned elsewhere.
+const fundSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: [true, 'Organization ID is required'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Fund name is required'],
+    trim: true,
+    maxlength: [100, 'Fund name cannot exceed 100 characters']
+  },
+  restriction: {
+    type: String,
+    enum: {
+      values: RESTRICTIONS,
+      message: 'Restriction must be unrestricted, temporarily_restricted or restricted'
+    },
+    default: 'unrestricted',
+    validate: {
+      validator: function(value) {
+        return !this.isDefault || value === 'unrestricted';
+      },
+      message: 'The default fund must be unrestricted'
+    }
+  },
+  // When a temporary restriction is expected to lapse
+  restrictedUntil: Date,
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+fundSchema.index({ organizationId: 1, name: 1 }, { unique: true });
+fundSchema.index(
+  { organizationId: 1, isDefault: 1 },
+  { unique: true, partialFilterExpression: { isDefault: true } }
+);
+
+fundSchema.methods.isRestricted = function() {
+  return this.restriction !== 'unrestricted';
+};
+
+const Fund = mongoose.model('Fund', fundSchema);
+Fund.RESTRICTIONS = RESTRICTIONS;
+
+module.exports = Fund;
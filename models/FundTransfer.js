@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Money moved between funds, in the organization's base currency. Moving
+// money out of a restricted fund into an unrestricted one is a release from
+// restriction. Transfers change fund balances but are neither income nor
+// expense.
+const fundTransferSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: [true, 'Organization ID is required'],
+    index: true
+  },
+  fromFundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Fund',
+    required: [true, 'Source fund is required']
+  },
+  toFundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Fund',
+    required: [true, 'Destination fund is required']
+  },
+  kind: {
+    type: String,
+    enum: ['release', 'transfer'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be at least 0.01']
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+fundTransferSchema.index({ organizationId: 1, date: -1 });
+fundTransferSchema.index({ organizationId: 1, fromFundId: 1 });
+fundTransferSchema.index({ organizationId: 1, toFundId: 1 });
+
+module.exports = mongoose.model('FundTransfer', fundTransferSchema);
@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+const { TOLERANCE } = require('../utils/money');
+
+const STATUSES = ['active', 'closed'];
+
+// A line of the grant's budget as agreed with the funder. Expenses count
+// against the line whose categories include the transaction's category.
+const budgetLineSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Budget line name is required'],
+    trim: true,
+    maxlength: [100, 'Budget line name cannot exceed 100 characters']
+  },
+  categories: [{
+    type: String,
+    trim: true,
+    maxlength: [50, 'Category cannot exceed 50 characters']
+  }],
+  amount: {
+    type: Number,
+    required: [true, 'Budget line amount is required'],
+    min: [0, 'Budget line amount cannot be negative']
+  }
+});
+
+// A report owed to the funder, covering [periodStart, periodEnd]
+const deadlineSchema = new mongoose.Schema({
+  dueDate: {
+    type: Date,
+    required: [true, 'Due date is required']
+  },
+  periodStart: Date,
+  periodEnd: Date,
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  submittedAt: Date,
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
+
+const grantSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: [true, 'Organization ID is required'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Grant name is required'],
+    trim: true,
+    maxlength: [100, 'Grant name cannot exceed 100 characters']
+  },
+  funder: {
+    type: String,
+    required: [true, 'Funder is required'],
+    trim: true,
+    maxlength: [100, 'Funder cannot exceed 100 characters']
+  },
+  // The funder's own record, when it is also in the donor registry
+  donorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donor'
+  },
+  referenceNumber: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Reference number cannot exceed 50 characters']
+  },
+  // In the organization's base currency, like budget lines
+  awardAmount: {
+    type: Number,
+    required: [true, 'Award amount is required'],
+    min: [0.01, 'Award amount must be at least 0.01']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required'],
+    validate: {
+      validator: function(value) {
+        return !(this instanceof mongoose.Document) || value >= this.startDate;
+      },
+      message: 'End date must not be before the start date'
+    }
+  },
+  status: {
+    type: String,
+    enum: {
+      values: STATUSES,
+      message: 'Status must be active or closed'
+    },
+    default: 'active'
+  },
+  budgetLines: {
+    type: [budgetLineSchema],
+    validate: [
+      {
+        validator: function(lines) {
+          const total = lines.reduce((sum, line) => sum + line.amount, 0);
+          return !(this instanceof mongoose.Document) || total <= this.awardAmount + TOLERANCE;
+        },
+        message: 'Budget lines cannot exceed the award amount'
+      },
+      {
+        validator: function(lines) {
+          const categories = lines.flatMap(line => line.categories.map(c => c.toLowerCase()));
+          return new Set(categories).size === categories.length;
+        },
+        message: 'A category can only belong to one budget line'
+      }
+    ]
+  },
+  reportingDeadlines: [deadlineSchema],
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+grantSchema.index({ organizationId: 1, name: 1 }, { unique: true });
+grantSchema.index({ organizationId: 1, status: 1, 'reportingDeadlines.dueDate': 1 });
+
+// Budget line that an expense in `category` counts against, if any
+grantSchema.methods.findBudgetLine = function(category) {
+  const key = String(category || '').toLowerCase();
+  return this.budgetLines.find(line => line.categories.some(c => c.toLowerCase() === key));
+};
+
+const Grant = mongoose.model('Grant', grantSchema);
+Grant.STATUSES = STATUSES;
+
+module.exports = Grant;
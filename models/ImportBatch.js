@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const importRowSchema = new mongoose.Schema({
+  row: Number,
+  status: {
+    type: String,
+    enum: ['pending', 'created', 'skipped', 'rejected']
+  },
+  reason: String,
+  data: {
+    date: Date,
+    description: String,
+    amount: Number,
+    currency: String,
+    type: { type: String },
+    category: String,
+    paymentMethod: String,
+    notes: String,
+    externalId: String
+  },
+  duplicateOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }
+}, { _id: false });
+
+// A parsed statement waiting for the user to confirm the dry-run preview
+const importBatchSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: [true, 'Organization ID is required'],
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'ofx', 'qif'],
+    required: true
+  },
+  fileName: String,
+  status: {
+    type: String,
+    enum: ['preview', 'committed'],
+    default: 'preview'
+  },
+  rows: [importRowSchema],
+  committedAt: Date,
+  // Uncommitted previews are removed after a day
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + 24 * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+importBatchSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ImportBatch', importBatchSchema);
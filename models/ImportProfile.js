@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Saved column mapping for CSV statements. Column values are header names,
+// or zero-based indexes when the file has no header row.
+const importProfileSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Profile name is required'],
+    trim: true,
+    maxlength: [50, 'Profile name cannot exceed 50 characters']
+  },
+  delimiter: {
+    type: String,
+    default: ',',
+    maxlength: [1, 'Delimiter must be a single character']
+  },
+  hasHeader: {
+    type: Boolean,
+    default: true
+  },
+  dateFormat: {
+    type: String,
+    enum: {
+      values: ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY'],
+      message: 'Date format must be YYYY-MM-DD, DD/MM/YYYY or MM/DD/YYYY'
+    },
+    default: 'YYYY-MM-DD'
+  },
+  decimalSeparator: {
+    type: String,
+    enum: ['.', ','],
+    default: '.'
+  },
+  // Flip the sign of the amount column for banks that report debits as positive
+  invertAmount: {
+    type: Boolean,
+    default: false
+  },
+  columns: {
+    date: { type: String, required: [true, 'A date column is required'] },
+    description: { type: String, required: [true, 'A description column is required'] },
+    // Either a signed amount column, or separate debit and credit columns
+    amount: {
+      type: String,
+      required: [
+        function() { return !this.columns.debit && !this.columns.credit; },
+        'An amount column or debit/credit columns are required'
+      ]
+    },
+    debit: String,
+    credit: String,
+    type: { type: String },
+    category: String,
+    paymentMethod: String,
+    notes: String
+  },
+  defaultCategory: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Category cannot exceed 50 characters'],
+    default: 'Uncategorized'
+  }
+}, {
+  timestamps: true
+});
+
+importProfileSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('ImportProfile', importProfileSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const { ROLES } = require('./Organization');
+
+const invitationSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: {
+      values: ROLES,
+      message: 'Role must be viewer, treasurer or admin'
+    },
+    required: true
+  },
+  // SHA-256 of the token sent to the invitee
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: Date,
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+invitationSchema.methods.isPending = function() {
+  return !this.acceptedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Invitation', invitationSchema);
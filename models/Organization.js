@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const { DEFAULT_CURRENCY } = require('../utils/currency');
+
+// Ordered from least to most privileged
+const ROLES = ['viewer', 'treasurer', 'admin'];
+
+const memberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: {
+      values: ROLES,
+      message: 'Role must be viewer, treasurer or admin'
+    },
+    required: true
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Organization name is required'],
+    trim: true,
+    maxlength: [100, 'Organization name cannot exceed 100 characters']
+  },
+  // Every user gets one personal organization holding their own books
+  isPersonal: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  members: [memberSchema],
+  // Members with these roles must log in with two-factor authentication
+  twoFactorRequiredRoles: {
+    type: [{
+      type: String,
+      enum: {
+        values: ROLES,
+        message: 'Role must be viewer, treasurer or admin'
+      }
+    }],
+    default: []
+  },
+  // Currency that reports and budgets are expressed in
+  baseCurrency: {
+    type: String,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Base currency must be a 3-letter ISO 4217 code'],
+    default: DEFAULT_CURRENCY
+  },
+  // Legal details printed on receipts
+  details: {
+    legalName: { type: String, trim: true, maxlength: [200, 'Legal name cannot exceed 200 characters'] },
+    registrationNumber: { type: String, trim: true, maxlength: [50, 'Registration number cannot exceed 50 characters'] },
+    address: { type: String, trim: true, maxlength: [300, 'Address cannot exceed 300 characters'] },
+    email: { type: String, trim: true, lowercase: true },
+    phone: { type: String, trim: true, maxlength: [30, 'Phone cannot exceed 30 characters'] },
+    website: { type: String, trim: true, maxlength: [200, 'Website cannot exceed 200 characters'] }
+  },
+  receiptSettings: {
+    // Month (1-12) the fiscal year starts in; fiscal years are named after
+    // the calendar year they end in
+    fiscalYearStartMonth: {
+      type: Number,
+      min: [1, 'Fiscal year start month must be between 1 and 12'],
+      max: [12, 'Fiscal year start month must be between 1 and 12'],
+      default: 1
+    },
+    prefix: {
+      type: String,
+      trim: true,
+      maxlength: [10, 'Receipt prefix cannot exceed 10 characters'],
+      default: ''
+    },
+    // Template text; {{placeholders}} are filled in when rendering
+    title: { type: String, trim: true, maxlength: [100, 'Receipt title cannot exceed 100 characters'] },
+    body: { type: String, trim: true, maxlength: [2000, 'Receipt text cannot exceed 2000 characters'] },
+    footer: { type: String, trim: true, maxlength: [1000, 'Receipt footer cannot exceed 1000 characters'] },
+    signatory: { type: String, trim: true, maxlength: [100, 'Signatory cannot exceed 100 characters'] }
+  }
+}, {
+  timestamps: true
+});
+
+organizationSchema.index({ 'members.userId': 1 });
+organizationSchema.index(
+  { createdBy: 1 },
+  { unique: true, partialFilterExpression: { isPersonal: true } }
+);
+
+// Static method to check whether a role is at least as privileged as another
+organizationSchema.statics.hasRole = function(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+};
+
+organizationSchema.methods.getMember = function(userId) {
+  return this.members.find(member => member.userId.equals(userId));
+};
+
+organizationSchema.methods.requiresTwoFactor = function(role) {
+  return (this.twoFactorRequiredRoles || []).includes(role);
+};
+
+organizationSchema.methods.adminCount = function() {
+  return this.members.filter(member => member.role === 'admin').length;
+};
+
+const Organization = mongoose.model('Organization', organizationSchema);
+Organization.ROLES = ROLES;
+
+module.exports = Organization;
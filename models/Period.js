@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+const KINDS = ['month', 'fiscal_year'];
+const STATUSES = ['closed', 'reopened'];
+
+// Totals of the period's transactions when it was closed. Amounts are in the
+// base currency except the per-currency originals; `fingerprint` hashes every
+// transaction so edits that cancel out in the totals are still noticed.
+const snapshotSchema = new mongoose.Schema({
+  takenAt: Date,
+  baseCurrency: String,
+  count: Number,
+  income: Number,
+  expense: Number,
+  net: Number,
+  unconvertedCount: Number,
+  byCurrency: [{
+    _id: false,
+    currency: String,
+    type: String,
+    total: Number,
+    count: Number
+  }],
+  byCategory: [{
+    _id: false,
+    categoryId: mongoose.Schema.Types.ObjectId,
+    category: String,
+    type: String,
+    total: Number,
+    count: Number
+  }],
+  fingerprint: String
+}, { _id: false });
+
+const eventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: STATUSES,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A month or fiscal year covering [startDate, endDate). While closed,
+// transactions dated in it cannot be created, changed or deleted.
+const periodSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: [true, 'Organization ID is required']
+  },
+  kind: {
+    type: String,
+    enum: {
+      values: KINDS,
+      message: 'Kind must be month or fiscal_year'
+    },
+    required: [true, 'Kind is required']
+  },
+  // e.g. 2026-09 or FY2026
+  label: {
+    type: String,
+    required: [true, 'Label is required']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'closed'
+  },
+  closedAt: Date,
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  snapshot: snapshotSchema,
+  // Every close and reopen, with the reason for reopening
+  events: [eventSchema]
+}, {
+  timestamps: true
+});
+
+periodSchema.index({ organizationId: 1, kind: 1, label: 1 }, { unique: true });
+periodSchema.index({ organizationId: 1, status: 1, startDate: 1, endDate: 1 });
+
+const Period = mongoose.model('Period', periodSchema);
+Period.KINDS = KINDS;
+Period.STATUSES = STATUSES;
+
+module.exports = Period;
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+const receiptLineSchema = new mongoose.Schema({
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+  date: Date,
+  description: String,
+  amount: Number,
+  currency: String
+}, { _id: false });
+
+// A donation receipt. Numbers run without gaps per organization and fiscal
+// year; receipts are never deleted, only voided, so a number is never reused.
+// Donor, organization and donation details are copied at issue time so a
+// receipt always renders as it was issued.
+const receiptSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: [true, 'Organization ID is required']
+  },
+  fiscalYear: {
+    type: Number,
+    required: [true, 'Fiscal year is required']
+  },
+  number: {
+    type: Number,
+    required: [true, 'Receipt number is required'],
+    min: 1
+  },
+  receiptNumber: {
+    type: String,
+    required: true
+  },
+  // single: one donation; annual: every unreceipted donation of the fiscal year
+  kind: {
+    type: String,
+    enum: ['single', 'annual'],
+    required: true
+  },
+  donorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donor',
+    required: [true, 'Donor is required'],
+    index: true
+  },
+  donor: {
+    name: String,
+    type: { type: String },
+    contactName: String,
+    email: String,
+    address: {
+      street: String,
+      city: String,
+      postalCode: String,
+      country: String
+    },
+    taxId: String
+  },
+  organization: {
+    name: String,
+    legalName: String,
+    registrationNumber: String,
+    address: String,
+    email: String,
+    phone: String,
+    website: String
+  },
+  lines: {
+    type: [receiptLineSchema],
+    validate: {
+      validator: lines => lines.length > 0,
+      message: 'A receipt needs at least one donation'
+    }
+  },
+  totals: [{
+    _id: false,
+    currency: String,
+    amount: Number
+  }],
+  periodStart: Date,
+  periodEnd: Date,
+  status: {
+    type: String,
+    enum: ['issued', 'void'],
+    default: 'issued'
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  voidedAt: Date,
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  voidReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Void reason cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+receiptSchema.index({ organizationId: 1, fiscalYear: 1, number: 1 }, { unique: true });
+// A donation appears on at most one issued receipt
+receiptSchema.index(
+  { organizationId: 1, 'lines.transactionId': 1 },
+  { unique: true, partialFilterExpression: { status: 'issued' } }
+);
+
+module.exports = mongoose.model('Receipt', receiptSchema);
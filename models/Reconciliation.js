@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['in_progress', 'finalized'];
+
+// A transaction taken out of a finalized reconciliation, and why
+const unreconciledSchema = new mongoose.Schema({
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Matching an account's transactions against one bank statement. Transactions
+// ticked off in the session are cleared; finalizing, which needs the cleared
+// balance to equal the statement's ending balance, marks them reconciled.
+const reconciliationSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: [true, 'Organization ID is required']
+  },
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: [true, 'Account is required']
+  },
+  statementStartDate: Date,
+  statementEndDate: {
+    type: Date,
+    required: [true, 'Statement end date is required'],
+    validate: {
+      validator: function(value) {
+        return !this.statementStartDate || value >= this.statementStartDate;
+      },
+      message: 'Statement end date must not be before its start date'
+    }
+  },
+  // Ending balance printed on the statement, in the account's currency
+  endingBalance: {
+    type: Number,
+    required: [true, 'Ending balance is required']
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'in_progress'
+  },
+  // Frozen when the session is finalized
+  openingBalance: Number,
+  clearedTotal: Number,
+  clearedCount: Number,
+  finalizedAt: Date,
+  finalizedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  unreconciled: [unreconciledSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+reconciliationSchema.index({ organizationId: 1, accountId: 1, statementEndDate: -1 });
+// One open session per account
+reconciliationSchema.index(
+  { accountId: 1, status: 1 },
+  { unique: true, partialFilterExpression: { status: 'in_progress' } }
+);
+
+const Reconciliation = mongoose.model('Reconciliation', reconciliationSchema);
+Reconciliation.STATUSES = STATUSES;
+
+module.exports = Reconciliation;
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// A named set of transaction list filters that a member can re-run with
+// GET /api/transactions?savedSearch=<name>
+const savedSearchSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: [true, 'Organization ID is required']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [50, 'Name cannot exceed 50 characters']
+  },
+  // Query string parameters, e.g. { category: ['Rent', 'Utilities'], amountMin: '100' }
+  query: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  lastRunAt: Date
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+savedSearchSchema.index({ organizationId: 1, userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
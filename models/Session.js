@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// A login session. The refresh token rotates on every use; only its SHA-256
+// hash is stored, and hashes of spent tokens are kept to detect reuse.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  usedTokenHashes: {
+    type: [String],
+    index: true
+  },
+  userAgent: String,
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Logged in with a second factor, or confirmed one while logged in
+  twoFactorVerified: {
+    type: Boolean,
+    default: false
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout-all', 'password-change', 'password-reset', 'reuse-detected']
+  }
+}, {
+  timestamps: true
+});
+
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
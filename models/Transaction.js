@@ -1,6 +1,47 @@
 const mongoose = require('mongoose');
+const { FREQUENCIES, addInterval } = require('../utils/recurrence');
+const { conversionStages, baseTotals } = require('../utils/currency');
+const { splitsMatchAmount, splitLineStages } = require('../utils/splits');
+
+const CLEARED_STATUSES = ['uncleared', 'cleared', 'reconciled'];
+
+// One line of a split transaction: the part of the amount charged to a category
+const splitLineSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    required: [true, 'Split line category is required'],
+    trim: true,
+    maxlength: [50, 'Category cannot exceed 50 characters']
+  },
+  categoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Split line amount is required'],
+    min: [0.01, 'Split line amount must be at least 0.01']
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    maxlength: [30, 'Tag cannot exceed 30 characters']
+  }],
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+}, { _id: false });
 
 const transactionSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: [true, 'Organization ID is required'],
+    index: true
+  },
+  // The member who created the transaction
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -29,6 +70,13 @@ const transactionSchema = new mongoose.Schema({
       message: 'Amount must be a positive number'
     }
   },
+  // ISO 4217 code of `amount`. Transactions recorded before currencies were
+  // tracked have none and count as the organization's base currency.
+  currency: {
+    type: String,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO 4217 code']
+  },
   category: {
     type: String,
     required: [true, 'Category is required'],
@@ -36,6 +84,25 @@ const transactionSchema = new mongoose.Schema({
     maxlength: [50, 'Category cannot exceed 50 characters'],
     index: true
   },
+  // Managed category the name belongs to; set by the transaction writer
+  categoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  },
+  // Lines of a split transaction, each charged to its own category. They add
+  // up to `amount`, and `category` is the category of the largest line.
+  // Updates are checked by the transaction writer, which knows the stored amount.
+  splits: {
+    type: [splitLineSchema],
+    default: undefined,
+    validate: {
+      validator: function(lines) {
+        if (!lines || !lines.length || !(this instanceof mongoose.Document)) return true;
+        return lines.length >= 2 && splitsMatchAmount(lines, this.amount);
+      },
+      message: 'A split transaction needs at least two lines adding up to its amount'
+    }
+  },
   type: {
     type: String,
     enum: {
@@ -45,6 +112,46 @@ const transactionSchema = new mongoose.Schema({
     required: [true, 'Type is required'],
     index: true
   },
+  // Donor of an Income transaction. Updates are checked by the transaction
+  // writer, which knows the stored type.
+  donorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donor',
+    validate: {
+      validator: function(value) {
+        return !value || !(this instanceof mongoose.Document) || this.type === 'Income';
+      },
+      message: 'Only Income transactions can have a donor'
+    }
+  },
+  // Fund the money belongs to. Transactions without one belong to the
+  // organization's default fund.
+  fundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Fund'
+  },
+  // Grant the expense is charged to, or the grant a payment was received for
+  grantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Grant'
+  },
+  // Bank account, card or cash box the money moved through
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  // Ticked off against a bank statement (cleared) and confirmed by a
+  // finalized reconciliation (reconciled). Reconciled transactions cannot be
+  // edited until they are explicitly un-reconciled.
+  clearedStatus: {
+    type: String,
+    enum: CLEARED_STATUSES,
+    default: 'uncleared'
+  },
+  reconciliationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reconciliation'
+  },
   tags: [{
     type: String,
     trim: true,
@@ -67,7 +174,7 @@ const transactionSchema = new mongoose.Schema({
   recurringDetails: {
     frequency: {
       type: String,
-      enum: ['daily', 'weekly', 'monthly', 'yearly'],
+      enum: FREQUENCIES,
       required: function() {
         return this.isRecurring;
       }
@@ -78,7 +185,36 @@ const transactionSchema = new mongoose.Schema({
         return this.isRecurring;
       }
     },
-    endDate: Date
+    endDate: Date,
+    status: {
+      type: String,
+      enum: ['active', 'paused', 'cancelled', 'completed']
+    }
+  },
+  // Set on occurrences generated from a recurring template
+  recurringParentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  occurrenceDate: Date,
+  // Bank-assigned identifier (e.g. OFX FITID) of imported transactions
+  externalId: {
+    type: String,
+    trim: true
+  },
+  importBatchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportBatch'
+  },
+  // Soft delete: trashed transactions are hidden from queries and
+  // aggregations until restored or purged
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }
 }, {
   timestamps: true,
@@ -87,10 +223,30 @@ const transactionSchema = new mongoose.Schema({
 });
 
 // Compound indexes for better query performance
-transactionSchema.index({ userId: 1, date: -1 });
-transactionSchema.index({ userId: 1, type: 1 });
-transactionSchema.index({ userId: 1, category: 1 });
-transactionSchema.index({ userId: 1, date: -1, type: 1 });
+transactionSchema.index({ organizationId: 1, date: -1 });
+transactionSchema.index({ organizationId: 1, type: 1 });
+transactionSchema.index({ organizationId: 1, category: 1 });
+transactionSchema.index({ organizationId: 1, categoryId: 1 });
+transactionSchema.index({ organizationId: 1, date: -1, type: 1 });
+transactionSchema.index({ organizationId: 1, deletedAt: 1 });
+transactionSchema.index({ organizationId: 1, donorId: 1, date: -1 });
+transactionSchema.index({ organizationId: 1, fundId: 1, date: -1 });
+transactionSchema.index({ organizationId: 1, accountId: 1, clearedStatus: 1, date: -1 });
+transactionSchema.index({ organizationId: 1, grantId: 1, date: -1 });
+// Full-text search within an organization; queries must match organizationId
+transactionSchema.index(
+  { organizationId: 1, description: 'text', notes: 'text', tags: 'text' },
+  { name: 'transaction_text', weights: { description: 3, tags: 2, notes: 1 } }
+);
+transactionSchema.index({ isRecurring: 1, 'recurringDetails.status': 1, 'recurringDetails.nextDueDate': 1 });
+
+transactionSchema.index({ organizationId: 1, externalId: 1 }, { sparse: true });
+
+// A template can only produce one occurrence per due date, even across restarts
+transactionSchema.index(
+  { recurringParentId: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { recurringParentId: { $exists: true } } }
+);
 
 // Virtual for formatted amount
 transactionSchema.virtual('formattedAmount').get(function() {
@@ -106,9 +262,82 @@ transactionSchema.virtual('monthYear').get(function() {
   };
 });
 
-// Static method to get user's categories
-transactionSchema.statics.getUserCategories = function(userId) {
-  return this.distinct('category', { userId });
+// Static method to get the names of an organization's active categories
+transactionSchema.statics.getUserCategories = function(organizationId) {
+  return mongoose.model('Category').distinct('name', { organizationId, archived: false });
+};
+
+// Static method to total transactions per category and type, converted to
+// `baseCurrency`, with a breakdown by original currency. Split transactions
+// count each line in its own category. Shared by the category stats endpoint
+// and the budget report.
+transactionSchema.statics.aggregateByCategory = function(filter, baseCurrency) {
+  return this.aggregate([
+    { $match: filter },
+    ...splitLineStages(),
+    ...conversionStages(filter.organizationId, baseCurrency),
+    {
+      $group: {
+        _id: { category: '$category', type: '$type', currency: '$currency' },
+        ...baseTotals
+      }
+    },
+    {
+      $group: {
+        _id: { category: '$_id.category', type: '$_id.type' },
+        total: { $sum: '$total' },
+        count: { $sum: '$count' },
+        unconvertedCount: { $sum: '$unconvertedCount' },
+        currencies: {
+          $push: {
+            currency: '$_id.currency',
+            total: '$originalTotal',
+            totalInBase: '$total',
+            count: '$count',
+            unconvertedCount: '$unconvertedCount'
+          }
+        }
+      }
+    },
+    {
+      $addFields: {
+        average: {
+          $let: {
+            vars: { converted: { $subtract: ['$count', '$unconvertedCount'] } },
+            in: { $cond: [{ $gt: ['$$converted', 0] }, { $divide: ['$total', '$$converted'] }, 0] }
+          }
+        }
+      }
+    },
+    {
+      $sort: { total: -1 }
+    }
+  ]);
+};
+
+// Static method to total transactions per fund and type, converted to
+// `baseCurrency`, optionally per month as well. Transactions without a fund
+// are counted in `defaultFundId`.
+transactionSchema.statics.aggregateByFund = function(filter, baseCurrency, defaultFundId, { byMonth = false } = {}) {
+  const group = {
+    fundId: { $ifNull: ['$fundId', defaultFundId] },
+    type: '$type'
+  };
+  if (byMonth) {
+    group.year = { $year: '$date' };
+    group.month = { $month: '$date' };
+  }
+
+  return this.aggregate([
+    { $match: filter },
+    ...conversionStages(filter.organizationId, baseCurrency),
+    {
+      $group: {
+        _id: group,
+        ...baseTotals
+      }
+    }
+  ]);
 };
 
 // Static method to get user's payment methods
@@ -128,28 +357,18 @@ transactionSchema.methods.isCurrentMonth = function() {
          this.date.getFullYear() === now.getFullYear();
 };
 
-// Pre-save middleware to handle recurring transactions
-transactionSchema.pre('save', function(next) {
+// Pre-validate middleware to handle recurring transactions. Runs before
+// validation so the required nextDueDate is filled in for new templates.
+transactionSchema.pre('validate', function(next) {
   if (this.isRecurring && this.isNew) {
     // Set next due date based on frequency
-    const nextDate = new Date(this.date);
-    
-    switch (this.recurringDetails.frequency) {
-      case 'daily':
-        nextDate.setDate(nextDate.getDate() + 1);
-        break;
-      case 'weekly':
-        nextDate.setDate(nextDate.getDate() + 7);
-        break;
-      case 'monthly':
-        nextDate.setMonth(nextDate.getMonth() + 1);
-        break;
-      case 'yearly':
-        nextDate.setFullYear(nextDate.getFullYear() + 1);
-        break;
+    if (this.recurringDetails.frequency && this.date) {
+      this.recurringDetails.nextDueDate = addInterval(this.date, this.recurringDetails.frequency);
+    }
+
+    if (!this.recurringDetails.status) {
+      this.recurringDetails.status = 'active';
     }
-    
-    this.recurringDetails.nextDueDate = nextDate;
   }
   
   next();
@@ -167,4 +386,28 @@ transactionSchema.pre(/^find/, function(next) {
   next();
 });
 
+// Hide trashed transactions unless the query asks about deletedAt itself or
+// sets the withDeleted option
+const excludeDeleted = function(next) {
+  if (!this.getOptions().withDeleted && !('deletedAt' in this.getFilter())) {
+    this.where({ deletedAt: null });
+  }
+  next();
+};
+
+transactionSchema.pre(/^find/, excludeDeleted);
+transactionSchema.pre('countDocuments', excludeDeleted);
+transactionSchema.pre('distinct', excludeDeleted);
+
+// Same for aggregations, unless the pipeline starts by matching on deletedAt
+transactionSchema.pre('aggregate', function(next) {
+  const [first] = this.pipeline();
+  const matchesDeleted = first && first.$match && 'deletedAt' in first.$match;
+
+  if (!matchesDeleted) {
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  }
+  next();
+});
+
 module.exports = mongoose.model('Transaction', transactionSchema);
\ No newline at end of file
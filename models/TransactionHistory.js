@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// One entry per change to a transaction. `snapshot` holds the full record as
+// it stood after the change (before it, for deletes), so any version can be
+// restored.
+const transactionHistorySchema = new mongoose.Schema({
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete', 'restore', 'revert'],
+    required: true
+  },
+  // Empty for changes made by the server itself, e.g. recurring occurrences
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ip: String,
+  source: {
+    type: String,
+    default: 'api'
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  snapshot: mongoose.Schema.Types.Mixed,
+  revertedToVersion: Number
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+transactionHistorySchema.index({ transactionId: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('TransactionHistory', transactionHistorySchema);
@@ -1,6 +1,15 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+const recoveryCodeSchema = new mongoose.Schema({
+  // SHA-256 of the code shown to the user
+  hash: {
+    type: String,
+    required: true
+  },
+  usedAt: Date
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
   username: {
     type: String,
@@ -15,10 +24,43 @@ const userSchema = new mongoose.Schema({
     unique: true,
     lowercase: true
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
   password: {
     type: String,
     required: true,
     minlength: 6
+  },
+  // Access tokens issued before this moment are rejected
+  passwordChangedAt: Date,
+  // TOTP second factor. The secret waits in pendingSecret until enrollment is
+  // confirmed with a code.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: Date,
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Time step of the last accepted code, so no code works twice
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    recoveryCodes: {
+      type: [recoveryCodeSchema],
+      select: false
+    }
   }
 }, {
   timestamps: true
@@ -28,6 +70,7 @@ const userSchema = new mongoose.Schema({
 userSchema.pre('save', async function (next) {
   if (!this.isModified('password')) return next();
   this.password = await bcrypt.hash(this.password, 12);
+  if (!this.isNew) this.passwordChangedAt = new Date();
   next();
 });
 
@@ -36,10 +79,18 @@ userSchema.methods.comparePassword = function (candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
-// Hide password in JSON
+// Check whether a JWT issued at `iat` (seconds) predates the last password change
+userSchema.methods.changedPasswordAfter = function (iat) {
+  if (!this.passwordChangedAt) return false;
+  return iat < Math.floor(this.passwordChangedAt.getTime() / 1000);
+};
+
+// Hide password and two-factor secrets in JSON
 userSchema.methods.toJSON = function () {
   const obj = this.toObject();
   delete obj.password;
+  const { enabled = false, enabledAt } = obj.twoFactor || {};
+  obj.twoFactor = { enabled, enabledAt };
   return obj;
 };
 
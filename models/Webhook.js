@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const EVENT_TYPES = [
+  'transaction.created',
+  'transaction.updated',
+  'transaction.deleted',
+  'transaction.restored'
+];
+
+// An endpoint of another system that is sent the organization's transaction
+// events. Every request is signed with `secret`.
+const webhookSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: [true, 'Organization ID is required'],
+    index: true
+  },
+  url: {
+    type: String,
+    required: [true, 'URL is required'],
+    trim: true,
+    maxlength: [2000, 'URL cannot exceed 2000 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  // Shared with the receiver to check signatures; only returned when set
+  secret: {
+    type: String,
+    required: [true, 'Secret is required'],
+    select: false
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: {
+        values: EVENT_TYPES,
+        message: `Event must be one of: ${EVENT_TYPES.join(', ')}`
+      }
+    }],
+    validate: {
+      validator: (events) => events.length > 0,
+      message: 'At least one event is required'
+    }
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+webhookSchema.index({ organizationId: 1, active: 1, events: 1 });
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+Webhook.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = Webhook;
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['pending', 'succeeded', 'failed'];
+
+const attemptSchema = new mongoose.Schema({
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  statusCode: Number,
+  error: String,
+  durationMs: Number
+}, { _id: false });
+
+// One event to send to one webhook. Pending deliveries are the dispatcher's
+// queue: each attempt is logged, failures are retried at `nextAttemptAt` and
+// the delivery fails for good once its attempts run out.
+const webhookDeliverySchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: [true, 'Organization ID is required']
+  },
+  webhookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: [true, 'Webhook is required']
+  },
+  // Shared by every delivery of the same event, redeliveries included, so
+  // receivers can ignore duplicates
+  eventId: {
+    type: String,
+    required: [true, 'Event ID is required']
+  },
+  event: {
+    type: String,
+    required: [true, 'Event is required']
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Payload is required']
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Claimed by a dispatcher until then
+  lockedUntil: Date,
+  attemptLog: [attemptSchema],
+  completedAt: Date,
+  // Delivery this one was manually re-sent from
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery'
+  }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+WebhookDelivery.STATUSES = STATUSES;
+
+module.exports = WebhookDelivery;
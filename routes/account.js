@@ -0,0 +1,81 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  getAccounts,
+  createAccount,
+  updateAccount,
+  deleteAccount
+} = require('../controllers/accountController');
+const { verifyToken, requireRole } = require('../middlewares/auth');
+const { KINDS } = require('../models/Account');
+
+const router = express.Router();
+
+// Validation rules
+const accountFieldValidation = [
+  body('currency')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .isISO4217()
+    .withMessage('Currency must be a valid ISO 4217 code'),
+  body('institution').optional().trim().isLength({ max: 100 }).withMessage('Institution too long'),
+  body('openingBalance').optional().isFloat().withMessage('Opening balance must be a number').toFloat(),
+  body('archived').optional().isBoolean({ strict: true }).withMessage('Archived must be true or false')
+];
+
+const accountValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name is required and must be less than 100 characters'),
+  body('kind')
+    .isIn(KINDS)
+    .withMessage(`Kind must be one of: ${KINDS.join(', ')}`),
+  ...accountFieldValidation
+];
+
+const updateAccountValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be less than 100 characters'),
+  body('kind')
+    .optional()
+    .isIn(KINDS)
+    .withMessage(`Kind must be one of: ${KINDS.join(', ')}`),
+  ...accountFieldValidation
+];
+
+const listValidation = [
+  query('includeArchived').optional().isIn(['true', 'false']).withMessage('includeArchived must be true or false')
+];
+
+const idValidation = [
+  param('id').isMongoId().withMessage('Invalid account ID')
+];
+
+// Routes
+
+// @route   GET /api/accounts
+// @desc    Get bank, card and cash accounts
+// @access  Private
+router.get('/', verifyToken, listValidation, getAccounts);
+
+// @route   POST /api/accounts
+// @desc    Create an account
+// @access  Private (treasurer)
+router.post('/', verifyToken, requireRole('treasurer'), accountValidation, createAccount);
+
+// @route   PATCH /api/accounts/:id
+// @desc    Update an account
+// @access  Private (treasurer)
+router.patch('/:id', verifyToken, requireRole('treasurer'), idValidation, updateAccountValidation, updateAccount);
+
+// @route   DELETE /api/accounts/:id
+// @desc    Delete an account without transactions
+// @access  Private (treasurer)
+router.delete('/:id', verifyToken, requireRole('treasurer'), idValidation, deleteAccount);
+
+module.exports = router;
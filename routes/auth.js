@@ -1,6 +1,24 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const { body } = require('express-validator');
-const { register, login } = require('../controllers/authController');
+const {
+  register,
+  login,
+  refresh,
+  logout,
+  logoutAll,
+  changePassword,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  loginTwoFactor,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} = require('../controllers/authController');
 const router = express.Router();
 const { verifyToken } = require('../middlewares/auth');
 const User = require('../models/User');
@@ -35,4 +53,76 @@ router.post('/login', [
   body('password').notEmpty().withMessage('Password is required')
 ], login);
 
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], refresh);
+
+router.post('/logout', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], logout);
+
+router.post('/logout-all', verifyToken, logoutAll);
+
+router.patch('/password', verifyToken, [
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('Password too short')
+], changePassword);
+
+// Requests allowed per client every 15 minutes
+const limitRequests = (limit) => rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: { success: false, message: 'Too many requests, try again later' }
+});
+
+// These send email, so one client may only ask a few times
+const emailLimiter = limitRequests(5);
+// Slows down guessing codes across many login challenges
+const twoFactorLimiter = limitRequests(20);
+
+const tokenValidation = body('token').isString().notEmpty().withMessage('Token is required');
+const emailValidation = body('email').isEmail().withMessage('Invalid email');
+
+router.post('/verify-email', [tokenValidation], verifyEmail);
+
+router.post('/verify-email/resend', emailLimiter, [emailValidation], resendVerification);
+
+router.post('/forgot-password', emailLimiter, [emailValidation], forgotPassword);
+
+router.post('/reset-password', [
+  tokenValidation,
+  body('password').isLength({ min: 6 }).withMessage('Password too short')
+], resetPassword);
+
+const codeValidation = body('code').matches(/^\d{6}$/).withMessage('Code must be 6 digits');
+
+// A code from the authenticator app, or a recovery code instead
+const secondFactorValidation = [
+  body('code')
+    .if(body('recoveryCode').not().exists())
+    .matches(/^\d{6}$/)
+    .withMessage('A 6-digit code or a recovery code is required'),
+  body('recoveryCode').optional().isString().isLength({ max: 20 }).withMessage('Invalid recovery code')
+];
+
+router.post('/login/2fa', twoFactorLimiter, [
+  body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+  ...secondFactorValidation
+], loginTwoFactor);
+
+router.get('/2fa', verifyToken, getTwoFactorStatus);
+
+router.post('/2fa/setup', verifyToken, setupTwoFactor);
+
+router.post('/2fa/enable', verifyToken, [codeValidation], enableTwoFactor);
+
+router.post('/2fa/disable', verifyToken, [
+  body('password').notEmpty().withMessage('Password is required'),
+  ...secondFactorValidation
+], disableTwoFactor);
+
+router.post('/2fa/recovery-codes', verifyToken, [codeValidation], regenerateRecoveryCodes);
+
 module.exports = router;
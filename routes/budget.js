@@ -0,0 +1,89 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  getBudgets,
+  createBudget,
+  updateBudget,
+  deleteBudget,
+  getBudgetReport
+} = require('../controllers/budgetController');
+const { verifyToken, requireRole } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// Validation rules
+const budgetValidation = [
+  body('category')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Category is required and must be less than 50 characters'),
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be a positive number with at least 0.01'),
+  body('period')
+    .optional()
+    .isIn(['monthly', 'yearly'])
+    .withMessage('Period must be monthly or yearly'),
+  body('rollover')
+    .optional()
+    .isIn(['none', 'unused', 'all'])
+    .withMessage('Rollover must be none, unused or all'),
+  body('alertThreshold')
+    .optional()
+    .isFloat({ min: 1, max: 1000 })
+    .withMessage('Alert threshold must be a percentage between 1 and 1000'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes too long')
+];
+
+const updateBudgetValidation = [
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be a positive number with at least 0.01'),
+  body('rollover')
+    .optional()
+    .isIn(['none', 'unused', 'all'])
+    .withMessage('Rollover must be none, unused or all'),
+  body('alertThreshold')
+    .optional()
+    .isFloat({ min: 1, max: 1000 })
+    .withMessage('Alert threshold must be a percentage between 1 and 1000'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes too long')
+];
+
+const reportValidation = [
+  query('date').optional().isISO8601().withMessage('Valid date required')
+];
+
+const idValidation = [
+  param('id').isMongoId().withMessage('Invalid budget ID')
+];
+
+// Routes
+
+// @route   GET /api/budgets
+// @desc    Get all budgets
+// @access  Private
+router.get('/', verifyToken, getBudgets);
+
+// @route   GET /api/budgets/report
+// @desc    Get budget-vs-actual report
+// @access  Private
+router.get('/report', verifyToken, reportValidation, getBudgetReport);
+
+// @route   POST /api/budgets
+// @desc    Create a budget
+// @access  Private (treasurer)
+router.post('/', verifyToken, requireRole('treasurer'), budgetValidation, createBudget);
+
+// @route   PATCH /api/budgets/:id
+// @desc    Update a budget
+// @access  Private (treasurer)
+router.patch('/:id', verifyToken, requireRole('treasurer'), idValidation, updateBudgetValidation, updateBudget);
+
+// @route   DELETE /api/budgets/:id
+// @desc    Delete a budget
+// @access  Private (treasurer)
+router.delete('/:id', verifyToken, requireRole('treasurer'), idValidation, deleteBudget);
+
+module.exports = router;
@@ -0,0 +1,90 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  getCategories,
+  createCategory,
+  updateCategory,
+  renameCategory,
+  mergeCategory
+} = require('../controllers/categoryController');
+const { verifyToken, requireRole } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// Validation rules
+const nameValidation = body('name')
+  .trim()
+  .isLength({ min: 1, max: 50 })
+  .withMessage('Name is required and must be less than 50 characters');
+
+const colorValidation = body('color')
+  .optional({ values: 'falsy' })
+  .matches(/^#[0-9a-fA-F]{6}$/)
+  .withMessage('Color must be a hex code like #1a2b3c');
+
+const categoryValidation = [
+  nameValidation,
+  body('type')
+    .isIn(['Income', 'Expense'])
+    .withMessage('Type must be Income or Expense'),
+  body('parentId').optional({ values: 'null' }).isMongoId().withMessage('Invalid parent category ID'),
+  colorValidation
+];
+
+const updateCategoryValidation = [
+  body('type')
+    .optional()
+    .isIn(['Income', 'Expense'])
+    .withMessage('Type must be Income or Expense'),
+  body('parentId').optional({ values: 'null' }).isMongoId().withMessage('Invalid parent category ID'),
+  body('archived').optional().isBoolean({ strict: true }).withMessage('Archived must be true or false'),
+  colorValidation
+];
+
+const mergeValidation = [
+  body('targetId').isMongoId().withMessage('Invalid target category ID')
+];
+
+const listValidation = [
+  query('type')
+    .optional()
+    .isIn(['Income', 'Expense'])
+    .withMessage('Type must be Income or Expense'),
+  query('includeArchived')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('includeArchived must be true or false')
+];
+
+const idValidation = [
+  param('id').isMongoId().withMessage('Invalid category ID')
+];
+
+// Routes
+
+// @route   GET /api/categories
+// @desc    Get categories
+// @access  Private
+router.get('/', verifyToken, listValidation, getCategories);
+
+// @route   POST /api/categories
+// @desc    Create a category
+// @access  Private (treasurer)
+router.post('/', verifyToken, requireRole('treasurer'), categoryValidation, createCategory);
+
+// @route   PATCH /api/categories/:id
+// @desc    Move, recolor, retype or archive a category
+// @access  Private (treasurer)
+router.patch('/:id', verifyToken, requireRole('treasurer'), idValidation, updateCategoryValidation, updateCategory);
+
+// @route   POST /api/categories/:id/rename
+// @desc    Rename a category everywhere it is used
+// @access  Private (treasurer)
+router.post('/:id/rename', verifyToken, requireRole('treasurer'), idValidation, nameValidation, renameCategory);
+
+// @route   POST /api/categories/:id/merge
+// @desc    Merge a category into another one
+// @access  Private (treasurer)
+router.post('/:id/merge', verifyToken, requireRole('treasurer'), idValidation, mergeValidation, mergeCategory);
+
+module.exports = router;
@@ -0,0 +1,109 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  getDonors,
+  getDonor,
+  createDonor,
+  updateDonor,
+  deleteDonor,
+  getDonorDonations,
+  getDonorReport
+} = require('../controllers/donorController');
+const { verifyToken, requireRole } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// Validation rules
+const donorFieldValidation = [
+  body('type')
+    .optional()
+    .isIn(['individual', 'organization'])
+    .withMessage('Donor type must be individual or organization'),
+  body('contactName').optional().trim().isLength({ max: 100 }).withMessage('Contact name too long'),
+  body('email').optional({ values: 'falsy' }).trim().isEmail().withMessage('Invalid email'),
+  body('phone').optional().trim().isLength({ max: 30 }).withMessage('Phone too long'),
+  body('address').optional().isObject().withMessage('Address must be an object'),
+  body('address.*').optional().isString().trim().isLength({ max: 200 }).withMessage('Address fields must be text'),
+  body('taxId').optional().trim().isLength({ max: 50 }).withMessage('Tax ID too long'),
+  body('consent').optional().isObject().withMessage('Consent must be an object'),
+  body('consent')
+    .optional()
+    .custom(value => Object.keys(value).every(key => ['email', 'phone', 'post', 'publicAcknowledgement'].includes(key)))
+    .withMessage('Consent flags are email, phone, post and publicAcknowledgement'),
+  body('consent.*').optional().isBoolean().withMessage('Consent flags must be booleans').toBoolean(),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes too long')
+];
+
+const donorValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name is required and must be less than 100 characters'),
+  ...donorFieldValidation
+];
+
+const updateDonorValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be less than 100 characters'),
+  ...donorFieldValidation
+];
+
+const listValidation = [
+  query('search').optional().trim().isLength({ max: 100 }).withMessage('Search too long'),
+  query('type').optional().isIn(['individual', 'organization']).withMessage('Type must be individual or organization'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+const reportValidation = [
+  query('startDate').optional().isISO8601().withMessage('Valid start date required'),
+  query('endDate').optional().isISO8601().withMessage('Valid end date required'),
+  query('lapsedMonths').optional().isInt({ min: 1, max: 120 }).withMessage('Lapsed months must be between 1 and 120'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+const idValidation = [
+  param('id').isMongoId().withMessage('Invalid donor ID')
+];
+
+// Routes
+
+// @route   GET /api/donors
+// @desc    Get donors (optional ?search=, ?type=)
+// @access  Private
+router.get('/', verifyToken, listValidation, getDonors);
+
+// @route   GET /api/donors/report
+// @desc    Get first-time, repeat, lapsed and top donors for a period
+// @access  Private
+router.get('/report', verifyToken, reportValidation, getDonorReport);
+
+// @route   GET /api/donors/:id
+// @desc    Get a donor with lifetime totals
+// @access  Private
+router.get('/:id', verifyToken, idValidation, getDonor);
+
+// @route   GET /api/donors/:id/donations
+// @desc    Get a donor's giving history
+// @access  Private
+router.get('/:id/donations', verifyToken, idValidation, listValidation, getDonorDonations);
+
+// @route   POST /api/donors
+// @desc    Create a donor
+// @access  Private (treasurer)
+router.post('/', verifyToken, requireRole('treasurer'), donorValidation, createDonor);
+
+// @route   PATCH /api/donors/:id
+// @desc    Update a donor
+// @access  Private (treasurer)
+router.patch('/:id', verifyToken, requireRole('treasurer'), idValidation, updateDonorValidation, updateDonor);
+
+// @route   DELETE /api/donors/:id
+// @desc    Delete a donor without donations
+// @access  Private (treasurer)
+router.delete('/:id', verifyToken, requireRole('treasurer'), idValidation, deleteDonor);
+
+module.exports = router;
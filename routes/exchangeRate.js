@@ -0,0 +1,62 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  getExchangeRates,
+  setExchangeRate,
+  importExchangeRates,
+  deleteExchangeRate
+} = require('../controllers/exchangeRateController');
+const { verifyToken, requireRole } = require('../middlewares/auth');
+const { uploadRateTable } = require('../middlewares/upload');
+
+const router = express.Router();
+
+// Validation rules
+const currencyRule = (field, label) => field
+  .trim()
+  .toUpperCase()
+  .isISO4217()
+  .withMessage(`${label} must be a valid ISO 4217 code`);
+
+const rateValidation = [
+  body('date').isISO8601().withMessage('Valid date required'),
+  currencyRule(body('currency'), 'Currency'),
+  currencyRule(body('baseCurrency').optional(), 'Base currency'),
+  body('rate').isFloat({ gt: 0 }).withMessage('Rate must be a positive number'),
+  body('source').optional().trim().isLength({ max: 100 }).withMessage('Source too long')
+];
+
+const rateQueryValidation = [
+  currencyRule(query('currency').optional(), 'Currency'),
+  currencyRule(query('baseCurrency').optional(), 'Base currency'),
+  query('startDate').optional().isISO8601().withMessage('Valid start date required'),
+  query('endDate').optional().isISO8601().withMessage('Valid end date required')
+];
+
+const idValidation = [
+  param('id').isMongoId().withMessage('Invalid exchange rate ID')
+];
+
+// Routes
+
+// @route   GET /api/exchange-rates
+// @desc    Get exchange rates into the base currency
+// @access  Private
+router.get('/', verifyToken, rateQueryValidation, getExchangeRates);
+
+// @route   POST /api/exchange-rates
+// @desc    Set the rate of a currency for a day
+// @access  Private (treasurer)
+router.post('/', verifyToken, requireRole('treasurer'), rateValidation, setExchangeRate);
+
+// @route   POST /api/exchange-rates/import
+// @desc    Import rates from a CSV file (multipart field `file`)
+// @access  Private (treasurer)
+router.post('/import', verifyToken, requireRole('treasurer'), uploadRateTable, importExchangeRates);
+
+// @route   DELETE /api/exchange-rates/:id
+// @desc    Delete an exchange rate
+// @access  Private (treasurer)
+router.delete('/:id', verifyToken, requireRole('treasurer'), idValidation, deleteExchangeRate);
+
+module.exports = router;
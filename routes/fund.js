@@ -0,0 +1,115 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  getFunds,
+  getFund,
+  createFund,
+  updateFund,
+  deleteFund,
+  getTransfers,
+  createTransfer,
+  deleteTransfer
+} = require('../controllers/fundController');
+const { verifyToken, requireRole } = require('../middlewares/auth');
+const { RESTRICTIONS } = require('../models/Fund');
+
+const router = express.Router();
+
+// Validation rules
+const fundFieldValidation = [
+  body('restriction')
+    .optional()
+    .isIn(RESTRICTIONS)
+    .withMessage(`Restriction must be one of: ${RESTRICTIONS.join(', ')}`),
+  body('restrictedUntil').optional({ values: 'null' }).isISO8601().withMessage('Valid date required'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description too long')
+];
+
+const fundValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name is required and must be less than 100 characters'),
+  ...fundFieldValidation
+];
+
+const updateFundValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be less than 100 characters'),
+  ...fundFieldValidation
+];
+
+const transferValidation = [
+  body('fromFundId').isMongoId().withMessage('Invalid source fund ID'),
+  body('toFundId')
+    .isMongoId()
+    .withMessage('Invalid destination fund ID')
+    .custom((value, { req }) => value !== req.body.fromFundId)
+    .withMessage('Source and destination funds must differ'),
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be a positive number with at least 0.01'),
+  body('date').optional().isISO8601().withMessage('Valid date required'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason too long')
+];
+
+const transferQueryValidation = [
+  query('startDate').optional().isISO8601().withMessage('Valid start date required'),
+  query('endDate').optional().isISO8601().withMessage('Valid end date required'),
+  query('kind').optional().isIn(['release', 'transfer']).withMessage('Kind must be release or transfer')
+];
+
+const balanceValidation = [
+  query('asOf').optional().isISO8601().withMessage('Valid date required')
+];
+
+const idValidation = [
+  param('id').isMongoId().withMessage('Invalid ID')
+];
+
+// Routes
+
+// @route   GET /api/funds
+// @desc    Get funds with balances (optional ?asOf=)
+// @access  Private
+router.get('/', verifyToken, balanceValidation, getFunds);
+
+// @route   GET /api/funds/transfers
+// @desc    Get transfers and releases between funds
+// @access  Private
+router.get('/transfers', verifyToken, transferQueryValidation, getTransfers);
+
+// @route   POST /api/funds/transfers
+// @desc    Transfer money between funds or release it from restriction
+// @access  Private (treasurer)
+router.post('/transfers', verifyToken, requireRole('treasurer'), transferValidation, createTransfer);
+
+// @route   DELETE /api/funds/transfers/:id
+// @desc    Delete a transfer
+// @access  Private (treasurer)
+router.delete('/transfers/:id', verifyToken, requireRole('treasurer'), idValidation, deleteTransfer);
+
+// @route   GET /api/funds/:id
+// @desc    Get a fund with its balance and transfers
+// @access  Private
+router.get('/:id', verifyToken, idValidation, balanceValidation, getFund);
+
+// @route   POST /api/funds
+// @desc    Create a fund
+// @access  Private (treasurer)
+router.post('/', verifyToken, requireRole('treasurer'), fundValidation, createFund);
+
+// @route   PATCH /api/funds/:id
+// @desc    Update a fund
+// @access  Private (treasurer)
+router.patch('/:id', verifyToken, requireRole('treasurer'), idValidation, updateFundValidation, updateFund);
+
+// @route   DELETE /api/funds/:id
+// @desc    Delete an unused fund
+// @access  Private (treasurer)
+router.delete('/:id', verifyToken, requireRole('treasurer'), idValidation, deleteFund);
+
+module.exports = router;
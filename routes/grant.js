@@ -0,0 +1,196 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  getGrants,
+  getGrant,
+  createGrant,
+  updateGrant,
+  deleteGrant,
+  getGrantReport,
+  getDeadlines,
+  addDeadline,
+  updateDeadline,
+  deleteDeadline
+} = require('../controllers/grantController');
+const { verifyToken, requireRole } = require('../middlewares/auth');
+const Donor = require('../models/Donor');
+const { STATUSES } = require('../models/Grant');
+
+const router = express.Router();
+
+// Validation rules
+const deadlineFieldValidation = (prefix) => [
+  body(`${prefix}periodStart`).optional().isISO8601().withMessage('Valid period start required'),
+  body(`${prefix}periodEnd`).optional().isISO8601().withMessage('Valid period end required'),
+  body(`${prefix}description`).optional().trim().isLength({ max: 200 }).withMessage('Description too long')
+];
+
+const grantFieldValidation = [
+  body('donorId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid donor ID')
+    .bail()
+    .custom(async (value, { req }) => {
+      if (!(await Donor.exists({ _id: value, organizationId: req.organization.id }))) {
+        throw new Error('Donor not found');
+      }
+    }),
+  body('referenceNumber').optional().trim().isLength({ max: 50 }).withMessage('Reference number too long'),
+  body('status')
+    .optional()
+    .isIn(STATUSES)
+    .withMessage(`Status must be one of: ${STATUSES.join(', ')}`),
+  body('budgetLines').optional().isArray().withMessage('Budget lines must be an array'),
+  body('budgetLines.*.name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Budget line name is required and must be less than 100 characters'),
+  body('budgetLines.*.categories').isArray({ min: 1 }).withMessage('Budget lines need at least one category'),
+  body('budgetLines.*.categories.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Categories must be less than 50 characters'),
+  body('budgetLines.*.amount')
+    .isFloat({ min: 0 })
+    .withMessage('Budget line amount must be a non-negative number')
+    .toFloat(),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes too long')
+];
+
+const grantValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name is required and must be less than 100 characters'),
+  body('funder')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Funder is required and must be less than 100 characters'),
+  body('awardAmount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Award amount must be a positive number with at least 0.01')
+    .toFloat(),
+  body('startDate').isISO8601().withMessage('Valid start date required'),
+  body('endDate')
+    .isISO8601()
+    .withMessage('Valid end date required')
+    .custom((value, { req }) => new Date(value) >= new Date(req.body.startDate))
+    .withMessage('End date must not be before the start date'),
+  body('reportingDeadlines').optional().isArray().withMessage('Reporting deadlines must be an array'),
+  body('reportingDeadlines.*.dueDate').isISO8601().withMessage('Valid due date required'),
+  ...deadlineFieldValidation('reportingDeadlines.*.'),
+  ...grantFieldValidation
+];
+
+const updateGrantValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be less than 100 characters'),
+  body('funder')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Funder must be less than 100 characters'),
+  body('awardAmount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Award amount must be a positive number with at least 0.01')
+    .toFloat(),
+  body('startDate').optional().isISO8601().withMessage('Valid start date required'),
+  body('endDate').optional().isISO8601().withMessage('Valid end date required'),
+  ...grantFieldValidation
+];
+
+const deadlineValidation = [
+  body('dueDate').isISO8601().withMessage('Valid due date required'),
+  ...deadlineFieldValidation('')
+];
+
+const updateDeadlineValidation = [
+  body('dueDate').optional().isISO8601().withMessage('Valid due date required'),
+  ...deadlineFieldValidation(''),
+  body('submitted').optional().isBoolean().withMessage('submitted must be a boolean').toBoolean()
+];
+
+const listValidation = [
+  query('status')
+    .optional()
+    .isIn(STATUSES)
+    .withMessage(`Status must be one of: ${STATUSES.join(', ')}`)
+];
+
+const reportValidation = [
+  query('startDate').optional().isISO8601().withMessage('Valid start date required'),
+  query('endDate').optional().isISO8601().withMessage('Valid end date required'),
+  query('deadlineId').optional().isMongoId().withMessage('Invalid deadline ID')
+];
+
+const deadlinesQueryValidation = [
+  query('days').optional().isInt({ min: 1, max: 365 }).withMessage('Days must be between 1 and 365')
+];
+
+const idValidation = [
+  param('id').isMongoId().withMessage('Invalid grant ID')
+];
+
+const deadlineIdValidation = [
+  param('deadlineId').isMongoId().withMessage('Invalid deadline ID')
+];
+
+// Routes
+
+// @route   GET /api/grants
+// @desc    Get grants (optional ?status=)
+// @access  Private
+router.get('/', verifyToken, listValidation, getGrants);
+
+// @route   GET /api/grants/deadlines
+// @desc    Get overdue and upcoming reporting deadlines (optional ?days=, default 30)
+// @access  Private
+router.get('/deadlines', verifyToken, deadlinesQueryValidation, getDeadlines);
+
+// @route   GET /api/grants/:id
+// @desc    Get a grant with its spend to date
+// @access  Private
+router.get('/:id', verifyToken, idValidation, getGrant);
+
+// @route   GET /api/grants/:id/report
+// @desc    Get budget-vs-actual, unspent balance and burn rate for a period
+// @access  Private
+router.get('/:id/report', verifyToken, idValidation, reportValidation, getGrantReport);
+
+// @route   POST /api/grants
+// @desc    Create a grant
+// @access  Private (treasurer)
+router.post('/', verifyToken, requireRole('treasurer'), grantValidation, createGrant);
+
+// @route   PATCH /api/grants/:id
+// @desc    Update a grant
+// @access  Private (treasurer)
+router.patch('/:id', verifyToken, requireRole('treasurer'), idValidation, updateGrantValidation, updateGrant);
+
+// @route   DELETE /api/grants/:id
+// @desc    Delete a grant without transactions
+// @access  Private (treasurer)
+router.delete('/:id', verifyToken, requireRole('treasurer'), idValidation, deleteGrant);
+
+// @route   POST /api/grants/:id/deadlines
+// @desc    Add a reporting deadline
+// @access  Private (treasurer)
+router.post('/:id/deadlines', verifyToken, requireRole('treasurer'), idValidation, deadlineValidation, addDeadline);
+
+// @route   PATCH /api/grants/:id/deadlines/:deadlineId
+// @desc    Update a reporting deadline or mark it submitted
+// @access  Private (treasurer)
+router.patch('/:id/deadlines/:deadlineId', verifyToken, requireRole('treasurer'), idValidation, deadlineIdValidation, updateDeadlineValidation, updateDeadline);
+
+// @route   DELETE /api/grants/:id/deadlines/:deadlineId
+// @desc    Remove a reporting deadline
+// @access  Private (treasurer)
+router.delete('/:id/deadlines/:deadlineId', verifyToken, requireRole('treasurer'), idValidation, deadlineIdValidation, deleteDeadline);
+
+module.exports = router;
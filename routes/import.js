@@ -0,0 +1,89 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const {
+  previewImport,
+  commitImport,
+  getImport,
+  getImportProfiles,
+  createImportProfile,
+  deleteImportProfile
+} = require('../controllers/importController');
+const { verifyToken, requireRole } = require('../middlewares/auth');
+const { uploadStatement } = require('../middlewares/upload');
+const { PAYMENT_METHODS } = require('../utils/importer');
+
+const router = express.Router();
+
+// Validation rules
+const previewValidation = [
+  body('format').optional().isIn(['csv', 'ofx', 'qif']).withMessage('Format must be csv, ofx or qif'),
+  body('profileId').optional().isMongoId().withMessage('Invalid profile ID'),
+  body('mapping').optional().isJSON().withMessage('Mapping must be a JSON object'),
+  body('defaultCategory')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Category must be less than 50 characters'),
+  body('paymentMethod')
+    .optional()
+    .isIn(PAYMENT_METHODS)
+    .withMessage(`Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`),
+  body('dateFormat')
+    .optional()
+    .isIn(['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY'])
+    .withMessage('Date format must be YYYY-MM-DD, DD/MM/YYYY or MM/DD/YYYY'),
+  body('currency')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .isISO4217()
+    .withMessage('Currency must be a valid ISO 4217 code')
+];
+
+const profileValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Profile name is required and must be less than 50 characters'),
+  body('columns').isObject().withMessage('Column mapping is required'),
+  body('columns.date').notEmpty().withMessage('A date column is required'),
+  body('columns.description').notEmpty().withMessage('A description column is required')
+];
+
+const idValidation = [
+  param('id').isMongoId().withMessage('Invalid ID')
+];
+
+// Routes
+
+// @route   GET /api/imports/profiles
+// @desc    Get saved CSV mapping profiles
+// @access  Private
+router.get('/profiles', verifyToken, getImportProfiles);
+
+// @route   POST /api/imports/profiles
+// @desc    Save a CSV mapping profile
+// @access  Private
+router.post('/profiles', verifyToken, profileValidation, createImportProfile);
+
+// @route   DELETE /api/imports/profiles/:id
+// @desc    Delete a CSV mapping profile
+// @access  Private
+router.delete('/profiles/:id', verifyToken, idValidation, deleteImportProfile);
+
+// @route   POST /api/imports/preview
+// @desc    Upload a CSV, OFX or QIF statement and preview the import (dry run)
+// @access  Private (treasurer)
+router.post('/preview', verifyToken, requireRole('treasurer'), uploadStatement, previewValidation, previewImport);
+
+// @route   GET /api/imports/:id
+// @desc    Get the per-row report of an import
+// @access  Private
+router.get('/:id', verifyToken, idValidation, getImport);
+
+// @route   POST /api/imports/:id/commit
+// @desc    Commit a previewed import
+// @access  Private (treasurer)
+router.post('/:id/commit', verifyToken, requireRole('treasurer'), idValidation, commitImport);
+
+module.exports = router;
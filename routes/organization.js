@@ -0,0 +1,134 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const {
+  getOrganizations,
+  createOrganization,
+  getCurrentOrganization,
+  updateOrganization,
+  inviteMember,
+  getInvitations,
+  cancelInvitation,
+  acceptInvitation,
+  updateMemberRole,
+  removeMember
+} = require('../controllers/organizationController');
+const { verifyToken, requireRole } = require('../middlewares/auth');
+const { ROLES } = require('../models/Organization');
+
+const router = express.Router();
+
+// Validation rules
+const nameValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name is required and must be less than 100 characters')
+];
+
+const baseCurrencyValidation = body('baseCurrency')
+  .optional()
+  .trim()
+  .toUpperCase()
+  .isISO4217()
+  .withMessage('Base currency must be a valid ISO 4217 code');
+
+const createValidation = [...nameValidation, baseCurrencyValidation];
+
+const updateValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be less than 100 characters'),
+  baseCurrencyValidation,
+  body('details').optional().isObject().withMessage('Details must be an object'),
+  body('details.email').optional({ values: 'falsy' }).isEmail().withMessage('Invalid email'),
+  body('details.*').optional().isString().trim().isLength({ max: 300 }).withMessage('Details must be text'),
+  body('receiptSettings').optional().isObject().withMessage('Receipt settings must be an object'),
+  body('receiptSettings.fiscalYearStartMonth')
+    .optional()
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Fiscal year start month must be between 1 and 12')
+    .toInt(),
+  body('receiptSettings.prefix').optional().isString().trim().isLength({ max: 10 }).withMessage('Prefix too long'),
+  body(['receiptSettings.title', 'receiptSettings.body', 'receiptSettings.footer', 'receiptSettings.signatory'])
+    .optional()
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Receipt template fields must be text'),
+  body('twoFactorRequiredRoles').optional().isArray().withMessage('Two-factor roles must be an array'),
+  body('twoFactorRequiredRoles.*').isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+];
+
+const roleValidation = [
+  body('role').isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+];
+
+const inviteValidation = [
+  body('email').isEmail().withMessage('Invalid email'),
+  ...roleValidation
+];
+
+const memberValidation = [
+  param('userId').isMongoId().withMessage('Invalid user ID')
+];
+
+const idValidation = [
+  param('id').isMongoId().withMessage('Invalid invitation ID')
+];
+
+// Routes
+
+// @route   GET /api/organizations
+// @desc    Get organizations the user belongs to
+// @access  Private
+router.get('/', verifyToken, getOrganizations);
+
+// @route   POST /api/organizations
+// @desc    Create an organization
+// @access  Private
+router.post('/', verifyToken, createValidation, createOrganization);
+
+// @route   POST /api/organizations/invitations/accept
+// @desc    Accept an invitation
+// @access  Private
+router.post('/invitations/accept', verifyToken, [
+  body('token').isString().notEmpty().withMessage('Invitation token is required')
+], acceptInvitation);
+
+// @route   GET /api/organizations/current
+// @desc    Get the active organization (X-Organization-Id header) and its members
+// @access  Private
+router.get('/current', verifyToken, getCurrentOrganization);
+
+// @route   PATCH /api/organizations/current
+// @desc    Update the active organization's name, base currency, details, receipt settings or two-factor roles
+// @access  Private (admin)
+router.patch('/current', verifyToken, requireRole('admin'), updateValidation, updateOrganization);
+
+// @route   GET /api/organizations/current/invitations
+// @desc    Get pending invitations
+// @access  Private (admin)
+router.get('/current/invitations', verifyToken, requireRole('admin'), getInvitations);
+
+// @route   POST /api/organizations/current/invitations
+// @desc    Invite a member by email
+// @access  Private (admin)
+router.post('/current/invitations', verifyToken, requireRole('admin'), inviteValidation, inviteMember);
+
+// @route   DELETE /api/organizations/current/invitations/:id
+// @desc    Cancel a pending invitation
+// @access  Private (admin)
+router.delete('/current/invitations/:id', verifyToken, requireRole('admin'), idValidation, cancelInvitation);
+
+// @route   PATCH /api/organizations/current/members/:userId
+// @desc    Change a member's role
+// @access  Private (admin)
+router.patch('/current/members/:userId', verifyToken, requireRole('admin'), memberValidation, roleValidation, updateMemberRole);
+
+// @route   DELETE /api/organizations/current/members/:userId
+// @desc    Remove a member or leave the organization
+// @access  Private
+router.delete('/current/members/:userId', verifyToken, memberValidation, removeMember);
+
+module.exports = router;
@@ -0,0 +1,79 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  getPeriods,
+  getDriftReport,
+  getPeriod,
+  closePeriod,
+  reopenPeriod
+} = require('../controllers/periodController');
+const { verifyToken, requireRole } = require('../middlewares/auth');
+const { KINDS, STATUSES } = require('../models/Period');
+
+const router = express.Router();
+
+// Validation rules
+const closeValidation = [
+  body('kind')
+    .isIn(KINDS)
+    .withMessage(`Kind must be one of: ${KINDS.join(', ')}`),
+  body('month')
+    .if(body('kind').equals('month'))
+    .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+    .withMessage('Month must be given as YYYY-MM'),
+  body('fiscalYear')
+    .if(body('kind').equals('fiscal_year'))
+    .isInt({ min: 2000, max: 2100 })
+    .withMessage('Valid fiscal year required')
+];
+
+const reopenValidation = [
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Reason is required and must be less than 500 characters')
+];
+
+const listValidation = [
+  query('kind')
+    .optional()
+    .isIn(KINDS)
+    .withMessage(`Kind must be one of: ${KINDS.join(', ')}`),
+  query('status')
+    .optional()
+    .isIn(STATUSES)
+    .withMessage(`Status must be one of: ${STATUSES.join(', ')}`)
+];
+
+const idValidation = [
+  param('id').isMongoId().withMessage('Invalid period ID')
+];
+
+// Routes
+
+// @route   GET /api/periods
+// @desc    Get closed and reopened periods
+// @access  Private
+router.get('/', verifyToken, listValidation, getPeriods);
+
+// @route   GET /api/periods/drift
+// @desc    List closed periods whose transactions changed since closing
+// @access  Private
+router.get('/drift', verifyToken, getDriftReport);
+
+// @route   GET /api/periods/:id
+// @desc    Get a period with its snapshot and drift
+// @access  Private
+router.get('/:id', verifyToken, idValidation, getPeriod);
+
+// @route   POST /api/periods
+// @desc    Close a month or fiscal year
+// @access  Private (admin)
+router.post('/', verifyToken, requireRole('admin'), closeValidation, closePeriod);
+
+// @route   POST /api/periods/:id/reopen
+// @desc    Reopen a closed period with a reason
+// @access  Private (admin)
+router.post('/:id/reopen', verifyToken, requireRole('admin'), idValidation, reopenValidation, reopenPeriod);
+
+module.exports = router;
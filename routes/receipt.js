@@ -0,0 +1,81 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  getReceipts,
+  getReceipt,
+  getReceiptDocument,
+  createReceipt,
+  createAnnualReceipt,
+  voidReceipt
+} = require('../controllers/receiptController');
+const { verifyToken, requireRole } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// Validation rules
+const registerValidation = [
+  query('fiscalYear').optional().isInt({ min: 1900, max: 9999 }).withMessage('Valid fiscal year required'),
+  query('status').optional().isIn(['issued', 'void']).withMessage('Status must be issued or void'),
+  query('kind').optional().isIn(['single', 'annual']).withMessage('Kind must be single or annual'),
+  query('donorId').optional().isMongoId().withMessage('Invalid donor ID'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+];
+
+const receiptValidation = [
+  body('transactionId').isMongoId().withMessage('Invalid transaction ID')
+];
+
+const annualReceiptValidation = [
+  body('donorId').isMongoId().withMessage('Invalid donor ID'),
+  body('fiscalYear').isInt({ min: 1900, max: 9999 }).withMessage('Valid fiscal year required')
+];
+
+const voidValidation = [
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('A reason is required and must be less than 500 characters')
+];
+
+const documentValidation = [
+  query('format').optional().isIn(['html', 'pdf']).withMessage('Format must be html or pdf')
+];
+
+const idValidation = [
+  param('id').isMongoId().withMessage('Invalid receipt ID')
+];
+
+// Routes
+
+// @route   GET /api/receipts
+// @desc    Get the receipts register
+// @access  Private
+router.get('/', verifyToken, registerValidation, getReceipts);
+
+// @route   GET /api/receipts/:id
+// @desc    Get a receipt
+// @access  Private
+router.get('/:id', verifyToken, idValidation, getReceipt);
+
+// @route   GET /api/receipts/:id/document
+// @desc    Render a receipt (?format=html|pdf)
+// @access  Private
+router.get('/:id/document', verifyToken, idValidation, documentValidation, getReceiptDocument);
+
+// @route   POST /api/receipts
+// @desc    Issue a receipt for one donation
+// @access  Private (treasurer)
+router.post('/', verifyToken, requireRole('treasurer'), receiptValidation, createReceipt);
+
+// @route   POST /api/receipts/annual
+// @desc    Issue a consolidated annual receipt for a donor
+// @access  Private (treasurer)
+router.post('/annual', verifyToken, requireRole('treasurer'), annualReceiptValidation, createAnnualReceipt);
+
+// @route   POST /api/receipts/:id/void
+// @desc    Void a receipt
+// @access  Private (treasurer)
+router.post('/:id/void', verifyToken, requireRole('treasurer'), idValidation, voidValidation, voidReceipt);
+
+module.exports = router;
@@ -0,0 +1,80 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  getReconciliations,
+  createReconciliation,
+  getReconciliation,
+  clearTransactions,
+  finalizeReconciliation,
+  cancelReconciliation
+} = require('../controllers/reconciliationController');
+const { verifyToken, requireRole } = require('../middlewares/auth');
+const { STATUSES } = require('../models/Reconciliation');
+
+const router = express.Router();
+
+// Validation rules
+const reconciliationValidation = [
+  body('accountId').isMongoId().withMessage('Invalid account ID'),
+  body('statementStartDate').optional().isISO8601().withMessage('Valid statement start date required'),
+  body('statementEndDate')
+    .isISO8601()
+    .withMessage('Valid statement end date required')
+    .custom((value, { req }) => !req.body.statementStartDate || new Date(value) >= new Date(req.body.statementStartDate))
+    .withMessage('Statement end date must not be before its start date'),
+  body('endingBalance').isFloat().withMessage('Ending balance must be a number')
+];
+
+const clearValidation = [
+  body('transactionIds')
+    .isArray({ min: 1, max: 500 })
+    .withMessage('transactionIds must be an array of 1 to 500 IDs'),
+  body('transactionIds.*').isMongoId().withMessage('Invalid transaction ID'),
+  body('cleared').optional().isBoolean({ strict: true }).withMessage('Cleared must be true or false')
+];
+
+const listValidation = [
+  query('accountId').optional().isMongoId().withMessage('Invalid account ID'),
+  query('status')
+    .optional()
+    .isIn(STATUSES)
+    .withMessage(`Status must be one of: ${STATUSES.join(', ')}`)
+];
+
+const idValidation = [
+  param('id').isMongoId().withMessage('Invalid reconciliation ID')
+];
+
+// Routes
+
+// @route   GET /api/reconciliations
+// @desc    Get reconciliation sessions
+// @access  Private
+router.get('/', verifyToken, listValidation, getReconciliations);
+
+// @route   GET /api/reconciliations/:id
+// @desc    Get a session with its balances and transactions
+// @access  Private
+router.get('/:id', verifyToken, idValidation, getReconciliation);
+
+// @route   POST /api/reconciliations
+// @desc    Start reconciling an account against a statement
+// @access  Private (treasurer)
+router.post('/', verifyToken, requireRole('treasurer'), reconciliationValidation, createReconciliation);
+
+// @route   POST /api/reconciliations/:id/clear
+// @desc    Tick transactions off against the statement, or untick them
+// @access  Private (treasurer)
+router.post('/:id/clear', verifyToken, requireRole('treasurer'), idValidation, clearValidation, clearTransactions);
+
+// @route   POST /api/reconciliations/:id/finalize
+// @desc    Finalize a balanced session
+// @access  Private (treasurer)
+router.post('/:id/finalize', verifyToken, requireRole('treasurer'), idValidation, finalizeReconciliation);
+
+// @route   DELETE /api/reconciliations/:id
+// @desc    Cancel a session in progress
+// @access  Private (treasurer)
+router.delete('/:id', verifyToken, requireRole('treasurer'), idValidation, cancelReconciliation);
+
+module.exports = router;
@@ -0,0 +1,93 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  getRecurringTransactions,
+  createRecurringTransaction,
+  getOccurrences,
+  pauseRecurringTransaction,
+  resumeRecurringTransaction,
+  cancelRecurringTransaction
+} = require('../controllers/recurringController');
+const { verifyToken, requireRole } = require('../middlewares/auth');
+const { FREQUENCIES } = require('../utils/recurrence');
+
+const router = express.Router();
+
+// Validation rules
+const recurringValidation = [
+  body('date').isISO8601().withMessage('Valid start date required'),
+  body('description')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Description is required and must be less than 200 characters'),
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be a positive number with at least 0.01'),
+  body('currency')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .isISO4217()
+    .withMessage('Currency must be a valid ISO 4217 code'),
+  body('category')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Category is required and must be less than 50 characters'),
+  body('type')
+    .isIn(['Income', 'Expense'])
+    .withMessage('Type must be Income or Expense'),
+  body('recurringDetails.frequency')
+    .isIn(FREQUENCIES)
+    .withMessage(`Frequency must be one of: ${FREQUENCIES.join(', ')}`),
+  body('recurringDetails.endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid end date required')
+    .custom((value, { req }) => new Date(value) >= new Date(req.body.date))
+    .withMessage('End date must not be before the start date')
+];
+
+const statusQueryValidation = [
+  query('status')
+    .optional()
+    .isIn(['active', 'paused', 'cancelled', 'completed'])
+    .withMessage('Status must be active, paused, cancelled or completed')
+];
+
+const idValidation = [
+  param('id').isMongoId().withMessage('Invalid recurring transaction ID')
+];
+
+// Routes
+
+// @route   GET /api/recurring
+// @desc    Get recurring transaction templates
+// @access  Private
+router.get('/', verifyToken, statusQueryValidation, getRecurringTransactions);
+
+// @route   POST /api/recurring
+// @desc    Create a recurring transaction template
+// @access  Private (treasurer)
+router.post('/', verifyToken, requireRole('treasurer'), recurringValidation, createRecurringTransaction);
+
+// @route   GET /api/recurring/:id/occurrences
+// @desc    Get occurrences generated from a template
+// @access  Private
+router.get('/:id/occurrences', verifyToken, idValidation, getOccurrences);
+
+// @route   PATCH /api/recurring/:id/pause
+// @desc    Pause a recurring transaction
+// @access  Private (treasurer)
+router.patch('/:id/pause', verifyToken, requireRole('treasurer'), idValidation, pauseRecurringTransaction);
+
+// @route   PATCH /api/recurring/:id/resume
+// @desc    Resume a paused recurring transaction
+// @access  Private (treasurer)
+router.patch('/:id/resume', verifyToken, requireRole('treasurer'), idValidation, resumeRecurringTransaction);
+
+// @route   PATCH /api/recurring/:id/cancel
+// @desc    Cancel a recurring transaction
+// @access  Private (treasurer)
+router.patch('/:id/cancel', verifyToken, requireRole('treasurer'), idValidation, cancelRecurringTransaction);
+
+module.exports = router;
@@ -0,0 +1,148 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  previewRules,
+  applyRules,
+  getSuggestions
+} = require('../controllers/ruleController');
+const { verifyToken, requireRole } = require('../middlewares/auth');
+const Transaction = require('../models/Transaction');
+const { MATCH_MODES, isValidRegex } = require('../models/CategorizationRule');
+const { RULE_FIELDS } = require('../utils/categorization');
+
+const router = express.Router();
+
+const PAYMENT_METHODS = Transaction.schema.path('paymentMethod').enumValues;
+
+// Validation rules
+const ruleFieldValidation = [
+  body('priority').optional().isInt({ min: 0 }).withMessage('Priority must be a non-negative integer').toInt(),
+  body('enabled').optional().isBoolean({ strict: true }).withMessage('Enabled must be true or false'),
+  body('conditions.description')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Description condition must be 1 to 100 characters')
+    .bail()
+    .if(body('conditions.descriptionMatch').equals('regex'))
+    .custom(isValidRegex)
+    .withMessage('Description condition is not a valid regular expression (lookaround and backreferences are not supported)'),
+  body('conditions.descriptionMatch')
+    .optional()
+    .isIn(MATCH_MODES)
+    .withMessage(`Description match must be one of: ${MATCH_MODES.join(', ')}`),
+  body('conditions.amountMin').optional().isFloat({ min: 0 }).withMessage('Minimum amount must be a non-negative number').toFloat(),
+  body('conditions.amountMax')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Maximum amount must be a non-negative number')
+    .toFloat(),
+  body('conditions.paymentMethods').optional().isArray().withMessage('Payment methods must be an array'),
+  body('conditions.paymentMethods.*')
+    .isIn(PAYMENT_METHODS)
+    .withMessage(`Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`),
+  body('actions.category')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Category must be 1 to 50 characters'),
+  body('actions.type')
+    .optional()
+    .isIn(['Income', 'Expense'])
+    .withMessage('Type must be Income or Expense'),
+  body('actions.paymentMethod')
+    .optional()
+    .isIn(PAYMENT_METHODS)
+    .withMessage(`Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`),
+  body('actions.tags').optional().isArray({ max: 20 }).withMessage('Tags must be an array of at most 20 items'),
+  body('actions.tags.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Tags must be 1 to 30 characters')
+];
+
+const ruleValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name is required and must be less than 100 characters'),
+  body('conditions').isObject().withMessage('Conditions must be an object'),
+  body('actions').isObject().withMessage('Actions must be an object'),
+  ...ruleFieldValidation
+];
+
+const updateRuleValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be less than 100 characters'),
+  body('conditions').optional().isObject().withMessage('Conditions must be an object'),
+  body('actions').optional().isObject().withMessage('Actions must be an object'),
+  ...ruleFieldValidation
+];
+
+const rerunValidation = [
+  body('ruleIds').optional().isArray({ min: 1 }).withMessage('Rule IDs must be a non-empty array'),
+  body('ruleIds.*').isMongoId().withMessage('Invalid rule ID'),
+  body('startDate').optional().isISO8601().withMessage('Valid start date required'),
+  body('endDate').optional().isISO8601().withMessage('Valid end date required'),
+  body('categories').optional().isArray().withMessage('Categories must be an array'),
+  body('categories.*').isString().trim().isLength({ min: 1, max: 50 }).withMessage('Category must be 1 to 50 characters'),
+  body('fields').optional().isArray({ min: 1 }).withMessage('Fields must be a non-empty array'),
+  body('fields.*').isIn(RULE_FIELDS).withMessage(`Fields must be among: ${RULE_FIELDS.join(', ')}`)
+];
+
+const suggestionValidation = [
+  query('description').trim().isLength({ min: 1, max: 200 }).withMessage('Description is required and must be less than 200 characters'),
+  query('amount').optional().isFloat({ min: 0 }).withMessage('Amount must be a non-negative number'),
+  query('limit').optional().isInt({ min: 1, max: 10 }).withMessage('Limit must be between 1 and 10')
+];
+
+const idValidation = [
+  param('id').isMongoId().withMessage('Invalid rule ID')
+];
+
+// Routes
+
+// @route   GET /api/rules
+// @desc    Get categorization rules
+// @access  Private
+router.get('/', verifyToken, getRules);
+
+// @route   GET /api/rules/suggestions
+// @desc    Suggest categories learned from your past transactions
+// @access  Private
+router.get('/suggestions', verifyToken, suggestionValidation, getSuggestions);
+
+// @route   POST /api/rules/preview
+// @desc    Preview re-running the rules over existing transactions
+// @access  Private
+router.post('/preview', verifyToken, rerunValidation, previewRules);
+
+// @route   POST /api/rules/apply
+// @desc    Re-run the rules over existing transactions
+// @access  Private (treasurer)
+router.post('/apply', verifyToken, requireRole('treasurer'), rerunValidation, applyRules);
+
+// @route   POST /api/rules
+// @desc    Create a categorization rule
+// @access  Private (treasurer)
+router.post('/', verifyToken, requireRole('treasurer'), ruleValidation, createRule);
+
+// @route   PATCH /api/rules/:id
+// @desc    Update a categorization rule
+// @access  Private (treasurer)
+router.patch('/:id', verifyToken, requireRole('treasurer'), idValidation, updateRuleValidation, updateRule);
+
+// @route   DELETE /api/rules/:id
+// @desc    Delete a categorization rule
+// @access  Private (treasurer)
+router.delete('/:id', verifyToken, requireRole('treasurer'), idValidation, deleteRule);
+
+module.exports = router;
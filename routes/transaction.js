@@ -1,20 +1,137 @@
 const express = require('express');
-const { body, param, query } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const { 
   getTransactions, 
+  exportTransactions,
   getTransaction,
   addTransaction, 
   updateTransaction,
   deleteTransaction,
+  bulkTransactions,
+  getTrash,
+  restoreTransaction,
+  getTransactionHistory,
+  revertTransaction,
   getTransactionStats,
   getCategoryStats,
-  getMonthlyStats
+  getMonthlyStats,
+  getForecast
 } = require('../controllers/transactionController');
-const { verifyToken } = require('../middlewares/auth');
+const {
+  getAttachments,
+  addAttachment,
+  downloadAttachment,
+  deleteAttachment
+} = require('../controllers/attachmentController');
+const {
+  getSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch
+} = require('../controllers/savedSearchController');
+const { unreconcileTransaction } = require('../controllers/reconciliationController');
+const { verifyToken, requireRole } = require('../middlewares/auth');
+const { uploadAttachment } = require('../middlewares/upload');
+const Donor = require('../models/Donor');
+const Fund = require('../models/Fund');
+const Grant = require('../models/Grant');
+const Account = require('../models/Account');
+const Transaction = require('../models/Transaction');
+const { FREQUENCIES } = require('../utils/recurrence');
+const { EXPORT_FORMATS, OPTIONAL_COLUMNS } = require('../utils/exporters');
+const { SORTABLE_FIELDS, SEARCH_PARAMS, toList, normalizeSearchQuery } = require('../utils/search');
 
 const router = express.Router();
 
+const PAYMENT_METHODS = Transaction.schema.path('paymentMethod').enumValues;
+const CLEARED_STATUSES = Transaction.schema.path('clearedStatus').enumValues;
+
 // Validation rules
+
+// The donor must belong to the active organization; null unlinks on update
+const donorValidation = body('donorId')
+  .optional({ values: 'null' })
+  .isMongoId()
+  .withMessage('Invalid donor ID')
+  .bail()
+  .custom((value, { req }) => !req.body.type || req.body.type === 'Income')
+  .withMessage('Only Income transactions can have a donor')
+  .bail()
+  .custom(async (value, { req }) => {
+    if (!(await Donor.exists({ _id: value, organizationId: req.organization.id }))) {
+      throw new Error('Donor not found');
+    }
+  });
+
+const fundValidation = body('fundId')
+  .optional()
+  .isMongoId()
+  .withMessage('Invalid fund ID')
+  .bail()
+  .custom(async (value, { req }) => {
+    if (!(await Fund.exists({ _id: value, organizationId: req.organization.id }))) {
+      throw new Error('Fund not found');
+    }
+  });
+
+const grantValidation = body('grantId')
+  .optional({ values: 'null' })
+  .isMongoId()
+  .withMessage('Invalid grant ID')
+  .bail()
+  .custom(async (value, { req }) => {
+    if (!(await Grant.exists({ _id: value, organizationId: req.organization.id }))) {
+      throw new Error('Grant not found');
+    }
+  });
+
+const accountValidation = body('accountId')
+  .optional({ values: 'null' })
+  .isMongoId()
+  .withMessage('Invalid account ID')
+  .bail()
+  .custom(async (value, { req }) => {
+    if (!(await Account.exists({ _id: value, organizationId: req.organization.id }))) {
+      throw new Error('Account not found');
+    }
+  });
+
+const labelValidation = [
+  body('paymentMethod')
+    .optional()
+    .isIn(PAYMENT_METHODS)
+    .withMessage(`Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`),
+  body('tags').optional().isArray({ max: 20 }).withMessage('Tags must be an array of at most 20 items'),
+  body('tags.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Tags must be 1 to 30 characters')
+];
+
+// Lines of a split transaction; the writer checks they add up to the amount
+const splitValidation = [
+  body('splits')
+    .optional({ values: 'null' })
+    .isArray({ max: 50 })
+    .withMessage('Splits must be an array of at most 50 lines'),
+  body('splits.*.category')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each split line needs a category of less than 50 characters'),
+  body('splits.*.amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Each split line needs an amount of at least 0.01'),
+  body('splits.*.tags').optional().isArray({ max: 20 }).withMessage('Split line tags must be an array of at most 20 items'),
+  body('splits.*.tags.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Tags must be 1 to 30 characters'),
+  body('splits.*.notes').optional().isString().trim().isLength({ max: 500 }).withMessage('Split line notes too long')
+];
+
 const transactionValidation = [
   body('date').isISO8601().withMessage('Valid date required'),
   body('description')
@@ -24,13 +141,38 @@ const transactionValidation = [
   body('amount')
     .isFloat({ min: 0.01 })
     .withMessage('Amount must be a positive number with at least 0.01'),
+  body('currency')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .isISO4217()
+    .withMessage('Currency must be a valid ISO 4217 code'),
+  // Category and type may come from the categorization rules instead
   body('category')
+    .optional()
     .trim()
     .isLength({ min: 1, max: 50 })
-    .withMessage('Category is required and must be less than 50 characters'),
+    .withMessage('Category must be less than 50 characters'),
   body('type')
+    .optional()
     .isIn(['Income', 'Expense'])
-    .withMessage('Type must be Income or Expense')
+    .withMessage('Type must be Income or Expense'),
+  ...labelValidation,
+  donorValidation,
+  fundValidation,
+  grantValidation,
+  accountValidation,
+  ...splitValidation,
+  body('isRecurring').optional().isBoolean().withMessage('isRecurring must be a boolean').toBoolean(),
+  body('recurringDetails.frequency')
+    .if(body('isRecurring').equals('true'))
+    .isIn(FREQUENCIES)
+    .withMessage(`Frequency must be one of: ${FREQUENCIES.join(', ')}`),
+  body('recurringDetails.endDate')
+    .if(body('isRecurring').equals('true'))
+    .optional()
+    .isISO8601()
+    .withMessage('Valid end date required')
 ];
 
 const updateTransactionValidation = [
@@ -44,6 +186,12 @@ const updateTransactionValidation = [
     .optional()
     .isFloat({ min: 0.01 })
     .withMessage('Amount must be a positive number with at least 0.01'),
+  body('currency')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .isISO4217()
+    .withMessage('Currency must be a valid ISO 4217 code'),
   body('category')
     .optional()
     .trim()
@@ -52,22 +200,178 @@ const updateTransactionValidation = [
   body('type')
     .optional()
     .isIn(['Income', 'Expense'])
-    .withMessage('Type must be Income or Expense')
+    .withMessage('Type must be Income or Expense'),
+  ...labelValidation,
+  donorValidation,
+  fundValidation,
+  grantValidation,
+  accountValidation,
+  ...splitValidation
 ];
 
-const queryValidation = [
+// Multi-value parameters are repeated or comma separated
+const allIn = (values) => (value) => toList(value).every(item => values.includes(item));
+const allShorterThan = (max) => (value) => toList(value).every(item => item.length <= max);
+
+// Filters shared by the list and the export
+const filterValidation = [
+  query('search')
+    .optional()
+    .isString()
+    .withMessage('Search must be given once')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Search must be 1 to 200 characters'),
   query('startDate').optional().isISO8601().withMessage('Valid start date required'),
   query('endDate').optional().isISO8601().withMessage('Valid end date required'),
-  query('category').optional().trim().isLength({ max: 50 }).withMessage('Category too long'),
-  query('type').optional().isIn(['Income', 'Expense']).withMessage('Type must be Income or Expense'),
+  query('category').optional().custom(allShorterThan(50)).withMessage('Category too long'),
+  query('type').optional().custom(allIn(['Income', 'Expense'])).withMessage('Type must be Income or Expense'),
+  query('description')
+    .optional()
+    .isString()
+    .withMessage('Description must be given once')
+    .bail()
+    .isLength({ max: 200 })
+    .withMessage('Description too long'),
+  query('tags').optional().custom(allShorterThan(30)).withMessage('Tags must be less than 30 characters'),
+  query('paymentMethod')
+    .optional()
+    .custom(allIn(PAYMENT_METHODS))
+    .withMessage(`Payment method must be among: ${PAYMENT_METHODS.join(', ')}`),
+  query('isRecurring').optional().isIn(['true', 'false']).withMessage('isRecurring must be true or false'),
+  query('amountMin').optional().isFloat({ min: 0 }).withMessage('Minimum amount must be a non-negative number'),
+  query('amountMax')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Maximum amount must be a non-negative number')
+    .bail()
+    .custom((value, { req }) => req.query.amountMin === undefined || parseFloat(value) >= parseFloat(req.query.amountMin))
+    .withMessage('Maximum amount must not be below the minimum amount'),
+  query('donorId').optional().isMongoId().withMessage('Invalid donor ID'),
+  query('fundId').optional().isMongoId().withMessage('Invalid fund ID'),
+  query('grantId').optional().isMongoId().withMessage('Invalid grant ID'),
+  query('accountId').optional().isMongoId().withMessage('Invalid account ID'),
+  query('clearedStatus')
+    .optional()
+    .custom(allIn(CLEARED_STATUSES))
+    .withMessage(`Cleared status must be among: ${CLEARED_STATUSES.join(', ')}`)
+];
+
+const queryValidation = [
+  ...filterValidation,
+  query('missingReceipt').optional().isIn(['true', 'false']).withMessage('missingReceipt must be true or false'),
+  query('sortBy')
+    .optional()
+    .isIn([...SORTABLE_FIELDS, 'relevance'])
+    .withMessage(`Sort by must be one of: ${[...SORTABLE_FIELDS, 'relevance'].join(', ')}`),
+  query('sortOrder').optional().isIn(['asc', 'desc']).withMessage('Sort order must be asc or desc'),
+  query('cursor').optional().isLength({ max: 500 }).withMessage('Invalid cursor'),
+  query('savedSearch').optional().isLength({ min: 1, max: 50 }).withMessage('Saved search name must be 1 to 50 characters'),
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
 ];
 
+const exportValidation = [
+  ...filterValidation,
+  query('format')
+    .optional()
+    .isIn(EXPORT_FORMATS)
+    .withMessage(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`),
+  query('include')
+    .optional()
+    .custom(value => value.split(',').every(column => OPTIONAL_COLUMNS.includes(column.trim())))
+    .withMessage(`Optional columns must be among: ${OPTIONAL_COLUMNS.join(', ')}`),
+  query('sortOrder').optional().isIn(['asc', 'desc']).withMessage('Sort order must be asc or desc')
+];
+
+// The stored query must pass the list's own rules
+const savedQueryValidation = (chain) => chain
+  .isObject()
+  .withMessage('Query must be an object of list parameters')
+  .bail()
+  .customSanitizer(normalizeSearchQuery)
+  .custom(async (value, { req }) => {
+    const unknown = Object.keys(value).filter(key => !SEARCH_PARAMS.includes(key));
+    if (unknown.length) throw new Error(`Unknown search parameters: ${unknown.join(', ')}`);
+
+    const searchReq = { query: value, organization: req.organization };
+    for (const rule of queryValidation) {
+      await rule.run(searchReq);
+    }
+    const errors = validationResult(searchReq).array();
+    if (errors.length) throw new Error(errors.map(error => `${error.path}: ${error.msg}`).join('; '));
+  });
+
+const savedSearchValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name is required and must be less than 50 characters'),
+  savedQueryValidation(body('query'))
+];
+
+const updateSavedSearchValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be less than 50 characters'),
+  savedQueryValidation(body('query').optional())
+];
+
+const forecastValidation = [
+  query('months').optional().isInt({ min: 1, max: 24 }).withMessage('Months must be between 1 and 24'),
+  query('historyMonths').optional().isInt({ min: 1, max: 60 }).withMessage('History months must be between 1 and 60'),
+  query('threshold').optional().isFloat().withMessage('Threshold must be a number')
+];
+
 const idValidation = [
   param('id').isMongoId().withMessage('Invalid transaction ID')
 ];
 
+const attachmentIdValidation = [
+  param('attachmentId').isMongoId().withMessage('Invalid attachment ID')
+];
+
+const bulkValidation = [
+  body('operations')
+    .isArray({ min: 1, max: 500 })
+    .withMessage('Operations must be an array of 1 to 500 items'),
+  body('operations.*.op')
+    .isIn(['create', 'update', 'delete'])
+    .withMessage('Operation must be create, update or delete'),
+  body('operations.*.id')
+    .if((value, { req, path }) => req.body.operations[parseInt(path.match(/\d+/)[0])].op !== 'create')
+    .isMongoId()
+    .withMessage('Invalid transaction ID'),
+  body('bestEffort').optional().isBoolean().withMessage('bestEffort must be a boolean').toBoolean()
+];
+
+// Run the single-transaction rules against each operation's data and collect
+// the errors per operation on req.operationErrors
+const validateBulkOperations = async (req, res, next) => {
+  if (!validationResult(req).isEmpty()) return next();
+
+  req.operationErrors = [];
+  for (const operation of req.body.operations) {
+    const rules = {
+      create: transactionValidation,
+      update: updateTransactionValidation
+    }[operation.op] || [];
+
+    const operationReq = { body: operation.data || {}, organization: req.organization };
+    for (const rule of rules) {
+      await rule.run(operationReq);
+    }
+
+    operation.data = operationReq.body;
+    req.operationErrors.push(validationResult(operationReq).array());
+  }
+
+  next();
+};
+
 // Routes
 
 // @route   GET /api/transactions
@@ -81,33 +385,126 @@ router.get('/', verifyToken, queryValidation, getTransactions);
 router.get('/stats', verifyToken, queryValidation, getTransactionStats);
 
 // @route   GET /api/transactions/stats/categories
-// @desc    Get category-wise statistics
+// @desc    Get category-wise statistics (?rollup=true totals top-level categories)
 // @access  Private
-router.get('/stats/categories', verifyToken, queryValidation, getCategoryStats);
+router.get('/stats/categories', verifyToken, queryValidation, [
+  query('rollup').optional().isIn(['true', 'false']).withMessage('rollup must be true or false')
+], getCategoryStats);
 
 // @route   GET /api/transactions/stats/monthly
 // @desc    Get monthly statistics
 // @access  Private
 router.get('/stats/monthly', verifyToken, queryValidation, getMonthlyStats);
 
+// @route   GET /api/transactions/forecast
+// @desc    Forecast balances for the coming months
+// @access  Private
+router.get('/forecast', verifyToken, forecastValidation, getForecast);
+
+// @route   GET /api/transactions/export
+// @desc    Export matching transactions as CSV, JSON Lines or OFX
+// @access  Private
+router.get('/export', verifyToken, exportValidation, exportTransactions);
+
+// @route   POST /api/transactions/bulk
+// @desc    Apply a batch of create, update and delete operations
+// @access  Private (treasurer)
+router.post('/bulk', verifyToken, requireRole('treasurer'), bulkValidation, validateBulkOperations, bulkTransactions);
+
+// @route   GET /api/transactions/searches
+// @desc    Get your saved searches
+// @access  Private
+router.get('/searches', verifyToken, getSavedSearches);
+
+// @route   POST /api/transactions/searches
+// @desc    Save list filters under a name (re-run with ?savedSearch=name)
+// @access  Private
+router.post('/searches', verifyToken, savedSearchValidation, createSavedSearch);
+
+// @route   PATCH /api/transactions/searches/:id
+// @desc    Rename a saved search or replace its filters
+// @access  Private
+router.patch('/searches/:id', verifyToken, [
+  param('id').isMongoId().withMessage('Invalid saved search ID')
+], updateSavedSearchValidation, updateSavedSearch);
+
+// @route   DELETE /api/transactions/searches/:id
+// @desc    Delete a saved search
+// @access  Private
+router.delete('/searches/:id', verifyToken, [
+  param('id').isMongoId().withMessage('Invalid saved search ID')
+], deleteSavedSearch);
+
+// @route   GET /api/transactions/trash
+// @desc    Get trashed transactions
+// @access  Private
+router.get('/trash', verifyToken, queryValidation, getTrash);
+
 // @route   GET /api/transactions/:id
 // @desc    Get single transaction
 // @access  Private
 router.get('/:id', verifyToken, idValidation, getTransaction);
 
+// @route   GET /api/transactions/:id/history
+// @desc    Get the change history of a transaction
+// @access  Private
+router.get('/:id/history', verifyToken, idValidation, getTransactionHistory);
+
+// @route   GET /api/transactions/:id/attachments
+// @desc    Get the attachments of a transaction
+// @access  Private
+router.get('/:id/attachments', verifyToken, idValidation, getAttachments);
+
+// @route   POST /api/transactions/:id/attachments
+// @desc    Upload a receipt or invoice (multipart field `file`)
+// @access  Private (treasurer)
+router.post('/:id/attachments', verifyToken, requireRole('treasurer'), idValidation, uploadAttachment, addAttachment);
+
+// @route   GET /api/transactions/:id/attachments/:attachmentId
+// @desc    Download an attachment
+// @access  Private
+router.get('/:id/attachments/:attachmentId', verifyToken, idValidation, attachmentIdValidation, downloadAttachment);
+
+// @route   DELETE /api/transactions/:id/attachments/:attachmentId
+// @desc    Delete an attachment
+// @access  Private (treasurer)
+router.delete('/:id/attachments/:attachmentId', verifyToken, requireRole('treasurer'), idValidation, attachmentIdValidation, deleteAttachment);
+
+// @route   POST /api/transactions/:id/restore
+// @desc    Restore a trashed transaction
+// @access  Private (treasurer)
+router.post('/:id/restore', verifyToken, requireRole('treasurer'), idValidation, restoreTransaction);
+
+// @route   POST /api/transactions/:id/revert
+// @desc    Revert a transaction to an earlier version
+// @access  Private (treasurer)
+router.post('/:id/revert', verifyToken, requireRole('treasurer'), idValidation, [
+  body('version').isInt({ min: 1 }).withMessage('Version must be a positive integer')
+], revertTransaction);
+
+// @route   POST /api/transactions/:id/unreconcile
+// @desc    Take a reconciled transaction out of its reconciliation
+// @access  Private (treasurer)
+router.post('/:id/unreconcile', verifyToken, requireRole('treasurer'), idValidation, [
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Reason is required and must be less than 500 characters')
+], unreconcileTransaction);
+
 // @route   POST /api/transactions
 // @desc    Add a new transaction
-// @access  Private
-router.post('/', verifyToken, transactionValidation, addTransaction);
+// @access  Private (treasurer)
+router.post('/', verifyToken, requireRole('treasurer'), transactionValidation, addTransaction);
 
 // @route   PUT /api/transactions/:id
 // @desc    Update a transaction
-// @access  Private
-router.patch('/:id', verifyToken, idValidation, updateTransactionValidation, updateTransaction);
+// @access  Private (treasurer)
+router.patch('/:id', verifyToken, requireRole('treasurer'), idValidation, updateTransactionValidation, updateTransaction);
 
 // @route   DELETE /api/transactions/:id
-// @desc    Delete a transaction
-// @access  Private
-router.delete('/:id', verifyToken, idValidation, deleteTransaction);
+// @desc    Move a transaction to the trash
+// @access  Private (treasurer)
+router.delete('/:id', verifyToken, requireRole('treasurer'), idValidation, deleteTransaction);
 
 module.exports = router;
\ No newline at end of file
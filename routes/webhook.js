@@ -0,0 +1,124 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  getWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  rotateWebhookSecret,
+  deleteWebhook,
+  pingWebhook,
+  getDeliveries,
+  redeliver
+} = require('../controllers/webhookController');
+const { verifyToken, requireRole } = require('../middlewares/auth');
+const { EVENT_TYPES } = require('../models/Webhook');
+const { STATUSES } = require('../models/WebhookDelivery');
+
+const router = express.Router();
+
+// Validation rules
+// Hosts without a TLD are allowed so a receiver on localhost can be used for
+// testing; deliveries to private addresses need WEBHOOK_ALLOW_PRIVATE_HOSTS=true
+const urlValidation = () => body('url')
+  .trim()
+  .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+  .withMessage('URL must be an http or https URL');
+
+const eventsValidation = () => [
+  body('events')
+    .isArray({ min: 1 })
+    .withMessage('Events must be a non-empty array'),
+  body('events.*')
+    .isIn(EVENT_TYPES)
+    .withMessage(`Event must be one of: ${EVENT_TYPES.join(', ')}`)
+];
+
+const secretValidation = body('secret')
+  .optional()
+  .isString()
+  .isLength({ min: 16, max: 200 })
+  .withMessage('Secret must be 16 to 200 characters');
+
+const webhookFieldValidation = [
+  body('description').optional().trim().isLength({ max: 200 }).withMessage('Description too long'),
+  body('active').optional().isBoolean({ strict: true }).withMessage('Active must be true or false')
+];
+
+const webhookValidation = [
+  urlValidation(),
+  ...eventsValidation(),
+  secretValidation,
+  ...webhookFieldValidation
+];
+
+const updateWebhookValidation = [
+  urlValidation().optional(),
+  ...eventsValidation().map(chain => chain.optional()),
+  ...webhookFieldValidation
+];
+
+const deliveryQueryValidation = [
+  query('status')
+    .optional()
+    .isIn(STATUSES)
+    .withMessage(`Status must be one of: ${STATUSES.join(', ')}`),
+  query('event').optional().isString().isLength({ max: 50 }).withMessage('Invalid event'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+const idValidation = [
+  param('id').isMongoId().withMessage('Invalid webhook ID')
+];
+
+// Routes
+
+// @route   GET /api/webhooks
+// @desc    Get webhooks
+// @access  Private (admin)
+router.get('/', verifyToken, requireRole('admin'), getWebhooks);
+
+// @route   POST /api/webhooks
+// @desc    Subscribe a URL to transaction events
+// @access  Private (admin)
+router.post('/', verifyToken, requireRole('admin'), webhookValidation, createWebhook);
+
+// @route   GET /api/webhooks/:id
+// @desc    Get a webhook with its delivery counts
+// @access  Private (admin)
+router.get('/:id', verifyToken, requireRole('admin'), idValidation, getWebhook);
+
+// @route   PATCH /api/webhooks/:id
+// @desc    Update a webhook
+// @access  Private (admin)
+router.patch('/:id', verifyToken, requireRole('admin'), idValidation, updateWebhookValidation, updateWebhook);
+
+// @route   DELETE /api/webhooks/:id
+// @desc    Delete a webhook and its delivery log
+// @access  Private (admin)
+router.delete('/:id', verifyToken, requireRole('admin'), idValidation, deleteWebhook);
+
+// @route   POST /api/webhooks/:id/secret
+// @desc    Replace the signing secret
+// @access  Private (admin)
+router.post('/:id/secret', verifyToken, requireRole('admin'), idValidation, [secretValidation], rotateWebhookSecret);
+
+// @route   POST /api/webhooks/:id/ping
+// @desc    Send a test event
+// @access  Private (admin)
+router.post('/:id/ping', verifyToken, requireRole('admin'), idValidation, pingWebhook);
+
+// @route   GET /api/webhooks/:id/deliveries
+// @desc    Get the delivery log
+// @access  Private (admin)
+router.get('/:id/deliveries', verifyToken, requireRole('admin'), idValidation, deliveryQueryValidation, getDeliveries);
+
+// @route   POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+// @desc    Send a delivery again
+// @access  Private (admin)
+router.post('/:id/deliveries/:deliveryId/redeliver', verifyToken, requireRole('admin'), idValidation, [
+  param('deliveryId').isMongoId().withMessage('Invalid delivery ID')
+], redeliver);
+
+module.exports = router;
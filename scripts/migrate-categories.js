@@ -0,0 +1,30 @@
+// Turn the free-text categories of every organization into managed
+// categories and link their transactions. Safe to run more than once.
+//
+//   npm run migrate:categories
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Organization = require('../models/Organization');
+const { migrateCategories } = require('../utils/categories');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  let organizations = 0;
+  for await (const organization of Organization.find().cursor()) {
+    const migrated = await migrateCategories(organization._id);
+    organizations++;
+
+    if (migrated.categories || migrated.transactions) {
+      console.log(`${organization.name}: created ${migrated.categories} categories and linked ${migrated.transactions} transaction(s)`);
+    }
+  }
+
+  console.log(`✅ Checked ${organizations} organization(s)`);
+  await mongoose.disconnect();
+};
+
+run().catch(err => {
+  console.error('❌ Migration failed:', err);
+  process.exit(1);
+});
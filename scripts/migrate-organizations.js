@@ -0,0 +1,31 @@
+// Move every user's pre-organization transactions and budgets into their
+// personal organization. Safe to run more than once.
+//
+//   npm run migrate:organizations
+const mongoose = require('mongoose');
+require('dotenv').config();
+const User = require('../models/User');
+const { ensurePersonalOrganization, migrateUserData } = require('../utils/organizations');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  let users = 0;
+  for await (const user of User.find().cursor()) {
+    const organization = await ensurePersonalOrganization(user);
+    const moved = await migrateUserData(user._id, organization._id);
+    users++;
+
+    if (moved.transactions || moved.budgets) {
+      console.log(`${user.username}: moved ${moved.transactions} transaction(s) and ${moved.budgets} budget(s)`);
+    }
+  }
+
+  console.log(`✅ Checked ${users} user(s)`);
+  await mongoose.disconnect();
+};
+
+run().catch(err => {
+  console.error('❌ Migration failed:', err);
+  process.exit(1);
+});
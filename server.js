@@ -5,6 +5,28 @@ const helmet = require('helmet');
 require('dotenv').config();
 const transactionRoutes = require('./routes/transaction');
 const authRoutes = require('./routes/auth');
+const recurringRoutes = require('./routes/recurring');
+const budgetRoutes = require('./routes/budget');
+const importRoutes = require('./routes/import');
+const organizationRoutes = require('./routes/organization');
+const exchangeRateRoutes = require('./routes/exchangeRate');
+const donorRoutes = require('./routes/donor');
+const receiptRoutes = require('./routes/receipt');
+const fundRoutes = require('./routes/fund');
+const grantRoutes = require('./routes/grant');
+const categoryRoutes = require('./routes/category');
+const ruleRoutes = require('./routes/rule');
+const periodRoutes = require('./routes/period');
+const accountRoutes = require('./routes/account');
+const reconciliationRoutes = require('./routes/reconciliation');
+const webhookRoutes = require('./routes/webhook');
+const { startRecurringScheduler } = require('./utils/recurringScheduler');
+const { startTrashPurger } = require('./utils/trashPurger');
+const { startWebhookDispatcher } = require('./utils/webhooks');
+const { getTransport } = require('./utils/mailer');
+
+// Refuse to start without a usable mail transport rather than fail on first send
+getTransport();
 
 const app = express();
 
@@ -19,6 +41,21 @@ app.use(express.json());
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/transactions', transactionRoutes);
+app.use('/api/recurring', recurringRoutes);
+app.use('/api/budgets', budgetRoutes);
+app.use('/api/imports', importRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
+app.use('/api/donors', donorRoutes);
+app.use('/api/receipts', receiptRoutes);
+app.use('/api/funds', fundRoutes);
+app.use('/api/grants', grantRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/rules', ruleRoutes);
+app.use('/api/periods', periodRoutes);
+app.use('/api/accounts', accountRoutes);
+app.use('/api/reconciliations', reconciliationRoutes);
+app.use('/api/webhooks', webhookRoutes);
 // Health check
 app.get('/api/health', (req, res) => {
   res.json({ success: true, message: 'Server up' });
@@ -28,7 +65,13 @@ app.get('/api/health', (req, res) => {
 mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true
-}).then(() => console.log('✅ MongoDB connected'))
+}).then(() => {
+  console.log('✅ MongoDB connected');
+  // Catch up on occurrences missed while the server was down, then keep polling
+  startRecurringScheduler();
+  startTrashPurger();
+  startWebhookDispatcher();
+})
   .catch(err => console.error('❌ MongoDB error:', err));
 
 const PORT = process.env.PORT || 5000;
@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+
+// Attachment bytes are kept by a storage backend under a key. A backend is a
+// factory returning { save(key, buffer), read(key), remove(key) } where read
+// returns a readable stream. The local disk backend is the default; register
+// others (e.g. object storage) with registerStorage and select them with
+// ATTACHMENT_STORAGE. Attachments remember their backend, so switching the
+// default keeps older files readable as long as their backend is registered.
+
+const DEFAULT_STORAGE = 'local';
+
+const factories = {};
+const instances = {};
+
+const registerStorage = (name, factory) => {
+  factories[name] = factory;
+  delete instances[name];
+};
+
+const createLocalStorage = () => {
+  const root = path.resolve(process.env.ATTACHMENT_DIR || path.join(__dirname, '..', 'uploads', 'attachments'));
+
+  // Keys are generated by the server; refuse anything that escapes the root
+  const resolveKey = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) throw new Error('Invalid storage key');
+    return file;
+  };
+
+  return {
+    save: async (key, buffer) => {
+      const file = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer, { flag: 'wx' });
+    },
+    read: (key) => fs.createReadStream(resolveKey(key)),
+    remove: (key) => fs.promises.rm(resolveKey(key), { force: true })
+  };
+};
+
+registerStorage('local', createLocalStorage);
+
+const getStorageName = () => process.env.ATTACHMENT_STORAGE || DEFAULT_STORAGE;
+
+// The backend called `name`, the configured one by default
+const getStorage = (name = getStorageName()) => {
+  if (!instances[name]) {
+    if (!factories[name]) throw new Error(`Unknown attachment storage "${name}"`);
+    instances[name] = { name, ...factories[name]() };
+  }
+  return instances[name];
+};
+
+module.exports = {
+  registerStorage,
+  getStorage
+};
@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const Attachment = require('../models/Attachment');
+const { getStorage } = require('./attachmentStorage');
+const { validationError } = require('./errors');
+
+// File signatures of the accepted types. The type is taken from the content,
+// not from what the client declares.
+const FILE_TYPES = [
+  { mimeType: 'application/pdf', extension: 'pdf', matches: (buf) => buf.subarray(0, 5).toString('latin1') === '%PDF-' },
+  { mimeType: 'image/png', extension: 'png', matches: (buf) => buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimeType: 'image/jpeg', extension: 'jpg', matches: (buf) => buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff },
+  { mimeType: 'image/gif', extension: 'gif', matches: (buf) => /^GIF8[79]a$/.test(buf.subarray(0, 6).toString('latin1')) },
+  {
+    mimeType: 'image/webp',
+    extension: 'webp',
+    matches: (buf) => buf.subarray(0, 4).toString('latin1') === 'RIFF' && buf.subarray(8, 12).toString('latin1') === 'WEBP'
+  },
+  {
+    mimeType: 'image/heic',
+    extension: 'heic',
+    matches: (buf) => buf.subarray(4, 8).toString('latin1') === 'ftyp'
+      && ['heic', 'heix', 'mif1', 'msf1'].includes(buf.subarray(8, 12).toString('latin1'))
+  }
+];
+
+const ALLOWED_MIME_TYPES = process.env.ATTACHMENT_MIME_TYPES
+  ? process.env.ATTACHMENT_MIME_TYPES.split(',').map(type => type.trim())
+  : FILE_TYPES.map(type => type.mimeType);
+
+const detectFileType = (buffer) => FILE_TYPES.find(type => type.matches(buffer)) || null;
+
+// Store an uploaded multer file on `transaction`. Returns the attachment and
+// other transactions that already carry the same file.
+const storeAttachment = async (transaction, file, userId) => {
+  const fileType = detectFileType(file.buffer);
+  if (!fileType || !ALLOWED_MIME_TYPES.includes(fileType.mimeType)) {
+    throw validationError('file', `Attachments must be one of: ${ALLOWED_MIME_TYPES.join(', ')}`);
+  }
+
+  const hash = crypto.createHash('sha256').update(file.buffer).digest('hex');
+  const sameFile = await Attachment.find({ organizationId: transaction.organizationId, hash })
+    .select('transactionId filename createdAt');
+
+  if (sameFile.some(attachment => attachment.transactionId.equals(transaction._id))) {
+    throw validationError('file', 'This file is already attached to the transaction');
+  }
+
+  const storage = getStorage();
+  const attachment = new Attachment({
+    organizationId: transaction.organizationId,
+    transactionId: transaction._id,
+    filename: file.originalname,
+    mimeType: fileType.mimeType,
+    size: file.size,
+    hash,
+    storage: storage.name,
+    uploadedBy: userId
+  });
+  attachment.storageKey = `${transaction.organizationId}/${attachment._id}.${fileType.extension}`;
+
+  await attachment.validate();
+  await storage.save(attachment.storageKey, file.buffer);
+  try {
+    await attachment.save();
+  } catch (error) {
+    await storage.remove(attachment.storageKey);
+    throw error;
+  }
+
+  return {
+    attachment,
+    duplicates: sameFile.map(other => ({
+      attachmentId: other._id,
+      transactionId: other.transactionId,
+      filename: other.filename,
+      uploadedAt: other.createdAt
+    }))
+  };
+};
+
+const openAttachment = (attachment) => getStorage(attachment.storage).read(attachment.storageKey);
+
+// Delete the attachments matching `filter` together with their files
+const removeAttachments = async (filter) => {
+  const attachments = await Attachment.find(filter).select('storage storageKey');
+  for (const attachment of attachments) {
+    await getStorage(attachment.storage).remove(attachment.storageKey);
+  }
+  await Attachment.deleteMany({ _id: { $in: attachments.map(attachment => attachment._id) } });
+  return attachments.length;
+};
+
+// Number of attachments per transaction id, for a page of transactions
+const countAttachments = async (organizationId, transactionIds) => {
+  const counts = await Attachment.aggregate([
+    { $match: { organizationId, transactionId: { $in: transactionIds } } },
+    { $group: { _id: '$transactionId', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(count => [count._id.toString(), count.count]));
+};
+
+// Ids of every transaction in the organization that has an attachment
+const getAttachedTransactionIds = (organizationId) => Attachment.distinct('transactionId', { organizationId });
+
+module.exports = {
+  ALLOWED_MIME_TYPES,
+  storeAttachment,
+  openAttachment,
+  removeAttachments,
+  countAttachments,
+  getAttachedTransactionIds
+};
@@ -0,0 +1,90 @@
+const TransactionHistory = require('../models/TransactionHistory');
+const { enqueueTransactionEvent } = require('./webhooks');
+
+// Bookkeeping fields that are not part of a transaction's content
+const IGNORED_FIELDS = ['_id', '__v', 'id', 'createdAt', 'updatedAt', 'organizationId', 'userId', 'deletedAt', 'deletedBy'];
+
+const isPlainObject = (value) => value !== null
+  && typeof value === 'object'
+  && !Array.isArray(value)
+  && !(value instanceof Date)
+  && !value._bsontype;
+
+// The content of a transaction as a plain object
+const toSnapshot = (doc) => {
+  if (!doc) return {};
+  const object = doc.toObject ? doc.toObject({ depopulate: true, virtuals: false }) : { ...doc };
+  const virtuals = doc.schema ? Object.keys(doc.schema.virtuals) : [];
+  [...IGNORED_FIELDS, ...virtuals].forEach(field => delete object[field]);
+  return object;
+};
+
+// Flatten nested objects into dotted paths, e.g. recurringDetails.frequency
+const flatten = (object, prefix = '', out = {}) => {
+  Object.entries(object).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value)) flatten(value, path, out);
+    else out[path] = value;
+  });
+  return out;
+};
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Field-level differences between two snapshots
+const diffSnapshots = (before, after) => {
+  const left = flatten(before);
+  const right = flatten(after);
+  const fields = [...new Set([...Object.keys(left), ...Object.keys(right)])].sort();
+
+  return fields
+    .filter(field => !sameValue(left[field], right[field]))
+    .map(field => ({ field, before: left[field] ?? null, after: right[field] ?? null }));
+};
+
+// Who made a change, taken from the request
+const actorFrom = (req) => ({
+  userId: req.user && req.user.userId,
+  ip: req.ip
+});
+
+const SYSTEM_ACTOR = { source: 'system' };
+
+// Append a history entry for a transaction and queue its webhook event.
+// `before` is null for creates and `after` is null for deletes. Pass
+// `session` to write both inside a transaction.
+const recordChange = async (action, { before, after, actor = SYSTEM_ACTOR, revertedToVersion, session }) => {
+  const current = after || before;
+  const last = await TransactionHistory.findOne({ transactionId: current._id })
+    .sort({ version: -1 })
+    .select('version')
+    .session(session || null);
+
+  const snapshot = toSnapshot(current);
+  const changes = action === 'delete' ? diffSnapshots(snapshot, {}) : diffSnapshots(toSnapshot(before), snapshot);
+
+  const [entry] = await TransactionHistory.create([{
+    transactionId: current._id,
+    organizationId: current.organizationId,
+    version: last ? last.version + 1 : 1,
+    action,
+    userId: actor.userId,
+    ip: actor.ip,
+    source: actor.source || 'api',
+    changes,
+    snapshot,
+    revertedToVersion
+  }], { session });
+  await enqueueTransactionEvent(entry, { session });
+
+  return entry;
+};
+
+module.exports = {
+  IGNORED_FIELDS,
+  SYSTEM_ACTOR,
+  toSnapshot,
+  diffSnapshots,
+  actorFrom,
+  recordChange
+};
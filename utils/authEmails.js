@@ -0,0 +1,49 @@
+const { sendMail } = require('./mailer');
+const { issueAuthToken } = require('./tokens');
+
+// Links point at the frontend, which posts the token back to the API
+const frontendLink = (page, token) => {
+  const base = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '');
+  return `${base}/${page}?token=${encodeURIComponent(token)}`;
+};
+
+const sendVerificationEmail = async (user) => {
+  const { token, expiresAt } = await issueAuthToken(user, 'email-verification');
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Confirm your email address by opening this link:',
+      frontendLink('verify-email', token),
+      '',
+      `The link works once and expires on ${expiresAt.toUTCString()}.`,
+      'If you did not create an account, ignore this email.'
+    ].join('\n')
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const { token, expiresAt } = await issueAuthToken(user, 'password-reset');
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Choose a new password by opening this link:',
+      frontendLink('reset-password', token),
+      '',
+      `The link works once and expires on ${expiresAt.toUTCString()}.`,
+      'If you did not ask to reset your password, ignore this email; your password is unchanged.'
+    ].join('\n')
+  });
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
@@ -0,0 +1,179 @@
+const Budget = require('../models/Budget');
+const Transaction = require('../models/Transaction');
+const Organization = require('../models/Organization');
+const { findRate } = require('./currency');
+const { amountsByCategory } = require('./splits');
+const { round } = require('./money');
+
+// Calendar window a budget period covers. `end` is exclusive.
+const getPeriodRange = (period, date) => {
+  const year = date.getFullYear();
+  const month = date.getMonth();
+
+  if (period === 'yearly') {
+    return { start: new Date(year, 0, 1), end: new Date(year + 1, 0, 1) };
+  }
+  return { start: new Date(year, month, 1), end: new Date(year, month + 1, 1) };
+};
+
+const getPreviousPeriodRange = (period, date) => {
+  const { start } = getPeriodRange(period, date);
+  const dayBefore = new Date(start);
+  dayBefore.setDate(dayBefore.getDate() - 1);
+  return getPeriodRange(period, dayBefore);
+};
+
+// Budgets are expressed in the organization's base currency
+const getBaseCurrency = async (organizationId) => {
+  const organization = await Organization.findById(organizationId).select('baseCurrency');
+  return organization.baseCurrency;
+};
+
+// Expense totals per category within [start, end), in the base currency
+const getSpentByCategory = async (organizationId, { start, end }, baseCurrency) => {
+  const stats = await Transaction.aggregateByCategory({
+    organizationId,
+    type: 'Expense',
+    date: { $gte: start, $lt: end }
+  }, baseCurrency);
+
+  return stats.reduce((acc, stat) => {
+    acc[stat._id.category] = stat.total;
+    return acc;
+  }, {});
+};
+
+// Compare one budget against what was spent in its period
+const evaluateBudget = (budget, { range, spent, previousSpent = 0, now = new Date() }) => {
+  let rolledOver = 0;
+  if (budget.rollover === 'unused') rolledOver = Math.max(0, budget.amount - previousSpent);
+  if (budget.rollover === 'all') rolledOver = budget.amount - previousSpent;
+
+  const available = budget.amount + rolledOver;
+  const percentUsed = available > 0 ? round((spent / available) * 100) : null;
+
+  // Straight-line projection of spending to the end of the period
+  const elapsed = Math.min(1, Math.max(0, (now - range.start) / (range.end - range.start)));
+  const projectedSpend = elapsed > 0 ? spent / elapsed : spent;
+
+  let status = 'ok';
+  if (spent > available) status = 'over';
+  else if (percentUsed === null || percentUsed >= budget.alertThreshold) status = 'warning';
+
+  return {
+    budgetId: budget._id,
+    category: budget.category,
+    period: budget.period,
+    periodStart: range.start,
+    periodEnd: range.end,
+    budgeted: budget.amount,
+    rolledOver: round(rolledOver),
+    available: round(available),
+    spent: round(spent),
+    remaining: round(available - spent),
+    percentUsed,
+    alertThreshold: budget.alertThreshold,
+    projectedSpend: round(projectedSpend),
+    projectedOverspend: round(Math.max(0, projectedSpend - available)),
+    status
+  };
+};
+
+// Budget-vs-actual for every budget of an organization, for the periods containing `date`
+const buildBudgetReport = async (organizationId, date = new Date(), now = new Date()) => {
+  const budgets = await Budget.find({ organizationId }).sort({ period: 1, category: 1 });
+  const baseCurrency = await getBaseCurrency(organizationId);
+  const periods = [...new Set(budgets.map(budget => budget.period))];
+
+  const totals = {};
+  for (const period of periods) {
+    const range = getPeriodRange(period, date);
+    const previousRange = getPreviousPeriodRange(period, date);
+    const needsPrevious = budgets.some(b => b.period === period && b.rollover !== 'none');
+
+    totals[period] = {
+      range,
+      spent: await getSpentByCategory(organizationId, range, baseCurrency),
+      previousSpent: needsPrevious ? await getSpentByCategory(organizationId, previousRange, baseCurrency) : {}
+    };
+  }
+
+  return budgets.map(budget => {
+    const { range, spent, previousSpent } = totals[budget.period];
+    return evaluateBudget(budget, {
+      range,
+      spent: spent[budget.category] || 0,
+      previousSpent: previousSpent[budget.category] || 0,
+      now
+    });
+  });
+};
+
+// The part of `transaction` filed under each category, in the base currency.
+// Without a rate the transaction is not part of the converted totals.
+const convertedAmounts = async (transaction, baseCurrency) => {
+  const rate = await findRate(
+    transaction.organizationId,
+    transaction.currency || baseCurrency,
+    baseCurrency,
+    transaction.date
+  );
+  const amounts = amountsByCategory(transaction);
+
+  for (const category of Object.keys(amounts)) {
+    amounts[category] = rate === null ? 0 : amounts[category] * rate;
+  }
+  return amounts;
+};
+
+// Budgets whose alert threshold was crossed by this transaction: the category
+// is past the threshold now but was not before it. `before` is the
+// transaction as it was prior to an update; without it (a new transaction)
+// the category is compared against its total without the transaction's
+// amount in it (the line's amount, for split transactions).
+const checkBudgetAlerts = async (transaction, { before } = {}) => {
+  if (transaction.type !== 'Expense') return [];
+
+  const budgets = await Budget.find({
+    organizationId: transaction.organizationId,
+    category: { $in: Object.keys(amountsByCategory(transaction)) }
+  });
+
+  if (budgets.length === 0) return [];
+
+  const baseCurrency = await getBaseCurrency(transaction.organizationId);
+  const amounts = await convertedAmounts(transaction, baseCurrency);
+  const previousAmounts = before && before.type === 'Expense'
+    ? await convertedAmounts(before, baseCurrency)
+    : {};
+
+  const alerts = [];
+  for (const budget of budgets) {
+    const range = getPeriodRange(budget.period, transaction.date);
+    const spent = (await getSpentByCategory(transaction.organizationId, range, baseCurrency))[budget.category] || 0;
+    const previousSpent = budget.rollover === 'none'
+      ? 0
+      : (await getSpentByCategory(transaction.organizationId, getPreviousPeriodRange(budget.period, transaction.date), baseCurrency))[budget.category] || 0;
+
+    // The old version only counted towards this period if it fell inside it
+    const inRange = before && before.date >= range.start && before.date < range.end;
+    const previousAmount = inRange ? previousAmounts[budget.category] || 0 : 0;
+    const spentBefore = spent - amounts[budget.category] + previousAmount;
+
+    const result = evaluateBudget(budget, { range, spent, previousSpent });
+    const thresholdAmount = result.available * (budget.alertThreshold / 100);
+
+    if (spent >= thresholdAmount && spentBefore < thresholdAmount) {
+      alerts.push(result);
+    }
+  }
+
+  return alerts;
+};
+
+module.exports = {
+  getPeriodRange,
+  evaluateBudget,
+  buildBudgetReport,
+  checkBudgetAlerts
+};
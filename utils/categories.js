@@ -0,0 +1,313 @@
+const Category = require('../models/Category');
+const Transaction = require('../models/Transaction');
+const Budget = require('../models/Budget');
+const Grant = require('../models/Grant');
+const Period = require('../models/Period');
+const { toSnapshot, recordChange } = require('./audit');
+const { validationError } = require('./errors');
+
+const { CASE_INSENSITIVE } = Category;
+const MAX_DEPTH = 20;
+
+const normalizeName = (name) => String(name || '').trim().toLowerCase();
+
+const findCategoryByName = (organizationId, name, session) => Category.findOne({ organizationId, name: name.trim() })
+  .collation(CASE_INSENSITIVE)
+  .session(session || null);
+
+const findOrCreateCategory = async (organizationId, name, type, { session, createdBy } = {}) => {
+  const existing = await findCategoryByName(organizationId, name, session);
+  if (existing) return existing;
+
+  try {
+    const [category] = await Category.create([{ organizationId, name: name.trim(), type, createdBy }], { session });
+    return category;
+  } catch (error) {
+    // A concurrent write created it first
+    if (error.code === 11000) return findCategoryByName(organizationId, name, session);
+    throw error;
+  }
+};
+
+// The managed category for a name typed on a transaction, matched without
+// regard to case or surrounding spaces. Unknown names become new categories
+// of the transaction's type; archived ones are refused.
+const resolveCategory = async (organizationId, name, type, options = {}) => {
+  const category = await findOrCreateCategory(organizationId, name, type, options);
+  if (category.archived) throw validationError('category', `Category "${category.name}" is archived`);
+  return category;
+};
+
+// Ancestors of a category from its parent up to the root
+const getAncestors = async (category) => {
+  const ancestors = [];
+  let parentId = category.parentId;
+  while (parentId && ancestors.length < MAX_DEPTH) {
+    const parent = await Category.findOne({ _id: parentId, organizationId: category.organizationId });
+    if (!parent) break;
+    ancestors.push(parent);
+    parentId = parent.parentId;
+  }
+  return ancestors;
+};
+
+const isDescendantOf = async (category, ancestor) => (await getAncestors(category))
+  .some(parent => parent._id.equals(ancestor._id));
+
+// Point budgets and grant budget lines at a new category name. Budgets that
+// would clash with an existing budget of the new name are left alone.
+const rewriteCategoryReferences = async (organizationId, oldNames, newName) => {
+  let budgets = 0;
+  const affected = await Budget.find({ organizationId, category: { $in: oldNames } }).collation(CASE_INSENSITIVE);
+  for (const budget of affected) {
+    if (budget.category === newName) continue;
+    budget.category = newName;
+    try {
+      await budget.save();
+      budgets++;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  let grants = 0;
+  for (const oldName of oldNames) {
+    const result = await Grant.updateMany(
+      { organizationId, 'budgetLines.categories': oldName },
+      { $set: { 'budgetLines.$[].categories.$[name]': newName } },
+      { arrayFilters: [{ name: oldName }], collation: CASE_INSENSITIVE }
+    );
+    grants += result.modifiedCount;
+  }
+
+  return { budgets, grants };
+};
+
+// Transactions filed under a category, trashed ones and split lines included.
+// Those from before categories were managed match by name.
+const categoryUsageFilter = (category) => ({
+  organizationId: category.organizationId,
+  $or: [
+    { categoryId: category._id },
+    { categoryId: null, category: category.name },
+    { 'splits.categoryId': category._id }
+  ]
+});
+
+const findCategoryUsage = (filter) => Transaction.find(filter)
+  .collation(CASE_INSENSITIVE)
+  .setOptions({ withDeleted: true });
+
+// Why the transactions of a category cannot be rewritten, or null. Reconciled
+// transactions and those in closed periods may not change.
+const findLockedUsage = async (category) => {
+  const filter = categoryUsageFilter(category);
+
+  const reconciled = await findCategoryUsage({ ...filter, clearedStatus: 'reconciled' }).countDocuments();
+  if (reconciled) {
+    return `Category "${category.name}" is used by ${reconciled} reconciled transaction(s); un-reconcile them first`;
+  }
+
+  const periods = await Period.find({ organizationId: category.organizationId, status: 'closed' }).select('label startDate endDate');
+  const locked = [];
+  for (const period of periods) {
+    const inPeriod = await findCategoryUsage({ $and: [filter, { date: { $gte: period.startDate, $lt: period.endDate } }] })
+      .countDocuments();
+    if (inPeriod) locked.push(period.label);
+  }
+  if (locked.length) {
+    return `Category "${category.name}" is used by transactions in closed period(s) ${locked.join(', ')}; reopen them first`;
+  }
+
+  return null;
+};
+
+// File the transactions of `category`, split lines included, under another
+// name and category, recording each change in the transaction's history
+const refileTransactions = async (category, name, categoryId, actor) => {
+  const matches = (id, text) => (id ? id.equals(category._id) : normalizeName(text) === normalizeName(category.name));
+  let modified = 0;
+
+  for await (const transaction of findCategoryUsage(categoryUsageFilter(category)).cursor()) {
+    const before = toSnapshot(transaction);
+
+    if (matches(transaction.categoryId, transaction.category)) {
+      transaction.category = name;
+      transaction.categoryId = categoryId;
+    }
+    for (const line of transaction.splits || []) {
+      if (line.categoryId && line.categoryId.equals(category._id)) {
+        line.category = name;
+        line.categoryId = categoryId;
+      }
+    }
+    if (!transaction.isModified()) continue;
+
+    await transaction.save({ validateBeforeSave: false });
+    await recordChange('update', { before, after: transaction, actor });
+    modified++;
+  }
+
+  return modified;
+};
+
+// Rename a category and every transaction, budget and grant line using it.
+// The category itself is renamed last, so an interrupted rename can be retried.
+// Check findLockedUsage first.
+const renameCategory = async (category, newName, { actor } = {}) => {
+  const { organizationId } = category;
+  const oldName = category.name;
+
+  const transactions = await refileTransactions(category, newName, category._id, actor);
+  const references = await rewriteCategoryReferences(organizationId, [oldName], newName);
+
+  category.name = newName;
+  await category.save();
+
+  return { transactions, ...references };
+};
+
+// Move everything from `source` into `target` and delete `source`. Its
+// subcategories become subcategories of `target`. Check findLockedUsage first.
+const mergeCategories = async (source, target, { actor } = {}) => {
+  const { organizationId } = source;
+
+  const transactions = await refileTransactions(source, target.name, target._id, actor);
+  const references = await rewriteCategoryReferences(organizationId, [source.name], target.name);
+
+  const children = await Category.updateMany(
+    { organizationId, parentId: source._id, _id: { $ne: target._id } },
+    { parentId: target._id }
+  );
+  if (target.parentId && target.parentId.equals(source._id)) {
+    target.parentId = source.parentId;
+    await target.save();
+  }
+
+  await source.deleteOne();
+
+  return { transactions, subcategories: children.modifiedCount, ...references };
+};
+
+// Turn the free-text categories of an organization's transactions and
+// budgets into managed categories. Spellings that differ only in case or
+// spacing share one category named after the most used spelling. Safe to
+// run more than once.
+const migrateCategories = async (organizationId) => {
+  const names = [
+    ...await Transaction.distinct('category', { organizationId }).setOptions({ withDeleted: true }),
+    ...await Budget.distinct('category', { organizationId })
+  ];
+  const usage = await Transaction.aggregate([
+    { $match: { organizationId } },
+    { $group: { _id: { category: '$category', type: '$type' }, count: { $sum: 1 } } }
+  ]);
+
+  const groups = new Map();
+  for (const name of names) {
+    const key = normalizeName(name);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, { variants: new Set(), spellings: new Map(), types: { Income: 0, Expense: 0 } });
+    groups.get(key).variants.add(name);
+  }
+  for (const { _id, count } of usage) {
+    const group = groups.get(normalizeName(_id.category));
+    if (!group) continue;
+    const spelling = _id.category.trim();
+    group.spellings.set(spelling, (group.spellings.get(spelling) || 0) + count);
+    group.types[_id.type] += count;
+  }
+
+  let categories = 0;
+  let transactions = 0;
+  for (const group of groups.values()) {
+    const [mostUsed] = [...group.spellings.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+    const name = mostUsed ? mostUsed[0] : [...group.variants][0].trim();
+    const type = group.types.Income > group.types.Expense ? 'Income' : 'Expense';
+
+    const existed = await findCategoryByName(organizationId, name);
+    const category = existed || await findOrCreateCategory(organizationId, name, type);
+    if (!existed) categories++;
+
+    const variants = [...group.variants];
+    const result = await Transaction.updateMany(
+      { organizationId, category: { $in: variants }, categoryId: null },
+      { category: category.name, categoryId: category._id }
+    );
+    transactions += result.modifiedCount;
+    await rewriteCategoryReferences(organizationId, variants.filter(variant => variant !== category.name), category.name);
+  }
+
+  return { categories, transactions };
+};
+
+// Migrate lazily: only when some transaction has no managed category yet
+const ensureCategoriesMigrated = async (organizationId) => {
+  const pending = await Transaction.exists({ organizationId, categoryId: null }).setOptions({ withDeleted: true });
+  if (pending) await migrateCategories(organizationId);
+};
+
+// Roll category totals from aggregateByCategory up to their top-level
+// categories. Names without a managed category stay on their own.
+const rollUpCategoryStats = (stats, categories) => {
+  const byId = new Map(categories.map(category => [category._id.toString(), category]));
+  const byName = new Map(categories.map(category => [normalizeName(category.name), category]));
+
+  const rootName = (name) => {
+    let category = byName.get(normalizeName(name));
+    if (!category) return name;
+    for (let depth = 0; category.parentId && byId.has(category.parentId.toString()) && depth < MAX_DEPTH; depth++) {
+      category = byId.get(category.parentId.toString());
+    }
+    return category.name;
+  };
+
+  const groups = new Map();
+  for (const stat of stats) {
+    const category = rootName(stat._id.category);
+    const key = `${category}\u0000${stat._id.type}`;
+    if (!groups.has(key)) {
+      groups.set(key, { category, type: stat._id.type, total: 0, count: 0, unconvertedCount: 0, currencies: new Map(), subcategories: [] });
+    }
+
+    const group = groups.get(key);
+    group.total += stat.total;
+    group.count += stat.count;
+    group.unconvertedCount += stat.unconvertedCount;
+    group.subcategories.push({ category: stat._id.category, total: stat.total, count: stat.count });
+
+    for (const entry of stat.currencies) {
+      const merged = group.currencies.get(entry.currency)
+        || { currency: entry.currency, total: 0, totalInBase: 0, count: 0, unconvertedCount: 0 };
+      merged.total += entry.total;
+      merged.totalInBase += entry.totalInBase;
+      merged.count += entry.count;
+      merged.unconvertedCount += entry.unconvertedCount;
+      group.currencies.set(entry.currency, merged);
+    }
+  }
+
+  return [...groups.values()]
+    .map(group => {
+      const converted = group.count - group.unconvertedCount;
+      return {
+        ...group,
+        average: converted > 0 ? group.total / converted : 0,
+        currencies: [...group.currencies.values()],
+        subcategories: group.subcategories.sort((a, b) => b.total - a.total)
+      };
+    })
+    .sort((a, b) => b.total - a.total);
+};
+
+module.exports = {
+  resolveCategory,
+  findCategoryByName,
+  isDescendantOf,
+  findLockedUsage,
+  renameCategory,
+  mergeCategories,
+  migrateCategories,
+  ensureCategoriesMigrated,
+  rollUpCategoryStats
+};
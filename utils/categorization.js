@@ -0,0 +1,180 @@
+const Transaction = require('../models/Transaction');
+const CategorizationRule = require('../models/CategorizationRule');
+const { isSplit } = require('./splits');
+
+const RULE_FIELDS = ['category', 'type', 'paymentMethod', 'tags'];
+const DEFAULT_PAYMENT_METHOD = Transaction.schema.path('paymentMethod').defaultValue;
+const PREVIEW_LIMIT = 200;
+const HISTORY_LIMIT = 500;
+const AMOUNT_TOLERANCE = 0.1;
+
+// Combine the actions of the rules that match `data`, in rule order: the first
+// matching rule sets each field, tags from every matching rule add up
+const evaluateRules = (rules, data) => {
+  const actions = {};
+  const ruleIds = [];
+
+  for (const rule of rules) {
+    if (!rule.matches(data)) continue;
+
+    let used = false;
+    for (const field of ['category', 'type', 'paymentMethod']) {
+      if (rule.actions[field] && actions[field] === undefined) {
+        actions[field] = rule.actions[field];
+        used = true;
+      }
+    }
+    if (rule.actions.tags.length) {
+      actions.tags = [...new Set([...(actions.tags || []), ...rule.actions.tags])];
+      used = true;
+    }
+    if (used) ruleIds.push(rule._id);
+  }
+
+  return { actions, ruleIds };
+};
+
+// Fill the fields a new transaction leaves out from the organization's rules
+const applyRulesToNew = async (organizationId, body, { session } = {}) => {
+  const omitted = RULE_FIELDS.filter(field => body[field] === undefined || body[field] === null || body[field] === '');
+  if (!omitted.length) return body;
+
+  const rules = await CategorizationRule.findActive(organizationId).session(session || null);
+  const { actions } = evaluateRules(rules, {
+    description: body.description,
+    amount: parseFloat(body.amount),
+    paymentMethod: body.paymentMethod || DEFAULT_PAYMENT_METHOD
+  });
+
+  const filled = { ...body };
+  omitted.forEach(field => {
+    if (actions[field] !== undefined) filled[field] = actions[field];
+  });
+  return filled;
+};
+
+// Field-by-field differences between a transaction and the rule actions.
+// Split transactions keep the categories of their lines.
+const diffActions = (transaction, actions, fields) => {
+  const changes = {};
+
+  if (fields.includes('category') && actions.category && !isSplit(transaction)
+    && actions.category.toLowerCase() !== transaction.category.toLowerCase()) {
+    changes.category = { from: transaction.category, to: actions.category };
+  }
+  for (const field of ['type', 'paymentMethod']) {
+    if (fields.includes(field) && actions[field] && actions[field] !== transaction[field]) {
+      changes[field] = { from: transaction[field], to: actions[field] };
+    }
+  }
+  if (fields.includes('tags') && actions.tags) {
+    const missing = actions.tags.filter(tag => !transaction.tags.includes(tag));
+    if (missing.length) changes.tags = { from: transaction.tags, to: [...transaction.tags, ...missing] };
+  }
+
+  return changes;
+};
+
+// Changes that re-running the rules would make to existing transactions.
+// Rules override the current values of the chosen fields; tags are only added.
+const findRuleChanges = async (organizationId, { ruleIds, startDate, endDate, categories, fields = RULE_FIELDS }) => {
+  const rules = await CategorizationRule.findActive(organizationId, ruleIds ? { _id: { $in: ruleIds } } : {});
+
+  const filter = { organizationId };
+  if (startDate || endDate) {
+    filter.date = {};
+    if (startDate) filter.date.$gte = new Date(startDate);
+    if (endDate) filter.date.$lte = new Date(endDate);
+  }
+  if (categories && categories.length) filter.category = { $in: categories };
+
+  const changes = [];
+  let scanned = 0;
+  if (!rules.length) return { rules: 0, scanned, changes };
+
+  const cursor = Transaction.find(filter)
+    .collation({ locale: 'en', strength: 2 })
+    .sort({ date: -1, _id: -1 })
+    .select('date description amount currency category splits type paymentMethod tags')
+    .cursor();
+
+  for await (const transaction of cursor) {
+    scanned++;
+    const { actions, ruleIds: matched } = evaluateRules(rules, transaction);
+    const fieldChanges = diffActions(transaction, actions, fields);
+    if (!Object.keys(fieldChanges).length) continue;
+
+    changes.push({
+      transactionId: transaction._id,
+      date: transaction.date,
+      description: transaction.description,
+      amount: transaction.amount,
+      currency: transaction.currency,
+      changes: fieldChanges,
+      ruleIds: matched
+    });
+  }
+
+  return { rules: rules.length, scanned, changes };
+};
+
+const tokenize = (text) => [...new Set(String(text || '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(token => token.length >= 3 && !/^\d+$/.test(token)))];
+
+// Categories this user chose for similar descriptions before, best first.
+// Each past transaction counts by how many words it shares with the
+// description, and more when its amount is close.
+const suggestCategories = async (organizationId, userId, { description, amount, limit = 3 }) => {
+  const tokens = tokenize(description);
+  if (!tokens.length) return [];
+
+  const history = await Transaction.find(
+    { organizationId, userId, $text: { $search: tokens.join(' ') } },
+    { score: { $meta: 'textScore' } }
+  )
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(HISTORY_LIMIT)
+    .select('description amount category type paymentMethod');
+
+  const groups = new Map();
+  let totalScore = 0;
+
+  for (const transaction of history) {
+    const past = tokenize(transaction.description);
+    const shared = past.filter(token => tokens.includes(token)).length;
+    if (!shared) continue;
+
+    let score = shared / new Set([...tokens, ...past]).size;
+    if (amount && Math.abs(transaction.amount - amount) <= amount * AMOUNT_TOLERANCE) score *= 1.5;
+
+    const key = `${transaction.category.toLowerCase()}|${transaction.type}`;
+    const group = groups.get(key) || { category: transaction.category, type: transaction.type, score: 0, matches: 0, paymentMethods: {} };
+    group.score += score;
+    group.matches++;
+    group.paymentMethods[transaction.paymentMethod] = (group.paymentMethods[transaction.paymentMethod] || 0) + 1;
+    groups.set(key, group);
+    totalScore += score;
+  }
+
+  return [...groups.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(group => ({
+      category: group.category,
+      type: group.type,
+      paymentMethod: Object.entries(group.paymentMethods).sort((a, b) => b[1] - a[1])[0][0],
+      confidence: Math.round((group.score / totalScore) * 100) / 100,
+      matches: group.matches
+    }));
+};
+
+module.exports = {
+  RULE_FIELDS,
+  PREVIEW_LIMIT,
+  evaluateRules,
+  applyRulesToNew,
+  findRuleChanges,
+  suggestCategories
+};
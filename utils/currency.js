@@ -0,0 +1,130 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const { splitCSV, parseDate, parseAmount } = require('./importParsers');
+
+const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || 'USD').toUpperCase();
+
+// Latest rate on or before `date` for converting `currency` into `baseCurrency`.
+// Returns 1 for the same currency and null when no rate is known.
+const findRate = async (organizationId, currency, baseCurrency, date) => {
+  if (!currency || currency === baseCurrency) return 1;
+
+  const rate = await ExchangeRate.findOne({
+    organizationId,
+    currency,
+    baseCurrency,
+    date: { $lte: date }
+  }).sort({ date: -1 });
+
+  return rate ? rate.rate : null;
+};
+
+// Aggregation stages that add `currency` (defaulting to the base currency for
+// transactions recorded before currencies existed), the `rate` for the
+// transaction's date and `baseAmount`. Both are null when no rate is known.
+const conversionStages = (organizationId, baseCurrency) => [
+  {
+    $addFields: {
+      currency: { $ifNull: ['$currency', baseCurrency] }
+    }
+  },
+  {
+    $lookup: {
+      from: ExchangeRate.collection.name,
+      let: { currency: '$currency', date: '$date' },
+      pipeline: [
+        {
+          $match: {
+            $expr: {
+              $and: [
+                { $eq: ['$organizationId', organizationId] },
+                { $eq: ['$currency', '$$currency'] },
+                { $eq: ['$baseCurrency', baseCurrency] },
+                { $lte: ['$date', '$$date'] }
+              ]
+            }
+          }
+        },
+        { $sort: { date: -1 } },
+        { $limit: 1 },
+        { $project: { _id: 0, rate: 1 } }
+      ],
+      as: 'exchangeRate'
+    }
+  },
+  {
+    $addFields: {
+      rate: {
+        $cond: [
+          { $eq: ['$currency', baseCurrency] },
+          1,
+          { $ifNull: [{ $arrayElemAt: ['$exchangeRate.rate', 0] }, null] }
+        ]
+      }
+    }
+  },
+  {
+    $addFields: {
+      baseAmount: {
+        $cond: [{ $eq: ['$rate', null] }, null, { $multiply: ['$amount', '$rate'] }]
+      }
+    }
+  },
+  { $project: { exchangeRate: 0 } }
+];
+
+// $group accumulators shared by the stats endpoints: totals in the base
+// currency plus a count of transactions that could not be converted
+const baseTotals = {
+  total: { $sum: '$baseAmount' },
+  originalTotal: { $sum: '$amount' },
+  count: { $sum: 1 },
+  unconvertedCount: { $sum: { $cond: [{ $eq: ['$rate', null] }, 1, 0] } }
+};
+
+// Parse a rate table with a header row naming the date, currency and rate
+// columns, plus an optional base column. Dates are YYYY-MM-DD.
+const parseRateCSV = (text, defaultBaseCurrency) => {
+  const [header, ...lines] = splitCSV(text);
+  if (!header) return [];
+
+  const names = header.map(name => name.trim().toLowerCase());
+  const column = (...candidates) => names.findIndex(name => candidates.includes(name));
+  const columns = {
+    date: column('date'),
+    currency: column('currency', 'code'),
+    rate: column('rate'),
+    base: column('base', 'basecurrency', 'base_currency')
+  };
+
+  const missing = ['date', 'currency', 'rate'].filter(key => columns[key] === -1);
+  if (missing.length) throw new Error(`Missing column(s): ${missing.join(', ')}`);
+
+  return lines.map((line, i) => {
+    const row = i + 2;
+    const date = parseDate(line[columns.date]);
+    if (!date) return { row, error: `Unreadable date "${line[columns.date] || ''}"` };
+
+    const rate = parseAmount(line[columns.rate]);
+    if (!Number.isFinite(rate) || rate <= 0) return { row, error: 'Rate must be a positive number' };
+
+    const currency = String(line[columns.currency] || '').trim().toUpperCase();
+    const baseCurrency = columns.base === -1
+      ? defaultBaseCurrency
+      : String(line[columns.base] || '').trim().toUpperCase() || defaultBaseCurrency;
+
+    if (!/^[A-Z]{3}$/.test(currency) || !/^[A-Z]{3}$/.test(baseCurrency)) {
+      return { row, error: 'Currencies must be 3-letter ISO 4217 codes' };
+    }
+    if (currency === baseCurrency) return { row, error: 'Currency and base currency are the same' };
+
+    return { row, date, currency, baseCurrency, rate };
+  });
+};
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  findRate,
+  conversionStages,
+  baseTotals,
+  parseRateCSV
+};
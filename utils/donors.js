@@ -0,0 +1,126 @@
+const Transaction = require('../models/Transaction');
+const Donor = require('../models/Donor');
+const { conversionStages, baseTotals } = require('./currency');
+const { round } = require('./money');
+
+// Lifetime giving of a donor in the base currency, with a breakdown by
+// original currency
+const getDonorTotals = async (organizationId, donorId, baseCurrency) => {
+  const stats = await Transaction.aggregate([
+    { $match: { organizationId, donorId, type: 'Income' } },
+    ...conversionStages(organizationId, baseCurrency),
+    {
+      $group: {
+        _id: '$currency',
+        ...baseTotals,
+        firstGift: { $min: '$date' },
+        lastGift: { $max: '$date' }
+      }
+    },
+    {
+      $sort: { _id: 1 }
+    }
+  ]);
+
+  const total = stats.reduce((sum, stat) => sum + stat.total, 0);
+  const count = stats.reduce((sum, stat) => sum + stat.count, 0);
+  const unconvertedCount = stats.reduce((sum, stat) => sum + stat.unconvertedCount, 0);
+  const dates = stats.flatMap(stat => [stat.firstGift, stat.lastGift]);
+
+  return {
+    baseCurrency,
+    total: round(total),
+    count,
+    average: count > unconvertedCount ? round(total / (count - unconvertedCount)) : 0,
+    unconvertedCount,
+    firstGift: count ? new Date(Math.min(...dates)) : null,
+    lastGift: count ? new Date(Math.max(...dates)) : null,
+    byCurrency: stats.map(stat => ({
+      currency: stat._id,
+      total: stat.originalTotal,
+      totalInBase: round(stat.total),
+      count: stat.count
+    }))
+  };
+};
+
+// Donor activity for the period [start, end): first-time donors gave for the
+// first time in the period, repeat donors had given before it, and lapsed
+// donors gave in the `lapsedSince`..start window but not in the period.
+const buildDonorReport = async (organizationId, baseCurrency, { start, end, lapsedSince, limit = 10 }) => {
+  const inPeriod = { $gte: ['$date', start] };
+  const inLapseWindow = { $and: [{ $gte: ['$date', lapsedSince] }, { $lt: ['$date', start] }] };
+
+  const stats = await Transaction.aggregate([
+    { $match: { organizationId, type: 'Income', donorId: { $ne: null }, date: { $lt: end } } },
+    ...conversionStages(organizationId, baseCurrency),
+    {
+      $group: {
+        _id: '$donorId',
+        firstGift: { $min: '$date' },
+        lastGift: { $max: '$date' },
+        total: { $sum: { $cond: [inPeriod, '$baseAmount', 0] } },
+        count: { $sum: { $cond: [inPeriod, 1, 0] } },
+        unconvertedCount: { $sum: { $cond: [{ $and: [inPeriod, { $eq: ['$rate', null] }] }, 1, 0] } },
+        lapsedTotal: { $sum: { $cond: [inLapseWindow, '$baseAmount', 0] } },
+        lapsedCount: { $sum: { $cond: [inLapseWindow, 1, 0] } }
+      }
+    }
+  ]);
+
+  const active = stats.filter(stat => stat.count > 0);
+  const firstTime = active.filter(stat => stat.firstGift >= start);
+  const repeat = active.filter(stat => stat.firstGift < start);
+  const lapsed = stats.filter(stat => stat.count === 0 && stat.lapsedCount > 0);
+
+  const topDonors = [...active].sort((a, b) => b.total - a.total).slice(0, limit);
+  const lapsedDonors = [...lapsed].sort((a, b) => b.lapsedTotal - a.lapsedTotal).slice(0, limit);
+
+  const donors = await Donor.find({
+    _id: { $in: [...topDonors, ...lapsedDonors].map(stat => stat._id) }
+  }).select('name type email consent');
+  const byId = new Map(donors.map(donor => [donor._id.toString(), donor]));
+  const describe = (stat) => {
+    const donor = byId.get(stat._id.toString());
+    return { donorId: stat._id, name: donor?.name, type: donor?.type, email: donor?.email, consent: donor?.consent };
+  };
+
+  const sum = (list, key) => round(list.reduce((acc, stat) => acc + stat[key], 0));
+  // Donors from the lapse window who gave again in the period
+  const previousDonors = stats.filter(stat => stat.lapsedCount > 0);
+  const retained = previousDonors.filter(stat => stat.count > 0);
+
+  return {
+    period: { start, end, lapsedSince },
+    baseCurrency,
+    summary: {
+      donors: active.length,
+      totalGiven: sum(active, 'total'),
+      firstTimeDonors: firstTime.length,
+      firstTimeTotal: sum(firstTime, 'total'),
+      repeatDonors: repeat.length,
+      repeatTotal: sum(repeat, 'total'),
+      lapsedDonors: lapsed.length,
+      lapsedTotal: sum(lapsed, 'lapsedTotal'),
+      retentionRate: previousDonors.length ? round((retained.length / previousDonors.length) * 100) : null,
+      unconvertedCount: active.reduce((acc, stat) => acc + stat.unconvertedCount, 0)
+    },
+    topDonors: topDonors.map(stat => ({
+      ...describe(stat),
+      total: round(stat.total),
+      count: stat.count,
+      firstGift: stat.firstGift,
+      isFirstTime: stat.firstGift >= start
+    })),
+    lapsedDonors: lapsedDonors.map(stat => ({
+      ...describe(stat),
+      lastGift: stat.lastGift,
+      lapsedTotal: round(stat.lapsedTotal)
+    }))
+  };
+};
+
+module.exports = {
+  getDonorTotals,
+  buildDonorReport
+};
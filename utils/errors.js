@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// A validation failure on one path, shaped like a schema validation failure
+// so that business rules thrown from anywhere are reported as a 400
+const validationError = (path, message) => {
+  const error = new mongoose.Error.ValidationError();
+  error.addError(path, new mongoose.Error.ValidatorError({ path, message }));
+  return error;
+};
+
+module.exports = {
+  validationError
+};
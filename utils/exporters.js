@@ -0,0 +1,119 @@
+// Writers that turn transaction documents into CSV, JSON Lines or OFX text,
+// one chunk per record so exports can be streamed from a cursor.
+
+const BASE_COLUMNS = ['id', 'date', 'description', 'amount', 'currency', 'type', 'category', 'paymentMethod', 'tags', 'notes'];
+const OPTIONAL_COLUMNS = ['formattedAmount', 'monthYear'];
+
+// Transactions without a currency are in the organization's base currency
+const toRow = (doc, include, { currency = 'USD' } = {}) => {
+  const row = {
+    id: doc._id.toString(),
+    date: doc.date.toISOString().slice(0, 10),
+    description: doc.description,
+    amount: doc.amount,
+    currency: doc.currency || currency,
+    type: doc.type,
+    category: doc.category,
+    paymentMethod: doc.paymentMethod,
+    tags: doc.tags || [],
+    notes: doc.notes || ''
+  };
+
+  if (include.includes('formattedAmount')) row.formattedAmount = doc.formattedAmount;
+  if (include.includes('monthYear')) row.monthYear = doc.monthYear.formatted;
+
+  return row;
+};
+
+const escapeCSV = (value) => {
+  const text = Array.isArray(value) ? value.join(';') : String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const escapeXML = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const ofxDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, '');
+
+const csvExporter = (include, options) => {
+  const columns = [...BASE_COLUMNS, ...OPTIONAL_COLUMNS.filter(column => include.includes(column))];
+
+  return {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    header: () => `${columns.join(',')}\r\n`,
+    row: (doc) => {
+      const row = toRow(doc, include, options);
+      return `${columns.map(column => escapeCSV(row[column])).join(',')}\r\n`;
+    },
+    footer: () => ''
+  };
+};
+
+const jsonlExporter = (include, options) => ({
+  contentType: 'application/x-ndjson; charset=utf-8',
+  extension: 'jsonl',
+  header: () => '',
+  row: (doc) => `${JSON.stringify(toRow(doc, include, options))}\n`,
+  footer: () => ''
+});
+
+// OFX 2 bank statement in the base currency. The date range comes from the
+// export filter because the full result set is never held in memory. OFX has
+// no per-transaction currency without a rate, so foreign amounts are labelled
+// in the memo.
+const ofxExporter = (include, { startDate, endDate, currency = 'USD' } = {}) => ({
+  contentType: 'application/x-ofx; charset=utf-8',
+  extension: 'ofx',
+  header: () => [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+    '<OFX>',
+    '<SIGNONMSGSRSV1><SONRS><STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+    `<DTSERVER>${ofxDate(new Date())}</DTSERVER><LANGUAGE>ENG</LANGUAGE></SONRS></SIGNONMSGSRSV1>`,
+    '<BANKMSGSRSV1><STMTTRNRS><TRNUID>0</TRNUID>',
+    '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+    `<STMTRS><CURDEF>${currency}</CURDEF>`,
+    '<BANKACCTFROM><BANKID>0</BANKID><ACCTID>0</ACCTID><ACCTTYPE>CHECKING</ACCTTYPE></BANKACCTFROM>',
+    `<BANKTRANLIST><DTSTART>${ofxDate(startDate || new Date(0))}</DTSTART><DTEND>${ofxDate(endDate || new Date())}</DTEND>`,
+    ''
+  ].join('\n'),
+  row: (doc) => {
+    const row = toRow(doc, include, { currency });
+    const foreign = row.currency !== currency ? row.currency : null;
+    const signed = row.type === 'Income' ? row.amount : -row.amount;
+    return [
+      '<STMTTRN>',
+      `<TRNTYPE>${row.type === 'Income' ? 'CREDIT' : 'DEBIT'}</TRNTYPE>`,
+      `<DTPOSTED>${row.date.replace(/-/g, '')}</DTPOSTED>`,
+      `<TRNAMT>${signed.toFixed(2)}</TRNAMT>`,
+      `<FITID>${row.id}</FITID>`,
+      `<NAME>${escapeXML(row.description.slice(0, 32))}</NAME>`,
+      `<MEMO>${escapeXML([foreign, row.description, row.category, row.notes].filter(Boolean).join(' | ').slice(0, 255))}</MEMO>`,
+      '</STMTTRN>',
+      ''
+    ].join('\n');
+  },
+  footer: () => [
+    '</BANKTRANLIST>',
+    '</STMTRS></STMTTRNRS></BANKMSGSRSV1>',
+    '</OFX>',
+    ''
+  ].join('\n')
+});
+
+const EXPORTERS = {
+  csv: csvExporter,
+  jsonl: jsonlExporter,
+  ofx: ofxExporter
+};
+
+const createExporter = (format, include = [], options) => EXPORTERS[format](include, options);
+
+module.exports = {
+  EXPORT_FORMATS: Object.keys(EXPORTERS),
+  OPTIONAL_COLUMNS,
+  createExporter
+};
@@ -0,0 +1,245 @@
+const Transaction = require('../models/Transaction');
+const { listOccurrences } = require('./recurrence');
+const { findRate, conversionStages } = require('./currency');
+const { splitLineStages } = require('./splits');
+const { round } = require('./money');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Half-width of the band in standard deviations, about an 80% range
+const BAND_Z = 1.28;
+
+const dayKey = (date) => date.toISOString().slice(0, 10);
+const monthKey = (date) => date.toISOString().slice(0, 7);
+const startOfMonth = (date, offset = 0) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + offset, 1));
+const daysInMonth = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+const variance = (values) => {
+  if (values.length < 2) return 0;
+  const avg = mean(values);
+  return values.reduce((sum, value) => sum + (value - avg) ** 2, 0) / (values.length - 1);
+};
+
+// Income and expenses in the base currency up to the end of `until`
+const getBalance = async (organizationId, baseCurrency, until) => {
+  const totals = await Transaction.aggregate([
+    { $match: { organizationId, date: { $lt: until } } },
+    ...conversionStages(organizationId, baseCurrency),
+    {
+      $group: {
+        _id: '$type',
+        total: { $sum: '$baseAmount' },
+        unconvertedCount: { $sum: { $cond: [{ $eq: ['$rate', null] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  const byType = Object.fromEntries(totals.map(total => [total._id, total]));
+  return {
+    balance: ((byType.Income && byType.Income.total) || 0) - ((byType.Expense && byType.Expense.total) || 0),
+    unconvertedCount: totals.reduce((sum, total) => sum + total.unconvertedCount, 0)
+  };
+};
+
+// Expected amount and variance per category for each calendar month, from
+// the complete months of history. One-off transactions only: recurring
+// templates and their occurrences are projected from their schedules.
+// With a year or more of history the estimate for a month is the average of
+// the same month in past years; with less it is the average of every month.
+const getSeasonalModel = async (organizationId, baseCurrency, { historyStart, historyEnd }) => {
+  const months = [];
+  for (let month = new Date(historyStart); month < historyEnd; month = startOfMonth(month, 1)) {
+    months.push(monthKey(month));
+  }
+  if (!months.length) return { months: 0, categories: [] };
+
+  const rows = await Transaction.aggregate([
+    {
+      $match: {
+        organizationId,
+        date: { $gte: historyStart, $lt: historyEnd },
+        isRecurring: { $ne: true },
+        recurringParentId: null
+      }
+    },
+    ...splitLineStages(),
+    ...conversionStages(organizationId, baseCurrency),
+    {
+      $group: {
+        _id: {
+          category: '$category',
+          type: '$type',
+          month: { $dateToString: { format: '%Y-%m', date: '$date' } }
+        },
+        total: { $sum: '$baseAmount' }
+      }
+    }
+  ]);
+
+  const series = new Map();
+  for (const row of rows) {
+    const key = `${row._id.type}|${row._id.category}`;
+    if (!series.has(key)) series.set(key, { category: row._id.category, type: row._id.type, totals: {} });
+    series.get(key).totals[row._id.month] = row.total;
+  }
+
+  const seasonal = months.length >= 12;
+  const categories = [...series.values()].map(({ category, type, totals }) => {
+    const values = months.map(month => totals[month] || 0);
+    const byCalendarMonth = Array.from({ length: 12 }, (_, index) => {
+      const samples = seasonal ? values.filter((_, i) => Number(months[i].slice(5)) === index + 1) : values;
+      return mean(samples);
+    });
+    return { category, type, byCalendarMonth, variance: variance(values) };
+  });
+
+  return { months: months.length, categories };
+};
+
+// Active recurring templates, with each occurrence up to `until` in the base
+// currency at today's rate. Occurrences already due fall on `from`.
+const getRecurringFlows = async (organizationId, baseCurrency, { from, until, now }) => {
+  const templates = await Transaction.find({
+    organizationId,
+    isRecurring: true,
+    'recurringDetails.status': 'active'
+  });
+
+  const flows = [];
+  const unconverted = [];
+
+  for (const template of templates) {
+    const rate = await findRate(organizationId, template.currency || baseCurrency, baseCurrency, now);
+    if (rate === null) {
+      unconverted.push({ transactionId: template._id, description: template.description, currency: template.currency });
+      continue;
+    }
+
+    const { frequency, nextDueDate, endDate } = template.recurringDetails;
+    const last = endDate && endDate < until ? endDate : until;
+    for (const date of listOccurrences(nextDueDate, frequency, last, template.date.getDate())) {
+      flows.push({ date: date < from ? from : date, type: template.type, amount: template.amount * rate });
+    }
+  }
+
+  return { flows, unconverted };
+};
+
+// Transactions already entered with a date after today
+const getScheduledFlows = (organizationId, baseCurrency, { from, until }) => Transaction.aggregate([
+  { $match: { organizationId, date: { $gte: from, $lt: until }, recurringParentId: null } },
+  ...conversionStages(organizationId, baseCurrency),
+  { $match: { baseAmount: { $ne: null } } },
+  { $project: { date: 1, type: 1, amount: '$baseAmount' } }
+]);
+
+// Project daily and monthly balances for the rest of this month and the
+// `months` after it, from the current balance, recurring schedules,
+// future-dated transactions and seasonal averages of everything else. The
+// low/high band widens with the month-to-month spread of the seasonal
+// categories; recurring and scheduled amounts count as certain.
+const buildForecast = async (organizationId, baseCurrency, { months = 6, historyMonths = 24, threshold = 0, now = new Date() } = {}) => {
+  const from = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+  const until = startOfMonth(from, months + 1);
+
+  // Only complete months of history, and none from before the first transaction
+  const first = await Transaction.findOne({ organizationId }).sort({ date: 1 }).select('date');
+  const historyEnd = startOfMonth(now);
+  let historyStart = startOfMonth(now, -historyMonths);
+  if (first && first.date > historyStart) historyStart = startOfMonth(first.date, first.date.getUTCDate() > 1 ? 1 : 0);
+
+  const [{ balance, unconvertedCount }, model, recurring, scheduled] = await Promise.all([
+    getBalance(organizationId, baseCurrency, from),
+    getSeasonalModel(organizationId, baseCurrency, { historyStart, historyEnd }),
+    getRecurringFlows(organizationId, baseCurrency, { from, until, now }),
+    getScheduledFlows(organizationId, baseCurrency, { from, until })
+  ]);
+
+  // Known amounts per day
+  const known = new Map();
+  for (const flow of [...recurring.flows, ...scheduled]) {
+    const key = dayKey(flow.date);
+    const entry = known.get(key) || { Income: 0, Expense: 0 };
+    entry[flow.type] += flow.amount;
+    known.set(key, entry);
+  }
+
+  // Seasonal amounts per calendar month, spread evenly over its days
+  const seasonal = Array.from({ length: 12 }, (_, index) => {
+    const totals = { Income: 0, Expense: 0, variance: 0 };
+    for (const category of model.categories) {
+      totals[category.type] += category.byCalendarMonth[index];
+      totals.variance += category.variance;
+    }
+    return totals;
+  });
+
+  const daily = [];
+  const monthly = new Map();
+  let expected = balance;
+  let cumulativeVariance = 0;
+  const firstBelow = { expected: null, low: null };
+
+  for (let day = new Date(from); day < until; day = new Date(day.getTime() + DAY_MS)) {
+    const days = daysInMonth(day);
+    const season = seasonal[day.getUTCMonth()];
+    const flows = known.get(dayKey(day)) || { Income: 0, Expense: 0 };
+
+    const income = flows.Income + season.Income / days;
+    const expenses = flows.Expense + season.Expense / days;
+    expected += income - expenses;
+    cumulativeVariance += season.variance / days;
+
+    const spread = BAND_Z * Math.sqrt(cumulativeVariance);
+    const date = dayKey(day);
+    daily.push({
+      date,
+      income: round(income),
+      expenses: round(expenses),
+      balance: round(expected),
+      low: round(expected - spread),
+      high: round(expected + spread)
+    });
+
+    if (!firstBelow.expected && expected < threshold) firstBelow.expected = date;
+    if (!firstBelow.low && expected - spread < threshold) firstBelow.low = date;
+
+    const key = monthKey(day);
+    const month = monthly.get(key) || { month: key, income: 0, expenses: 0, knownIncome: 0, knownExpenses: 0 };
+    month.income += income;
+    month.expenses += expenses;
+    month.knownIncome += flows.Income;
+    month.knownExpenses += flows.Expense;
+    Object.assign(month, { closingBalance: expected, low: expected - spread, high: expected + spread });
+    monthly.set(key, month);
+  }
+
+  return {
+    baseCurrency,
+    from: dayKey(from),
+    until: dayKey(new Date(until.getTime() - DAY_MS)),
+    historyMonths: model.months,
+    startingBalance: round(balance),
+    // Past transactions left out of the starting balance for lack of a rate
+    unconvertedCount,
+    unconvertedRecurring: recurring.unconverted,
+    threshold,
+    firstBelowThreshold: firstBelow,
+    monthly: [...monthly.values()].map(month => ({
+      month: month.month,
+      income: round(month.income),
+      expenses: round(month.expenses),
+      net: round(month.income - month.expenses),
+      knownIncome: round(month.knownIncome),
+      knownExpenses: round(month.knownExpenses),
+      closingBalance: round(month.closingBalance),
+      low: round(month.low),
+      high: round(month.high)
+    })),
+    daily
+  };
+};
+
+module.exports = {
+  buildForecast
+};
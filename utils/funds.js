@@ -0,0 +1,150 @@
+const Fund = require('../models/Fund');
+const FundTransfer = require('../models/FundTransfer');
+const Transaction = require('../models/Transaction');
+const { round } = require('./money');
+
+const DEFAULT_FUND_NAME = 'General Fund';
+
+const emptyBalance = () => ({ income: 0, expense: 0, transfersIn: 0, transfersOut: 0, balance: 0, unconvertedCount: 0 });
+
+// The organization's default unrestricted fund, created on first use.
+// Creating it assigns the transactions recorded before funds existed.
+const ensureDefaultFund = async (organizationId, session) => {
+  const existing = await Fund.findOne({ organizationId, isDefault: true }).session(session || null);
+  if (existing) return existing;
+
+  for (const name of [DEFAULT_FUND_NAME, `${DEFAULT_FUND_NAME} (default)`]) {
+    try {
+      const [fund] = await Fund.create([{ organizationId, name, restriction: 'unrestricted', isDefault: true }], { session });
+      await Transaction.updateMany({ organizationId, fundId: null }, { fundId: fund._id }, { session });
+      return fund;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      // Created concurrently, or a fund already uses the name
+      const fund = await Fund.findOne({ organizationId, isDefault: true }).session(session || null);
+      if (fund) return fund;
+    }
+  }
+
+  throw new Error('Could not create the default fund');
+};
+
+// Income, expense, transfers and balance per fund in the base currency,
+// keyed by fund ID. `fund` limits the result to one fund, `asOf` to
+// activity up to that date, and the exclude options leave out a record
+// that is about to change.
+const getFundBalances = async (organizationId, baseCurrency, { fund, asOf, excludeTransactionId, excludeTransferId, session } = {}) => {
+  const defaultFund = fund?.isDefault ? fund : await ensureDefaultFund(organizationId, session);
+
+  const transactionMatch = { organizationId };
+  const transferMatch = { organizationId };
+  if (asOf) {
+    transactionMatch.date = { $lte: asOf };
+    transferMatch.date = { $lte: asOf };
+  }
+  if (excludeTransactionId) transactionMatch._id = { $ne: excludeTransactionId };
+  if (excludeTransferId) transferMatch._id = { $ne: excludeTransferId };
+  if (fund) {
+    transactionMatch.fundId = fund.isDefault ? { $in: [fund._id, null] } : fund._id;
+    transferMatch.$or = [{ fromFundId: fund._id }, { toFundId: fund._id }];
+  }
+
+  const stats = await Transaction.aggregateByFund(transactionMatch, baseCurrency, defaultFund._id)
+    .session(session || null);
+  const [transfers] = await FundTransfer.aggregate([
+    { $match: transferMatch },
+    {
+      $facet: {
+        out: [{ $group: { _id: '$fromFundId', total: { $sum: '$amount' } } }],
+        in: [{ $group: { _id: '$toFundId', total: { $sum: '$amount' } } }]
+      }
+    }
+  ]).session(session || null);
+
+  const balances = new Map();
+  const entry = (fundId) => {
+    const key = fundId.toString();
+    if (!balances.has(key)) balances.set(key, emptyBalance());
+    return balances.get(key);
+  };
+
+  for (const stat of stats) {
+    const balance = entry(stat._id.fundId);
+    balance[stat._id.type === 'Income' ? 'income' : 'expense'] += stat.total;
+    balance.unconvertedCount += stat.unconvertedCount;
+  }
+  for (const transfer of transfers.out) entry(transfer._id).transfersOut += transfer.total;
+  for (const transfer of transfers.in) entry(transfer._id).transfersIn += transfer.total;
+
+  for (const balance of balances.values()) {
+    balance.balance = balance.income + balance.transfersIn - balance.expense - balance.transfersOut;
+    for (const key of ['income', 'expense', 'transfersIn', 'transfersOut', 'balance']) {
+      balance[key] = round(balance[key]);
+    }
+  }
+
+  return balances;
+};
+
+const getFundBalance = async (organizationId, fund, baseCurrency, options = {}) => {
+  const balances = await getFundBalances(organizationId, baseCurrency, { ...options, fund });
+  return balances.get(fund._id.toString()) || emptyBalance();
+};
+
+// Income and expense per fund for stats, in the base currency
+const summarizeFunds = (stats, funds) => {
+  const byId = new Map(funds.map(fund => [fund._id.toString(), {
+    fundId: fund._id,
+    name: fund.name,
+    restriction: fund.restriction,
+    income: 0,
+    expense: 0,
+    count: 0
+  }]));
+
+  for (const stat of stats) {
+    const entry = byId.get(stat._id.fundId.toString());
+    if (!entry) continue;
+    entry[stat._id.type === 'Income' ? 'income' : 'expense'] += stat.total;
+    entry.count += stat.count;
+  }
+
+  return [...byId.values()]
+    .filter(entry => entry.count > 0)
+    .map(entry => ({
+      ...entry,
+      income: round(entry.income),
+      expense: round(entry.expense),
+      net: round(entry.income - entry.expense)
+    }));
+};
+
+// Fund breakdown for the transactions matching `filter`; with byMonth, an
+// object keyed by YYYY-MM
+const getFundBreakdown = async (filter, baseCurrency, { byMonth = false } = {}) => {
+  const defaultFund = await ensureDefaultFund(filter.organizationId);
+  const funds = await Fund.find({ organizationId: filter.organizationId }).sort({ isDefault: -1, name: 1 });
+  const stats = await Transaction.aggregateByFund(filter, baseCurrency, defaultFund._id, { byMonth });
+
+  if (!byMonth) return summarizeFunds(stats, funds);
+
+  const months = {};
+  for (const stat of stats) {
+    const key = `${stat._id.year}-${stat._id.month.toString().padStart(2, '0')}`;
+    (months[key] = months[key] || []).push(stat);
+  }
+
+  return Object.fromEntries(
+    Object.entries(months).map(([key, monthStats]) => [key, summarizeFunds(monthStats, funds)])
+  );
+};
+
+module.exports = {
+  DEFAULT_FUND_NAME,
+  emptyBalance,
+  ensureDefaultFund,
+  getFundBalances,
+  getFundBalance,
+  getFundBreakdown
+};
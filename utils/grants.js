@@ -0,0 +1,174 @@
+const Transaction = require('../models/Transaction');
+const Grant = require('../models/Grant');
+const { conversionStages, baseTotals } = require('./currency');
+const { splitLineStages } = require('./splits');
+const { round } = require('./money');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UNALLOCATED = 'Unallocated';
+// Projected spend within this fraction of the award counts as on track
+const BURN_TOLERANCE = 0.1;
+
+const monthKey = (year, month) => `${year}-${String(month).padStart(2, '0')}`;
+
+// Grant transactions up to `end` per category, type and month, in the base
+// currency, flagged by whether they fall on or after `start`. Split
+// transactions count each line in its own category.
+const getGrantTotals = (grant, baseCurrency, { start, end }) => Transaction.aggregate([
+  { $match: { organizationId: grant.organizationId, grantId: grant._id, date: { $lte: end } } },
+  ...splitLineStages(),
+  ...conversionStages(grant.organizationId, baseCurrency),
+  {
+    $group: {
+      _id: {
+        category: '$category',
+        type: '$type',
+        inPeriod: { $gte: ['$date', start] },
+        year: { $year: '$date' },
+        month: { $month: '$date' }
+      },
+      ...baseTotals
+    }
+  }
+]);
+
+// Straight-line burn: how fast the grant is spent compared to how much of
+// its period has passed
+const evaluateBurn = (grant, spentToDate, asOf) => {
+  const duration = grant.endDate - grant.startDate + DAY_MS;
+  const elapsed = Math.min(duration, Math.max(0, asOf - grant.startDate + DAY_MS));
+  const elapsedFraction = elapsed / duration;
+  const elapsedMonths = elapsed / DAY_MS / 30.4375;
+
+  const monthlyBurnRate = elapsedMonths > 0 ? spentToDate / elapsedMonths : 0;
+  const projectedSpend = elapsedFraction > 0 ? spentToDate / elapsedFraction : spentToDate;
+  const unspent = grant.awardAmount - spentToDate;
+
+  let status = 'on_track';
+  if (spentToDate > grant.awardAmount) status = 'overspent';
+  else if (projectedSpend > grant.awardAmount * (1 + BURN_TOLERANCE)) status = 'overspending';
+  else if (elapsedFraction > 0 && projectedSpend < grant.awardAmount * (1 - BURN_TOLERANCE)) status = 'underspending';
+
+  return {
+    percentElapsed: round(elapsedFraction * 100),
+    percentSpent: round((spentToDate / grant.awardAmount) * 100),
+    monthlyBurnRate: round(monthlyBurnRate),
+    projectedSpend: round(projectedSpend),
+    projectedUnspent: round(grant.awardAmount - projectedSpend),
+    monthsOfFundingLeft: monthlyBurnRate > 0 ? round(Math.max(0, unspent) / monthlyBurnRate) : null,
+    status
+  };
+};
+
+// Spend of a grant against its budget lines for the period [start, end].
+// Line balances and the burn rate are cumulative from the grant start up to
+// `end`; `spent` covers the requested period only.
+const buildGrantReport = async (grant, baseCurrency, { start = grant.startDate, end = grant.endDate, now = new Date() } = {}) => {
+  const stats = await getGrantTotals(grant, baseCurrency, { start, end });
+
+  const lines = grant.budgetLines.map(line => ({
+    budgetLineId: line._id,
+    name: line.name,
+    categories: line.categories,
+    budgeted: line.amount,
+    spent: 0,
+    spentToDate: 0,
+    unconvertedCount: 0
+  }));
+  const unallocated = { name: UNALLOCATED, categories: [], budgeted: 0, spent: 0, spentToDate: 0, unconvertedCount: 0 };
+  const byMonth = {};
+  let receivedToDate = 0;
+  let unconvertedCount = 0;
+
+  for (const stat of stats) {
+    const { category, type, inPeriod, year, month } = stat._id;
+    unconvertedCount += stat.unconvertedCount;
+
+    if (type === 'Income') {
+      receivedToDate += stat.total;
+      continue;
+    }
+
+    const budgetLine = grant.findBudgetLine(category);
+    const line = budgetLine ? lines.find(l => l.budgetLineId.equals(budgetLine._id)) : unallocated;
+    if (!budgetLine && !unallocated.categories.includes(category)) unallocated.categories.push(category);
+
+    line.spentToDate += stat.total;
+    line.unconvertedCount += stat.unconvertedCount;
+    if (inPeriod) {
+      line.spent += stat.total;
+      const key = monthKey(year, month);
+      byMonth[key] = (byMonth[key] || 0) + stat.total;
+    }
+  }
+
+  if (unallocated.spentToDate > 0 || unallocated.unconvertedCount > 0) lines.push(unallocated);
+
+  const spent = lines.reduce((sum, line) => sum + line.spent, 0);
+  const spentToDate = lines.reduce((sum, line) => sum + line.spentToDate, 0);
+  const asOf = new Date(Math.min(end, now));
+
+  return {
+    grantId: grant._id,
+    name: grant.name,
+    funder: grant.funder,
+    baseCurrency,
+    periodStart: start,
+    periodEnd: end,
+    lines: lines.map(line => ({
+      ...line,
+      spent: round(line.spent),
+      spentToDate: round(line.spentToDate),
+      unspent: round(line.budgeted - line.spentToDate),
+      percentUsed: line.budgeted > 0 ? round((line.spentToDate / line.budgeted) * 100) : null,
+      overBudget: line.spentToDate > line.budgeted
+    })),
+    totals: {
+      awardAmount: grant.awardAmount,
+      budgeted: round(lines.reduce((sum, line) => sum + line.budgeted, 0)),
+      spent: round(spent),
+      spentToDate: round(spentToDate),
+      unspent: round(grant.awardAmount - spentToDate),
+      receivedToDate: round(receivedToDate),
+      unconvertedCount
+    },
+    burn: evaluateBurn(grant, spentToDate, asOf),
+    byMonth: Object.keys(byMonth).sort().map(key => ({ month: key, spent: round(byMonth[key]) }))
+  };
+};
+
+// Unsubmitted reports of active grants that are overdue or due within `days`
+const getReportingDeadlines = async (organizationId, { days = 30, now = new Date() } = {}) => {
+  const horizon = new Date(now.getTime() + days * DAY_MS);
+
+  const grants = await Grant.find({
+    organizationId,
+    status: 'active',
+    reportingDeadlines: { $elemMatch: { submittedAt: null, dueDate: { $lte: horizon } } }
+  }).select('name funder reportingDeadlines');
+
+  const deadlines = grants.flatMap(grant => grant.reportingDeadlines
+    .filter(deadline => !deadline.submittedAt && deadline.dueDate <= horizon)
+    .map(deadline => ({
+      grantId: grant._id,
+      grantName: grant.name,
+      funder: grant.funder,
+      deadlineId: deadline._id,
+      dueDate: deadline.dueDate,
+      periodStart: deadline.periodStart,
+      periodEnd: deadline.periodEnd,
+      description: deadline.description,
+      daysUntilDue: Math.ceil((deadline.dueDate - now) / DAY_MS)
+    })))
+    .sort((a, b) => a.dueDate - b.dueDate);
+
+  return {
+    overdue: deadlines.filter(deadline => deadline.dueDate < now),
+    upcoming: deadlines.filter(deadline => deadline.dueDate >= now)
+  };
+};
+
+module.exports = {
+  buildGrantReport,
+  getReportingDeadlines
+};
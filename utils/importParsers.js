@@ -0,0 +1,239 @@
+// Parsers for bank statement files. Each parser returns one record per
+// statement line: { row, date, description, amount, ... } where `amount` is
+// signed (negative for money going out) and `error` explains a line that
+// could not be read.
+
+// Split CSV text into rows of fields, honouring quoted fields and "" escapes
+const splitCSV = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+// Parse a date in the given format into UTC midnight, like new Date('YYYY-MM-DD')
+const parseDate = (value, format = 'YYYY-MM-DD') => {
+  const parts = String(value || '').trim().split(/[^0-9]+/).filter(Boolean).map(Number);
+  if (parts.length < 3) return null;
+
+  let year, month, day;
+  if (format === 'DD/MM/YYYY') [day, month, year] = parts;
+  else if (format === 'MM/DD/YYYY') [month, day, year] = parts;
+  else [year, month, day] = parts;
+
+  if (year < 100) year += year < 70 ? 2000 : 1900;
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date;
+};
+
+// Parse an amount such as "1,234.50", "-12", "(45.00)" or "€ 9,99"
+const parseAmount = (value, decimalSeparator = '.') => {
+  let text = String(value || '').trim();
+  if (!text) return NaN;
+
+  const negative = /^\(.*\)$/.test(text) || text.includes('-');
+  const thousands = decimalSeparator === ',' ? /\./g : /,/g;
+  text = text.replace(thousands, '').replace(decimalSeparator, '.').replace(/[^0-9.]/g, '');
+
+  const amount = parseFloat(text);
+  return negative ? -amount : amount;
+};
+
+const parseType = (value) => {
+  const text = String(value || '').trim().toLowerCase();
+  if (['income', 'credit', 'cr', 'c', 'deposit'].includes(text)) return 'Income';
+  if (['expense', 'debit', 'dr', 'd', 'withdrawal'].includes(text)) return 'Expense';
+  return undefined;
+};
+
+// Parse CSV using a saved import profile
+const parseCSV = (text, profile) => {
+  const rows = splitCSV(text, profile.delimiter || ',');
+  const header = profile.hasHeader ? rows.shift() : null;
+  const columns = profile.columns || {};
+
+  const indexOf = (column) => {
+    if (column === undefined || column === null || column === '') return -1;
+    if (header) {
+      const wanted = String(column).trim().toLowerCase();
+      return header.findIndex(name => name.trim().toLowerCase() === wanted);
+    }
+    return parseInt(column, 10);
+  };
+
+  const missing = ['date', 'description']
+    .filter(key => indexOf(columns[key]) < 0);
+  if (header && missing.length) {
+    throw new Error(`Columns not found in file: ${missing.map(key => columns[key]).join(', ')}`);
+  }
+
+  const get = (values, key) => {
+    const index = indexOf(columns[key]);
+    return index >= 0 && index < values.length ? values[index].trim() : undefined;
+  };
+
+  return rows.map((values, i) => {
+    const row = i + 1;
+    const date = parseDate(get(values, 'date'), profile.dateFormat);
+    if (!date) return { row, error: `Unreadable date "${get(values, 'date') || ''}"` };
+
+    let amount;
+    if (columns.amount) {
+      amount = parseAmount(get(values, 'amount'), profile.decimalSeparator);
+    } else {
+      const debit = parseAmount(get(values, 'debit'), profile.decimalSeparator);
+      const credit = parseAmount(get(values, 'credit'), profile.decimalSeparator);
+      amount = (Number.isFinite(credit) ? Math.abs(credit) : 0) - (Number.isFinite(debit) ? Math.abs(debit) : 0);
+    }
+    if (!Number.isFinite(amount)) return { row, error: 'Unreadable amount' };
+    if (profile.invertAmount) amount = -amount;
+
+    const type = parseType(get(values, 'type'));
+    if (type) amount = type === 'Income' ? Math.abs(amount) : -Math.abs(amount);
+
+    return {
+      row,
+      date,
+      description: get(values, 'description'),
+      amount,
+      category: get(values, 'category') || undefined,
+      paymentMethod: get(values, 'paymentMethod') || undefined,
+      notes: get(values, 'notes') || undefined
+    };
+  });
+};
+
+const ofxField = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? match[1].trim() : undefined;
+};
+
+// Parse OFX 1.x (SGML) or 2.x (XML) statements
+const parseOFX = (text) => {
+  const blocks = text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+  // Statement currency, applies to every transaction in the file
+  const currency = (ofxField(text, 'CURDEF') || '').toUpperCase() || undefined;
+
+  return blocks.map((block, i) => {
+    const row = i + 1;
+    const posted = ofxField(block, 'DTPOSTED') || '';
+    const date = parseDate(`${posted.slice(0, 4)}-${posted.slice(4, 6)}-${posted.slice(6, 8)}`);
+    if (!date) return { row, error: `Unreadable date "${posted}"` };
+
+    const amount = parseAmount(ofxField(block, 'TRNAMT'));
+    if (!Number.isFinite(amount)) return { row, error: 'Unreadable amount' };
+
+    const name = ofxField(block, 'NAME');
+    const memo = ofxField(block, 'MEMO');
+    const trnType = (ofxField(block, 'TRNTYPE') || '').toUpperCase();
+
+    return {
+      row,
+      date,
+      description: name || memo,
+      amount,
+      currency,
+      notes: name && memo ? memo : undefined,
+      paymentMethod: trnType === 'CHECK' || ofxField(block, 'CHECKNUM') ? 'Check' : undefined,
+      externalId: ofxField(block, 'FITID')
+    };
+  });
+};
+
+// Parse QIF bank/cash accounts. QIF dates are usually month first.
+const parseQIF = (text, dateFormat = 'MM/DD/YYYY') => {
+  const records = [];
+  let current = {};
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('!')) continue;
+
+    const code = line[0];
+    const value = line.slice(1).trim();
+
+    if (code === '^') {
+      records.push(current);
+      current = {};
+      continue;
+    }
+
+    switch (code) {
+      case 'D': current.date = value.replace(/'/g, '/'); break;
+      case 'T':
+      case 'U': current.amount = value; break;
+      case 'P': current.payee = value; break;
+      case 'M': current.memo = value; break;
+      case 'L': current.category = value.replace(/^\[|\]$/g, ''); break;
+      case 'N': current.number = value; break;
+      default: break;
+    }
+  }
+  if (Object.keys(current).length) records.push(current);
+
+  return records.map((record, i) => {
+    const row = i + 1;
+    const date = parseDate(record.date, dateFormat);
+    if (!date) return { row, error: `Unreadable date "${record.date || ''}"` };
+
+    const amount = parseAmount(record.amount);
+    if (!Number.isFinite(amount)) return { row, error: 'Unreadable amount' };
+
+    return {
+      row,
+      date,
+      description: record.payee || record.memo,
+      amount,
+      category: record.category || undefined,
+      notes: record.payee && record.memo ? record.memo : undefined,
+      paymentMethod: /^\d+$/.test(record.number || '') ? 'Check' : undefined
+    };
+  });
+};
+
+module.exports = {
+  splitCSV,
+  parseDate,
+  parseAmount,
+  parseCSV,
+  parseOFX,
+  parseQIF
+};
@@ -0,0 +1,188 @@
+const Transaction = require('../models/Transaction');
+const { applyRulesToNew } = require('./categorization');
+const { createTransactionRecord } = require('./transactionWriter');
+const { TOLERANCE, round } = require('./money');
+
+const PAYMENT_METHODS = Transaction.schema.path('paymentMethod').enumValues;
+const DUPLICATE_WINDOW_DAYS = 3;
+const SIMILARITY_THRESHOLD = 0.8;
+const FALLBACK_CATEGORY = 'Uncategorized';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const normalize = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Dice coefficient over character bigrams, 1 for identical strings
+const similarity = (a, b) => {
+  const left = normalize(a);
+  const right = normalize(b);
+  if (left === right) return 1;
+  if (left.length < 2 || right.length < 2) return 0;
+
+  const bigrams = new Map();
+  for (let i = 0; i < left.length - 1; i++) {
+    const gram = left.slice(i, i + 2);
+    bigrams.set(gram, (bigrams.get(gram) || 0) + 1);
+  }
+
+  let overlap = 0;
+  for (let i = 0; i < right.length - 1; i++) {
+    const gram = right.slice(i, i + 2);
+    const count = bigrams.get(gram) || 0;
+    if (count > 0) {
+      bigrams.set(gram, count - 1);
+      overlap++;
+    }
+  }
+
+  return (2 * overlap) / (left.length + right.length - 2);
+};
+
+// Turn a parsed statement record into Transaction fields. Without a category
+// in the file or a default one, the categorization rules choose it.
+const toTransactionData = (record, { defaultCategory, defaultPaymentMethod, currency }) => ({
+  date: record.date,
+  description: (record.description || '').trim().slice(0, 200),
+  amount: round(Math.abs(record.amount)),
+  currency: record.currency || currency,
+  type: record.amount >= 0 ? 'Income' : 'Expense',
+  category: (record.category || defaultCategory || '').trim() || undefined,
+  paymentMethod: PAYMENT_METHODS.includes(record.paymentMethod)
+    ? record.paymentMethod
+    : defaultPaymentMethod,
+  notes: record.notes ? record.notes.slice(0, 500) : undefined,
+  externalId: record.externalId
+});
+
+// Find an existing transaction that this row most likely duplicates
+const findDuplicate = async (organizationId, data) => {
+  if (data.externalId) {
+    const exact = await Transaction.findOne({ organizationId, externalId: data.externalId });
+    if (exact) return { transaction: exact, reason: `Already imported (bank reference ${data.externalId})` };
+  }
+
+  const candidates = await Transaction.find({
+    organizationId,
+    type: data.type,
+    amount: { $gte: data.amount - TOLERANCE, $lte: data.amount + TOLERANCE },
+    date: {
+      $gte: new Date(data.date.getTime() - DUPLICATE_WINDOW_DAYS * DAY_MS),
+      $lte: new Date(data.date.getTime() + DUPLICATE_WINDOW_DAYS * DAY_MS)
+    }
+  }).select('date description amount');
+
+  const match = candidates.find(candidate => similarity(candidate.description, data.description) >= SIMILARITY_THRESHOLD);
+  if (match) {
+    return {
+      transaction: match,
+      reason: `Possible duplicate of "${match.description}" on ${match.date.toISOString().slice(0, 10)}`
+    };
+  }
+
+  return null;
+};
+
+// Classify every parsed record as pending, skipped or rejected without writing anything
+const buildPreviewRows = async ({ organizationId, userId }, records, options) => {
+  const rows = [];
+  const seenExternalIds = new Set();
+
+  for (const record of records) {
+    if (record.error) {
+      rows.push({ row: record.row, status: 'rejected', reason: record.error });
+      continue;
+    }
+
+    const data = await applyRulesToNew(organizationId, toTransactionData(record, options));
+    if (!data.category) data.category = FALLBACK_CATEGORY;
+    const validationError = new Transaction({ organizationId, userId, ...data }).validateSync();
+    if (validationError) {
+      rows.push({
+        row: record.row,
+        status: 'rejected',
+        reason: Object.values(validationError.errors).map(err => err.message).join('; '),
+        data
+      });
+      continue;
+    }
+
+    if (data.externalId && seenExternalIds.has(data.externalId)) {
+      rows.push({ row: record.row, status: 'skipped', reason: 'Repeated within this file', data });
+      continue;
+    }
+    if (data.externalId) seenExternalIds.add(data.externalId);
+
+    const duplicate = await findDuplicate(organizationId, data);
+    if (duplicate) {
+      rows.push({
+        row: record.row,
+        status: 'skipped',
+        reason: duplicate.reason,
+        duplicateOf: duplicate.transaction._id,
+        data
+      });
+      continue;
+    }
+
+    rows.push({ row: record.row, status: 'pending', data });
+  }
+
+  return rows;
+};
+
+// Create the pending rows of a previewed batch through the shared writer, so
+// they get the checks and history of any new transaction. Duplicates are
+// checked again because transactions may have been added since the preview
+// was made.
+const commitBatch = async (batch, { baseCurrency, actor }) => {
+  const ctx = {
+    organizationId: batch.organizationId,
+    userId: batch.userId,
+    baseCurrency,
+    actor: { ...actor, source: 'import' }
+  };
+
+  for (const row of batch.rows) {
+    if (row.status !== 'pending') continue;
+
+    const data = row.data.toObject ? row.data.toObject() : row.data;
+    const duplicate = await findDuplicate(batch.organizationId, data);
+    if (duplicate) {
+      row.status = 'skipped';
+      row.reason = duplicate.reason;
+      row.duplicateOf = duplicate.transaction._id;
+      continue;
+    }
+
+    try {
+      const { notes, externalId, ...body } = data;
+      const transaction = await createTransactionRecord(ctx, body, {
+        fields: { notes, externalId, importBatchId: batch._id }
+      });
+      row.status = 'created';
+      row.transactionId = transaction._id;
+    } catch (error) {
+      row.status = 'rejected';
+      row.reason = error.message;
+    }
+  }
+
+  batch.status = 'committed';
+  batch.committedAt = new Date();
+  batch.expiresAt = undefined;
+  await batch.save();
+
+  return batch;
+};
+
+const summarize = (rows) => rows.reduce((acc, row) => {
+  acc[row.status] = (acc[row.status] || 0) + 1;
+  return acc;
+}, { total: rows.length, pending: 0, created: 0, skipped: 0, rejected: 0 });
+
+module.exports = {
+  PAYMENT_METHODS,
+  similarity,
+  buildPreviewRows,
+  commitBatch,
+  summarize
+};
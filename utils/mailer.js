@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+// Mail is sent through a transport. A transport is a factory returning
+// { send(message) } where message is { from, to, subject, text }. 'console'
+// prints messages and 'file' writes each one as JSON to MAIL_DIR, for local
+// development and tests; 'smtp' delivers them. Register others with
+// registerTransport and select them with MAIL_TRANSPORT, which production
+// must set: the console default is for development only.
+
+const DEFAULT_TRANSPORT = 'console';
+
+const factories = {};
+const instances = {};
+
+const registerTransport = (name, factory) => {
+  factories[name] = factory;
+  delete instances[name];
+};
+
+registerTransport('console', () => ({
+  send: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  }
+}));
+
+registerTransport('file', () => {
+  const dir = path.resolve(process.env.MAIL_DIR || path.join(__dirname, '..', 'mail'));
+
+  return {
+    send: async (message) => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${crypto.randomUUID()}.json`);
+      await fs.promises.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+    }
+  };
+});
+
+registerTransport('smtp', () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined
+  });
+
+  return {
+    send: (message) => transporter.sendMail(message)
+  };
+});
+
+const getTransportName = () => {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('MAIL_TRANSPORT must be set in production');
+  }
+  return DEFAULT_TRANSPORT;
+};
+
+// The transport called `name`, the configured one by default
+const getTransport = (name = getTransportName()) => {
+  if (!instances[name]) {
+    if (!factories[name]) throw new Error(`Unknown mail transport "${name}"`);
+    instances[name] = { name, ...factories[name]() };
+  }
+  return instances[name];
+};
+
+const sendMail = ({ to, subject, text }) => getTransport().send({
+  from: process.env.MAIL_FROM || 'no-reply@localhost',
+  to,
+  subject,
+  text
+});
+
+module.exports = {
+  registerTransport,
+  getTransport,
+  sendMail
+};
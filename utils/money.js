@@ -0,0 +1,9 @@
+// Amounts are compared and reported to the cent
+const TOLERANCE = 0.005;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+module.exports = {
+  TOLERANCE,
+  round
+};
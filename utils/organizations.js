@@ -0,0 +1,48 @@
+const Organization = require('../models/Organization');
+const Transaction = require('../models/Transaction');
+const Budget = require('../models/Budget');
+const ImportBatch = require('../models/ImportBatch');
+
+// Records created before organizations existed only carry a userId
+const migrateUserData = async (userId, organizationId) => {
+  const unassigned = { userId, organizationId: { $exists: false } };
+  const update = { $set: { organizationId } };
+
+  const [transactions, budgets] = await Promise.all([
+    Transaction.updateMany(unassigned, update),
+    Budget.updateMany(unassigned, update),
+    ImportBatch.updateMany(unassigned, update)
+  ]);
+
+  return { transactions: transactions.modifiedCount, budgets: budgets.modifiedCount };
+};
+
+// Find or create the user's personal organization, moving any of their
+// pre-organization data into it the first time it is created
+const ensurePersonalOrganization = async (user) => {
+  const existing = await Organization.findOne({ createdBy: user._id, isPersonal: true });
+  if (existing) return existing;
+
+  try {
+    const organization = await Organization.create({
+      name: `${user.username}'s books`,
+      isPersonal: true,
+      createdBy: user._id,
+      members: [{ userId: user._id, role: 'admin' }]
+    });
+
+    await migrateUserData(user._id, organization._id);
+    return organization;
+  } catch (error) {
+    // A concurrent request created it first
+    if (error.code === 11000) {
+      return Organization.findOne({ createdBy: user._id, isPersonal: true });
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  migrateUserData,
+  ensurePersonalOrganization
+};
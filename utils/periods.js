@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const Period = require('../models/Period');
+const Transaction = require('../models/Transaction');
+const { conversionStages } = require('./currency');
+const { getFiscalYearRange } = require('./receipts');
+const { ensureCategoriesMigrated } = require('./categories');
+const { isSplit, splitLineStages, countTransactions } = require('./splits');
+const { validationError } = require('./errors');
+const { TOLERANCE, round } = require('./money');
+
+const FINGERPRINT_FIELDS = ['date', 'amount', 'currency', 'type', 'categoryId', 'fundId', 'grantId'];
+
+const dayKey = (date) => date.toISOString().slice(0, 10);
+
+const lockedError = (period, date) => validationError(
+  'date',
+  `${dayKey(date)} is in closed period ${period.label}; an admin must reopen the period before its transactions can change`
+);
+
+// Closed period overlapping [from, to], if any
+const findClosedPeriod = (organizationId, from, to = from, session) => Period.findOne({
+  organizationId,
+  status: 'closed',
+  startDate: { $lte: to },
+  endDate: { $gt: from }
+}).session(session || null);
+
+// Reject a write that touches a transaction dated in a closed period
+const assertPeriodsOpen = async (organizationId, dates, { session } = {}) => {
+  for (const date of dates.filter(Boolean)) {
+    const period = await findClosedPeriod(organizationId, date, date, session);
+    if (period) throw lockedError(period, date);
+  }
+};
+
+// Label and window of a month (YYYY-MM) or a fiscal year. `end` is exclusive.
+const getPeriodRange = (kind, value, fiscalYearStartMonth) => {
+  if (kind === 'month') {
+    const [year, month] = value.split('-').map(Number);
+    return { label: value, start: new Date(year, month - 1, 1), end: new Date(year, month, 1) };
+  }
+
+  const { start, end } = getFiscalYearRange(Number(value), fiscalYearStartMonth);
+  return { label: `FY${value}`, start, end };
+};
+
+// Hash of the figures of every transaction in the window, in _id order
+const fingerprint = async (organizationId, { start, end }) => {
+  const hash = crypto.createHash('sha256');
+  const cursor = Transaction.find({ organizationId, date: { $gte: start, $lt: end } })
+    .sort({ _id: 1 })
+    .select([...FINGERPRINT_FIELDS, 'splits'].join(' '))
+    .lean()
+    .cursor();
+
+  // Split lines are only hashed when present, so unsplit transactions hash
+  // as they did before splits existed
+  for await (const transaction of cursor) {
+    const values = FINGERPRINT_FIELDS.map(field => transaction[field] ?? null);
+    if (isSplit(transaction)) values.push(transaction.splits.map(line => [line.categoryId, line.amount]));
+    hash.update(JSON.stringify([String(transaction._id), ...values]));
+    hash.update('\n');
+  }
+
+  return hash.digest('hex');
+};
+
+// Current totals of the transactions dated in [start, end). Split
+// transactions count once in the totals and per line in the categories.
+const takeSnapshot = async (organizationId, baseCurrency, { start, end }) => {
+  await ensureCategoriesMigrated(organizationId);
+
+  const rows = await Transaction.aggregate([
+    { $match: { organizationId, date: { $gte: start, $lt: end } } },
+    ...splitLineStages(),
+    ...conversionStages(organizationId, baseCurrency),
+    {
+      $group: {
+        _id: { type: '$type', currency: '$currency', categoryId: '$categoryId' },
+        category: { $first: '$category' },
+        total: { $sum: '$baseAmount' },
+        originalTotal: { $sum: '$amount' },
+        count: countTransactions,
+        lineCount: { $sum: 1 },
+        unconvertedCount: { $sum: { $cond: [{ $and: [{ $eq: ['$rate', null] }, { $eq: ['$lineIndex', 0] }] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  const totals = { Income: 0, Expense: 0 };
+  const byCurrency = new Map();
+  const byCategory = new Map();
+  let count = 0;
+  let unconvertedCount = 0;
+
+  for (const row of rows) {
+    const { type, currency, categoryId } = row._id;
+    totals[type] += row.total;
+    count += row.count;
+    unconvertedCount += row.unconvertedCount;
+
+    const currencyKey = `${currency}|${type}`;
+    const currencyEntry = byCurrency.get(currencyKey) || { currency, type, total: 0, count: 0 };
+    currencyEntry.total += row.originalTotal;
+    currencyEntry.count += row.count;
+    byCurrency.set(currencyKey, currencyEntry);
+
+    const categoryKey = `${categoryId}|${type}`;
+    const categoryEntry = byCategory.get(categoryKey) || { categoryId, category: row.category, type, total: 0, count: 0 };
+    categoryEntry.total += row.total;
+    categoryEntry.count += row.lineCount;
+    byCategory.set(categoryKey, categoryEntry);
+  }
+
+  const roundTotals = (entry) => ({ ...entry, total: round(entry.total) });
+
+  return {
+    takenAt: new Date(),
+    baseCurrency,
+    count,
+    income: round(totals.Income),
+    expense: round(totals.Expense),
+    net: round(totals.Income - totals.Expense),
+    unconvertedCount,
+    byCurrency: [...byCurrency.values()].map(roundTotals),
+    byCategory: [...byCategory.values()].map(roundTotals).sort((a, b) => a.category.localeCompare(b.category)),
+    fingerprint: await fingerprint(organizationId, { start, end })
+  };
+};
+
+// Differences between two lists of totals matched by `keyOf`
+const compareEntries = (scope, before, after, keyOf, labelOf) => {
+  const differences = [];
+  const previous = new Map(before.map(entry => [keyOf(entry), entry]));
+  const current = new Map(after.map(entry => [keyOf(entry), entry]));
+
+  for (const key of new Set([...previous.keys(), ...current.keys()])) {
+    const then = previous.get(key) || { total: 0, count: 0 };
+    const now = current.get(key) || { total: 0, count: 0 };
+    if (Math.abs(now.total - then.total) > TOLERANCE || now.count !== then.count) {
+      differences.push({
+        scope,
+        key: labelOf(previous.get(key) || now),
+        snapshot: { total: then.total, count: then.count },
+        current: { total: now.total, count: now.count },
+        difference: round(now.total - then.total)
+      });
+    }
+  }
+
+  return differences;
+};
+
+// Changes to a closed period since its snapshot was taken
+const detectDrift = async (period) => {
+  const { snapshot } = period;
+  const current = await takeSnapshot(period.organizationId, snapshot.baseCurrency, { start: period.startDate, end: period.endDate });
+
+  const differences = [];
+  for (const field of ['count', 'income', 'expense']) {
+    if (Math.abs(current[field] - snapshot[field]) > TOLERANCE) {
+      differences.push({
+        scope: 'total',
+        key: field,
+        snapshot: snapshot[field],
+        current: current[field],
+        difference: round(current[field] - snapshot[field])
+      });
+    }
+  }
+  differences.push(
+    ...compareEntries('currency', snapshot.byCurrency, current.byCurrency,
+      entry => `${entry.currency}|${entry.type}`, entry => `${entry.currency} ${entry.type}`),
+    ...compareEntries('category', snapshot.byCategory, current.byCategory,
+      entry => `${entry.categoryId}|${entry.type}`, entry => `${entry.category} (${entry.type})`)
+  );
+
+  const edited = current.fingerprint !== snapshot.fingerprint;
+  if (edited && !differences.length) {
+    differences.push({ scope: 'transactions', key: 'fingerprint', message: 'Transactions were changed without changing the totals' });
+  }
+
+  return {
+    drifted: edited || differences.length > 0,
+    checkedAt: current.takenAt,
+    current: { count: current.count, income: current.income, expense: current.expense, net: current.net },
+    differences
+  };
+};
+
+module.exports = {
+  findClosedPeriod,
+  assertPeriodsOpen,
+  getPeriodRange,
+  takeSnapshot,
+  detectDrift
+};
@@ -0,0 +1,215 @@
+const PDFDocument = require('pdfkit');
+
+// Template text used when the organization has not set its own. Every field
+// may contain {{placeholders}} from templateValues().
+const DEFAULT_TEMPLATE = {
+  title: 'Donation Receipt',
+  body: 'Thank you, {{donorName}}, for your support of {{organizationName}}. '
+    + 'This receipt confirms the donations listed below, totalling {{total}}.',
+  footer: 'No goods or services were provided in exchange for these donations.',
+  signatory: ''
+};
+
+const formatDate = (date) => (date ? date.toISOString().slice(0, 10) : '');
+
+const formatMoney = (amount, currency) => {
+  try {
+    return new Intl.NumberFormat('en', { style: 'currency', currency }).format(amount);
+  } catch {
+    return `${amount.toFixed(2)} ${currency}`;
+  }
+};
+
+const getTemplate = (settings = {}) => Object.fromEntries(
+  Object.entries(DEFAULT_TEMPLATE).map(([key, value]) => [key, settings[key] || value])
+);
+
+const templateValues = (receipt) => ({
+  receiptNumber: receipt.receiptNumber,
+  issueDate: formatDate(receipt.issuedAt),
+  fiscalYear: String(receipt.fiscalYear),
+  periodStart: formatDate(receipt.periodStart),
+  // periodEnd is exclusive; show the last day
+  periodEnd: receipt.periodEnd ? formatDate(new Date(receipt.periodEnd.getTime() - 24 * 60 * 60 * 1000)) : '',
+  donorName: receipt.donor.name,
+  donorTaxId: receipt.donor.taxId || '',
+  organizationName: receipt.organization.legalName || receipt.organization.name,
+  registrationNumber: receipt.organization.registrationNumber || '',
+  total: receipt.totals.map(total => formatMoney(total.amount, total.currency)).join(' + ')
+});
+
+const fill = (text, values) => text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => values[key] ?? '');
+
+const escapeHTML = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const donorAddressLines = (donor) => {
+  const { street, city, postalCode, country } = donor.address || {};
+  return [street, [postalCode, city].filter(Boolean).join(' '), country].filter(Boolean);
+};
+
+const organizationLines = (organization) => [
+  organization.address,
+  organization.registrationNumber && `Registration no. ${organization.registrationNumber}`,
+  [organization.email, organization.phone, organization.website].filter(Boolean).join(' · ')
+].filter(Boolean);
+
+// Printable, self-contained HTML page
+const renderReceiptHTML = (receipt, settings) => {
+  const template = getTemplate(settings);
+  const values = Object.fromEntries(Object.entries(templateValues(receipt)).map(([key, value]) => [key, escapeHTML(value)]));
+  const text = (field) => fill(escapeHTML(template[field]), values)
+    .split(/\n{2,}/)
+    .map(paragraph => `<p>${paragraph.replace(/\n/g, '<br>')}</p>`)
+    .join('\n');
+
+  const rows = receipt.lines.map(line => `
+        <tr>
+          <td>${formatDate(line.date)}</td>
+          <td>${escapeHTML(line.description)}</td>
+          <td class="amount">${escapeHTML(formatMoney(line.amount, line.currency))}</td>
+        </tr>`).join('');
+
+  const totals = receipt.totals.map(total => `
+        <tr class="total">
+          <td colspan="2">Total (${escapeHTML(total.currency)})</td>
+          <td class="amount">${escapeHTML(formatMoney(total.amount, total.currency))}</td>
+        </tr>`).join('');
+
+  const isVoid = receipt.status === 'void';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHTML(template.title)} ${values.receiptNumber}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 720px; margin: 40px auto; padding: 0 24px; position: relative; }
+    header { display: flex; justify-content: space-between; border-bottom: 2px solid #222; padding-bottom: 12px; }
+    h1 { font-size: 22px; margin: 0 0 4px; }
+    .muted { color: #666; font-size: 13px; }
+    table { width: 100%; border-collapse: collapse; margin: 24px 0; }
+    th, td { text-align: left; padding: 6px 4px; border-bottom: 1px solid #ddd; }
+    .amount { text-align: right; white-space: nowrap; }
+    .total td { font-weight: bold; border-bottom: none; }
+    .void { position: fixed; top: 40%; left: 0; right: 0; text-align: center; font-size: 120px; color: rgba(200, 0, 0, 0.2); transform: rotate(-30deg); pointer-events: none; }
+    footer { margin-top: 32px; font-size: 13px; color: #444; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  ${isVoid ? `<div class="void">VOID</div>
+  <p><strong>This receipt was voided on ${formatDate(receipt.voidedAt)}: ${escapeHTML(receipt.voidReason)}</strong></p>` : ''}
+  <header>
+    <div>
+      <h1>${escapeHTML(receipt.organization.legalName || receipt.organization.name)}</h1>
+      ${organizationLines(receipt.organization).map(line => `<div class="muted">${escapeHTML(line)}</div>`).join('\n      ')}
+    </div>
+    <div class="amount">
+      <h1>${escapeHTML(template.title)}</h1>
+      <div>No. ${values.receiptNumber}</div>
+      <div class="muted">Issued ${values.issueDate}</div>
+      ${receipt.kind === 'annual' ? `<div class="muted">Fiscal year ${values.fiscalYear}: ${values.periodStart} to ${values.periodEnd}</div>` : ''}
+    </div>
+  </header>
+  <section>
+    <h2>${escapeHTML(receipt.donor.name)}</h2>
+    ${receipt.donor.contactName ? `<div class="muted">Attn. ${escapeHTML(receipt.donor.contactName)}</div>` : ''}
+    ${donorAddressLines(receipt.donor).map(line => `<div class="muted">${escapeHTML(line)}</div>`).join('\n    ')}
+    ${receipt.donor.taxId ? `<div class="muted">Tax ID ${escapeHTML(receipt.donor.taxId)}</div>` : ''}
+  </section>
+  ${text('body')}
+  <table>
+    <thead>
+      <tr><th>Date</th><th>Description</th><th class="amount">Amount</th></tr>
+    </thead>
+    <tbody>${rows}${totals}
+    </tbody>
+  </table>
+  ${template.signatory ? `<p>${fill(escapeHTML(template.signatory), values)}</p>` : ''}
+  <footer>${text('footer')}</footer>
+</body>
+</html>
+`;
+};
+
+// PDF with the same content, written to `stream`
+const renderReceiptPDF = (receipt, settings, stream) => {
+  const template = getTemplate(settings);
+  const values = templateValues(receipt);
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `${template.title} ${receipt.receiptNumber}` } });
+  doc.pipe(stream);
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+
+  if (receipt.status === 'void') {
+    doc.save()
+      .rotate(-30, { origin: [doc.page.width / 2, doc.page.height / 2] })
+      .fontSize(120).fillColor('#c00000').fillOpacity(0.2)
+      .text('VOID', 0, doc.page.height / 2 - 60, { width: doc.page.width, align: 'center' })
+      .restore();
+    doc.fillOpacity(1).fillColor('#000');
+  }
+
+  doc.fontSize(16).font('Helvetica-Bold')
+    .text(receipt.organization.legalName || receipt.organization.name, left, 50);
+  doc.fontSize(9).font('Helvetica').fillColor('#555');
+  organizationLines(receipt.organization).forEach(line => doc.text(line));
+
+  doc.fillColor('#000').fontSize(16).font('Helvetica-Bold')
+    .text(template.title, left, 50, { width, align: 'right' });
+  doc.fontSize(10).font('Helvetica')
+    .text(`No. ${values.receiptNumber}`, { width, align: 'right' })
+    .text(`Issued ${values.issueDate}`, { width, align: 'right' });
+  if (receipt.kind === 'annual') {
+    doc.text(`Fiscal year ${values.fiscalYear}: ${values.periodStart} to ${values.periodEnd}`, { width, align: 'right' });
+  }
+
+  doc.moveDown(2).fontSize(12).font('Helvetica-Bold').text(receipt.donor.name, left);
+  doc.fontSize(10).font('Helvetica');
+  if (receipt.donor.contactName) doc.text(`Attn. ${receipt.donor.contactName}`);
+  donorAddressLines(receipt.donor).forEach(line => doc.text(line));
+  if (receipt.donor.taxId) doc.text(`Tax ID ${receipt.donor.taxId}`);
+
+  if (receipt.status === 'void') {
+    doc.moveDown().font('Helvetica-Bold')
+      .text(`This receipt was voided on ${formatDate(receipt.voidedAt)}: ${receipt.voidReason}`)
+      .font('Helvetica');
+  }
+
+  doc.moveDown().fontSize(10).text(fill(template.body, values), left, doc.y, { width });
+
+  // Donation table
+  const amountWidth = 110;
+  const dateWidth = 80;
+  const row = (date, description, amount, bold) => {
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+    doc.text(date, left, y, { width: dateWidth });
+    doc.text(description, left + dateWidth, y, { width: width - dateWidth - amountWidth });
+    const bottom = doc.y;
+    doc.text(amount, left + width - amountWidth, y, { width: amountWidth, align: 'right' });
+    doc.y = Math.max(bottom, doc.y) + 4;
+  };
+
+  doc.moveDown();
+  row('Date', 'Description', 'Amount', true);
+  receipt.lines.forEach(line => row(formatDate(line.date), line.description, formatMoney(line.amount, line.currency)));
+  receipt.totals.forEach(total => row('', `Total (${total.currency})`, formatMoney(total.amount, total.currency), true));
+
+  doc.font('Helvetica');
+  if (template.signatory) doc.moveDown(2).text(fill(template.signatory, values), left, doc.y, { width });
+  doc.moveDown(2).fontSize(9).fillColor('#444').text(fill(template.footer, values), left, doc.y, { width });
+
+  doc.end();
+};
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  renderReceiptHTML,
+  renderReceiptPDF
+};
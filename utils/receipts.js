@@ -0,0 +1,126 @@
+const Receipt = require('../models/Receipt');
+const Transaction = require('../models/Transaction');
+const { round } = require('./money');
+
+const MAX_NUMBER_ATTEMPTS = 5;
+
+// Fiscal years are named after the calendar year they end in, so with a July
+// start, July 2025 - June 2026 is fiscal year 2026
+const getFiscalYear = (date, startMonth = 1) => {
+  const year = date.getFullYear();
+  return startMonth > 1 && date.getMonth() + 1 >= startMonth ? year + 1 : year;
+};
+
+// Calendar window of a fiscal year. `end` is exclusive.
+const getFiscalYearRange = (fiscalYear, startMonth = 1) => {
+  const startYear = startMonth > 1 ? fiscalYear - 1 : fiscalYear;
+  return {
+    start: new Date(startYear, startMonth - 1, 1),
+    end: new Date(startYear + 1, startMonth - 1, 1)
+  };
+};
+
+const formatReceiptNumber = (prefix, fiscalYear, number) =>
+  `${prefix || ''}${fiscalYear}-${String(number).padStart(5, '0')}`;
+
+// Totals per currency of the receipt lines
+const sumByCurrency = (lines) => Object.values(lines.reduce((acc, line) => {
+  if (!acc[line.currency]) acc[line.currency] = { currency: line.currency, amount: 0 };
+  acc[line.currency].amount = round(acc[line.currency].amount + line.amount);
+  return acc;
+}, {}));
+
+const toLine = (transaction, baseCurrency) => ({
+  transactionId: transaction._id,
+  date: transaction.date,
+  description: transaction.description,
+  amount: transaction.amount,
+  currency: transaction.currency || baseCurrency
+});
+
+// Donations of a donor in a date range that are not on an issued receipt yet
+const findUnreceiptedDonations = async (organizationId, donorId, { start, end }) => {
+  const donations = await Transaction.find({
+    organizationId,
+    donorId,
+    type: 'Income',
+    date: { $gte: start, $lt: end }
+  }).sort({ date: 1 });
+
+  const receipted = await Receipt.distinct('lines.transactionId', {
+    organizationId,
+    status: 'issued',
+    'lines.transactionId': { $in: donations.map(donation => donation._id) }
+  });
+  const receiptedIds = new Set(receipted.map(id => id.toString()));
+
+  return donations.filter(donation => !receiptedIds.has(donation._id.toString()));
+};
+
+// Issue a receipt under the next number of its fiscal year. The number is
+// taken from the last receipt and claimed by the unique index, so a number
+// only exists once its receipt is saved and the sequence has no gaps.
+// Throws with code 'ALREADY_RECEIPTED' when a donation is on another issued receipt.
+const issueReceipt = async ({ organization, donor, kind, transactions, fiscalYear, period, userId }) => {
+  const lines = transactions.map(transaction => toLine(transaction, organization.baseCurrency));
+  const details = organization.details || {};
+
+  for (let attempt = 0; attempt < MAX_NUMBER_ATTEMPTS; attempt++) {
+    const last = await Receipt.findOne({ organizationId: organization._id, fiscalYear })
+      .sort({ number: -1 })
+      .select('number');
+    const number = last ? last.number + 1 : 1;
+
+    try {
+      return await Receipt.create({
+        organizationId: organization._id,
+        fiscalYear,
+        number,
+        receiptNumber: formatReceiptNumber(organization.receiptSettings?.prefix, fiscalYear, number),
+        kind,
+        donorId: donor._id,
+        donor: {
+          name: donor.name,
+          type: donor.type,
+          contactName: donor.contactName,
+          email: donor.email,
+          address: donor.address,
+          taxId: donor.taxId
+        },
+        organization: {
+          name: organization.name,
+          legalName: details.legalName,
+          registrationNumber: details.registrationNumber,
+          address: details.address,
+          email: details.email,
+          phone: details.phone,
+          website: details.website
+        },
+        lines,
+        totals: sumByCurrency(lines),
+        periodStart: period?.start,
+        periodEnd: period?.end,
+        issuedBy: userId
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      if (error.keyPattern && error.keyPattern['lines.transactionId']) {
+        const alreadyReceipted = new Error('A donation on this receipt already has an issued receipt');
+        alreadyReceipted.code = 'ALREADY_RECEIPTED';
+        throw alreadyReceipted;
+      }
+      // Another receipt took this number first; try the next one
+    }
+  }
+
+  throw new Error('Could not allocate a receipt number, please retry');
+};
+
+module.exports = {
+  getFiscalYear,
+  getFiscalYearRange,
+  formatReceiptNumber,
+  findUnreceiptedDonations,
+  issueReceipt
+};
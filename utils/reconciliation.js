@@ -0,0 +1,65 @@
+const Transaction = require('../models/Transaction');
+const { validationError } = require('./errors');
+const { TOLERANCE, round } = require('./money');
+
+// Income adds to the account, expenses take from it
+const signedAmount = { $cond: [{ $eq: ['$type', 'Income'] }, '$amount', { $multiply: ['$amount', -1] }] };
+
+const sumSigned = async (filter) => {
+  const [row] = await Transaction.aggregate([
+    { $match: filter },
+    { $group: { _id: null, total: { $sum: signedAmount }, count: { $sum: 1 } } }
+  ]);
+  return { total: row ? round(row.total) : 0, count: row ? row.count : 0 };
+};
+
+// Reconciled transactions stay as they were reconciled
+const assertNotReconciled = (transaction) => {
+  if (transaction.clearedStatus !== 'reconciled') return;
+  throw validationError('clearedStatus', 'Transaction is reconciled; un-reconcile it before changing it');
+};
+
+// Balances of a session in the account's currency. The opening balance is
+// the account's opening balance plus every reconciled transaction, so it
+// follows un-reconciliations; finalized sessions keep the figures they had.
+const summarizeSession = async (session, account) => {
+  let { openingBalance, clearedTotal, clearedCount } = session;
+
+  if (session.status === 'in_progress') {
+    const base = { organizationId: session.organizationId, accountId: account._id };
+    const reconciled = await sumSigned({ ...base, clearedStatus: 'reconciled' });
+    const cleared = await sumSigned({ ...base, clearedStatus: 'cleared', reconciliationId: session._id });
+    openingBalance = round(account.openingBalance + reconciled.total);
+    clearedTotal = cleared.total;
+    clearedCount = cleared.count;
+  }
+
+  const clearedBalance = round(openingBalance + clearedTotal);
+  const difference = round(session.endingBalance - clearedBalance);
+
+  return {
+    currency: account.currency,
+    openingBalance,
+    clearedTotal,
+    clearedCount,
+    clearedBalance,
+    endingBalance: session.endingBalance,
+    difference,
+    balanced: Math.abs(difference) < TOLERANCE
+  };
+};
+
+// Why a transaction cannot be ticked off in a session, if it cannot
+const clearProblem = (transaction, session, account, baseCurrency) => {
+  if (!transaction.accountId || !transaction.accountId.equals(account._id)) return 'Not recorded against this account';
+  if (transaction.clearedStatus !== 'uncleared') return `Already ${transaction.clearedStatus}`;
+  if (transaction.date > session.statementEndDate) return 'Dated after the statement end date';
+  if ((transaction.currency || baseCurrency) !== account.currency) return `Not in the account currency (${account.currency})`;
+  return null;
+};
+
+module.exports = {
+  assertNotReconciled,
+  summarizeSession,
+  clearProblem
+};
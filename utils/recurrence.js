@@ -0,0 +1,51 @@
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+// Advance a date by one recurrence interval. For monthly and yearly schedules
+// the day is clamped to the end of shorter months and snaps back to
+// `anchorDay` afterwards, so a schedule starting on the 31st stays on month end.
+const addInterval = (date, frequency, anchorDay = date.getDate()) => {
+  const next = new Date(date);
+
+  switch (frequency) {
+    case 'daily':
+      next.setDate(next.getDate() + 1);
+      break;
+    case 'weekly':
+      next.setDate(next.getDate() + 7);
+      break;
+    case 'monthly':
+    case 'yearly': {
+      const year = next.getFullYear() + (frequency === 'yearly' ? 1 : 0);
+      const month = next.getMonth() + (frequency === 'monthly' ? 1 : 0);
+      next.setDate(1);
+      next.setFullYear(year, month);
+      next.setDate(Math.min(anchorDay, daysInMonth(next.getFullYear(), next.getMonth())));
+      break;
+    }
+    default:
+      throw new Error(`Unknown recurrence frequency: ${frequency}`);
+  }
+
+  return next;
+};
+
+// List the due dates of a schedule from `from` up to and including `until`
+const listOccurrences = (from, frequency, until, anchorDay = from.getDate()) => {
+  const dates = [];
+  let current = new Date(from);
+
+  while (current <= until) {
+    dates.push(current);
+    current = addInterval(current, frequency, anchorDay);
+  }
+
+  return dates;
+};
+
+module.exports = {
+  FREQUENCIES,
+  addInterval,
+  listOccurrences
+};
@@ -0,0 +1,142 @@
+const Transaction = require('../models/Transaction');
+const Organization = require('../models/Organization');
+const { addInterval } = require('./recurrence');
+const { DEFAULT_CURRENCY } = require('./currency');
+const { createTransactionRecord } = require('./transactionWriter');
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+// Copy the template fields that every occurrence inherits, as a body for the
+// shared writer so occurrences pass the same checks as any other transaction
+const buildOccurrence = (template, dueDate) => ({
+  date: dueDate,
+  description: template.description,
+  amount: template.amount,
+  currency: template.currency,
+  category: template.category,
+  splits: template.splits && template.splits.map(line => line.toObject()),
+  type: template.type,
+  donorId: template.donorId,
+  fundId: template.fundId,
+  grantId: template.grantId,
+  accountId: template.accountId,
+  tags: template.tags,
+  paymentMethod: template.paymentMethod
+});
+
+// Create every occurrence of a template that is due by `now`, advancing
+// nextDueDate after each one. Progress is saved per occurrence and the unique
+// (recurringParentId, occurrenceDate) index rejects repeats, so a run that is
+// interrupted or overlaps another one never duplicates an occurrence. An
+// occurrence the writer refuses (closed period, overdrawn restricted fund,
+// closed grant...) is skipped so the template keeps going.
+const generateOccurrences = async (template, now = new Date()) => {
+  const { frequency, endDate } = template.recurringDetails;
+  const anchorDay = template.date.getDate();
+  const until = endDate && endDate < now ? endDate : now;
+
+  const organization = await Organization.findById(template.organizationId).select('baseCurrency');
+  const ctx = {
+    organizationId: template.organizationId,
+    userId: template.userId,
+    baseCurrency: (organization && organization.baseCurrency) || DEFAULT_CURRENCY,
+    actor: { source: 'recurring' }
+  };
+
+  let dueDate = template.recurringDetails.nextDueDate;
+  let created = 0;
+
+  while (dueDate <= until) {
+    try {
+      await createTransactionRecord(ctx, buildOccurrence(template, dueDate), {
+        fields: { recurringParentId: template._id, occurrenceDate: dueDate, notes: template.notes }
+      });
+      created++;
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        console.warn(`Recurring transaction ${template._id} skipped ${dueDate.toISOString().slice(0, 10)}: ${error.message}`);
+      } else if (error.code !== 11000) {
+        // Anything but a duplicate key (already generated) is unexpected
+        throw error;
+      }
+    }
+
+    dueDate = addInterval(dueDate, frequency, anchorDay);
+    await Transaction.updateOne(
+      { _id: template._id },
+      { $set: { 'recurringDetails.nextDueDate': dueDate } }
+    );
+  }
+
+  template.recurringDetails.nextDueDate = dueDate;
+
+  if (endDate && dueDate > endDate) {
+    template.recurringDetails.status = 'completed';
+    await Transaction.updateOne(
+      { _id: template._id },
+      { $set: { 'recurringDetails.status': 'completed' } }
+    );
+  }
+
+  return created;
+};
+
+// Process all active templates with a due date up to `now`
+const processDueRecurring = async (now = new Date()) => {
+  const templates = await Transaction.find({
+    isRecurring: true,
+    'recurringDetails.status': 'active',
+    'recurringDetails.nextDueDate': { $lte: now }
+  });
+
+  let created = 0;
+  for (const template of templates) {
+    try {
+      created += await generateOccurrences(template, now);
+    } catch (error) {
+      console.error(`Recurring transaction ${template._id} error:`, error);
+    }
+  }
+
+  return created;
+};
+
+const runOnce = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    const created = await processDueRecurring();
+    if (created > 0) {
+      console.log(`🔁 Generated ${created} recurring transaction(s)`);
+    }
+  } catch (error) {
+    console.error('Recurring scheduler error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+// Run a catch-up pass immediately, then poll on an interval
+const startRecurringScheduler = (intervalMs = Number(process.env.RECURRING_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+  if (timer) return;
+
+  runOnce();
+  timer = setInterval(runOnce, intervalMs);
+  timer.unref();
+};
+
+const stopRecurringScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  generateOccurrences,
+  processDueRecurring,
+  startRecurringScheduler,
+  stopRecurringScheduler
+};
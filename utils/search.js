@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Fields the transaction list can be sorted by. `relevance` orders text
+// search results by score and needs a `search` term.
+const SORTABLE_FIELDS = ['date', 'amount', 'description', 'category', 'type', 'paymentMethod', 'createdAt', 'updatedAt'];
+const DATE_FIELDS = ['date', 'createdAt', 'updatedAt'];
+
+// Query parameters a saved search can store. Paging is left to each run.
+const SEARCH_PARAMS = [
+  'search', 'startDate', 'endDate', 'category', 'type', 'tags', 'paymentMethod', 'isRecurring',
+  'amountMin', 'amountMax', 'description', 'donorId', 'fundId', 'grantId', 'accountId',
+  'clearedStatus', 'missingReceipt',
+  'sortBy', 'sortOrder', 'limit'
+];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Multi-value parameters may be repeated (?type=a&type=b) or comma separated
+const toList = (value) => [].concat(value ?? [])
+  .flatMap(item => String(item).split(','))
+  .map(item => item.trim())
+  .filter(Boolean);
+
+// Saved queries hold strings and string lists only, like a parsed query string
+const normalizeSearchQuery = (query) => {
+  if (!query || typeof query !== 'object' || Array.isArray(query)) return query;
+  return Object.fromEntries(Object.entries(query).map(([key, value]) => [
+    key,
+    Array.isArray(value) ? value.map(String) : String(value)
+  ]));
+};
+
+// Keyset cursors hold the sort value and _id of the last row of a page
+const encodeCursor = (doc, sortBy) => Buffer
+  .from(JSON.stringify({ v: doc[sortBy] ?? null, id: doc._id }))
+  .toString('base64url');
+
+// Returns null when the cursor is malformed
+const decodeCursor = (cursor, sortBy = 'date') => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!mongoose.isValidObjectId(id)) return null;
+    if (DATE_FIELDS.includes(sortBy) && (v === null || isNaN(new Date(v)))) return null;
+
+    return {
+      value: DATE_FIELDS.includes(sortBy) ? new Date(v) : v,
+      id: new mongoose.Types.ObjectId(id)
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Condition selecting the rows after the cursor in (sortBy, _id) order
+const cursorCondition = ({ value, id }, sortBy, sortOrder) => {
+  const op = sortOrder === 'desc' ? '$lt' : '$gt';
+  return {
+    $or: [
+      { [sortBy]: { [op]: value } },
+      { [sortBy]: value, _id: { [op]: id } }
+    ]
+  };
+};
+
+module.exports = {
+  SORTABLE_FIELDS,
+  SEARCH_PARAMS,
+  escapeRegex,
+  toList,
+  normalizeSearchQuery,
+  encodeCursor,
+  decodeCursor,
+  cursorCondition
+};
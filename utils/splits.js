@@ -0,0 +1,60 @@
+const { TOLERANCE, round } = require('./money');
+
+const isSplit = (transaction) => Boolean(transaction.splits && transaction.splits.length);
+
+const splitTotal = (splits) => round(splits.reduce((sum, line) => sum + line.amount, 0));
+
+// Lines must add up to the parent amount, to the cent
+const splitsMatchAmount = (splits, amount) => Math.abs(splitTotal(splits) - amount) < TOLERANCE;
+
+// The line a split transaction is filed under: the largest, first on ties
+const primaryLine = (splits) => splits.reduce((largest, line) => (line.amount > largest.amount ? line : largest));
+
+// Amount per category name of a transaction, from its lines when it is split
+const amountsByCategory = (transaction) => {
+  const lines = isSplit(transaction) ? transaction.splits : [transaction];
+  return lines.reduce((acc, line) => {
+    acc[line.category] = (acc[line.category] || 0) + line.amount;
+    return acc;
+  }, {});
+};
+
+// Aggregation stages that turn every transaction into one document per split
+// line carrying the line's category, categoryId and amount. Unsplit
+// transactions pass through as their own single line. `lineIndex` is 0 on
+// the first line, for counting transactions rather than lines.
+const splitLineStages = () => [
+  {
+    $addFields: {
+      lines: {
+        $cond: [
+          { $gt: [{ $size: { $ifNull: ['$splits', []] } }, 0] },
+          '$splits',
+          [{ category: '$category', categoryId: '$categoryId', amount: '$amount' }]
+        ]
+      }
+    }
+  },
+  { $unwind: { path: '$lines', includeArrayIndex: 'lineIndex' } },
+  {
+    $addFields: {
+      category: '$lines.category',
+      categoryId: '$lines.categoryId',
+      amount: '$lines.amount'
+    }
+  },
+  { $project: { lines: 0, splits: 0 } }
+];
+
+// $sum accumulator counting each transaction once however many lines it has
+const countTransactions = { $sum: { $cond: [{ $eq: ['$lineIndex', 0] }, 1, 0] } };
+
+module.exports = {
+  isSplit,
+  splitTotal,
+  splitsMatchAmount,
+  primaryLine,
+  amountsByCategory,
+  splitLineStages,
+  countTransactions
+};
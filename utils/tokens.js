@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const AuthToken = require('../models/AuthToken');
+
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+const USED_TOKEN_HISTORY = 100;
+
+// How long a single-use token stays valid, by purpose
+const AUTH_TOKEN_LIFETIMES = {
+  'email-verification': (Number(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 24) * 60 * 60 * 1000,
+  'password-reset': (Number(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60) * 60 * 1000,
+  'two-factor-login': (Number(process.env.TWO_FACTOR_CHALLENGE_EXPIRES_MINUTES) || 5) * 60 * 1000
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+// Short-lived JWT bound to a session so it dies with the session
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m'
+  });
+};
+
+const issueTokens = (userId, session, refreshToken) => ({
+  token: generateAccessToken(userId, session._id),
+  refreshToken,
+  refreshTokenExpiresAt: session.expiresAt
+});
+
+// Start a new session and return its first token pair
+const createSession = async (userId, req, { twoFactorVerified = false } = {}) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+  const session = await Session.create({
+    userId,
+    tokenHash: hashToken(refreshToken),
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+    twoFactorVerified,
+    expiresAt: refreshExpiry()
+  });
+
+  return issueTokens(userId, session, refreshToken);
+};
+
+// Exchange a refresh token for a new pair. Presenting a token that was already
+// rotated means it leaked, so the whole session is revoked.
+const rotateRefreshToken = async (refreshToken, req) => {
+  const hash = hashToken(refreshToken);
+  const nextToken = crypto.randomBytes(48).toString('base64url');
+
+  const session = await Session.findOneAndUpdate(
+    { tokenHash: hash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      $set: {
+        tokenHash: hashToken(nextToken),
+        lastUsedAt: new Date(),
+        ip: req.ip,
+        expiresAt: refreshExpiry()
+      },
+      $push: { usedTokenHashes: { $each: [hash], $slice: -USED_TOKEN_HISTORY } }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { tokens: issueTokens(session.userId, session, nextToken) };
+  }
+
+  const reused = await Session.findOneAndUpdate(
+    { usedTokenHashes: hash, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'reuse-detected' } }
+  );
+
+  return { reused: Boolean(reused) };
+};
+
+const revokeSession = (filter, reason) => Session.updateMany(
+  { ...filter, revokedAt: null },
+  { $set: { revokedAt: new Date(), revokedReason: reason } }
+);
+
+// Issue a token for `purpose` to the user's current address. Tokens issued
+// earlier for the same purpose stop working.
+const issueAuthToken = async (user, purpose) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + AUTH_TOKEN_LIFETIMES[purpose]);
+
+  await revokeAuthTokens(user._id, purpose);
+  await AuthToken.create({
+    userId: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    email: user.email,
+    expiresAt
+  });
+
+  return { token, expiresAt };
+};
+
+// Spend a token and return its record, or null when it is unknown, already
+// used or expired. The update is atomic, so a token works only once.
+const consumeAuthToken = (token, purpose) => AuthToken.findOneAndUpdate(
+  { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+  { $set: { usedAt: new Date() } },
+  { new: true }
+);
+
+// Count a try against a token and return it, or null when it is unknown,
+// used, expired or out of tries. Spend it with consumeAuthToken on success.
+const attemptAuthToken = (token, purpose, maxAttempts) => AuthToken.findOneAndUpdate(
+  {
+    tokenHash: hashToken(token),
+    purpose,
+    usedAt: null,
+    expiresAt: { $gt: new Date() },
+    attempts: { $lt: maxAttempts }
+  },
+  { $inc: { attempts: 1 } },
+  { new: true }
+);
+
+const revokeAuthTokens = (userId, purpose) => AuthToken.deleteMany({ userId, purpose, usedAt: null });
+
+module.exports = {
+  hashToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  issueAuthToken,
+  consumeAuthToken,
+  attemptAuthToken,
+  revokeAuthTokens
+};
@@ -0,0 +1,330 @@
+const Transaction = require('../models/Transaction');
+const Fund = require('../models/Fund');
+const Grant = require('../models/Grant');
+const { recordChange } = require('./audit');
+const { validationError } = require('./errors');
+const { TOLERANCE } = require('./money');
+const { findRate } = require('./currency');
+const { ensureDefaultFund, getFundBalance } = require('./funds');
+const { resolveCategory } = require('./categories');
+const { applyRulesToNew } = require('./categorization');
+const { assertPeriodsOpen } = require('./periods');
+const { assertNotReconciled } = require('./reconciliation');
+const { isSplit, splitTotal, splitsMatchAmount, primaryLine } = require('./splits');
+
+// Shared write path for transactions, used by the single-record endpoints and
+// the bulk endpoint. `ctx` is { organizationId, userId, baseCurrency, actor }; `session`
+// makes every write, history included, part of a MongoDB transaction.
+// Bodies are expected to have passed the transaction validation rules.
+
+const buildSplitLines = (splits) => splits.map(({ category, amount, tags, notes }) => {
+  const line = { category: category.trim(), amount: parseFloat(amount) };
+  if (tags) line.tags = tags;
+  if (notes) line.notes = notes.trim();
+  return line;
+});
+
+const buildCreateData = ({ date, description, amount, currency, category, type, paymentMethod, tags, donorId, fundId, grantId, accountId, splits, isRecurring, recurringDetails }, baseCurrency) => {
+  const data = {
+    date: new Date(date),
+    description: description.trim(),
+    amount: parseFloat(amount),
+    currency: currency || baseCurrency,
+    category: category.trim(),
+    type
+  };
+
+  if (paymentMethod) data.paymentMethod = paymentMethod;
+  if (tags) data.tags = tags;
+  if (donorId) data.donorId = donorId;
+  if (fundId) data.fundId = fundId;
+  if (grantId) data.grantId = grantId;
+  if (accountId) data.accountId = accountId;
+  if (splits && splits.length) data.splits = buildSplitLines(splits);
+
+  if (isRecurring) {
+    data.isRecurring = true;
+    data.recurringDetails = {
+      frequency: recurringDetails.frequency,
+      endDate: recurringDetails.endDate ? new Date(recurringDetails.endDate) : undefined
+    };
+  }
+
+  return data;
+};
+
+const buildUpdateData = ({ date, description, amount, currency, category, type, paymentMethod, tags, donorId, fundId, grantId, accountId, splits }) => {
+  const updateData = {};
+
+  if (date) updateData.date = new Date(date);
+  if (description) updateData.description = description.trim();
+  if (amount) updateData.amount = parseFloat(amount);
+  if (currency) updateData.currency = currency;
+  if (category) updateData.category = category.trim();
+  if (type) updateData.type = type;
+  if (paymentMethod) updateData.paymentMethod = paymentMethod;
+  if (tags) updateData.tags = tags;
+  if (fundId) updateData.fundId = fundId;
+  // null unlinks the donor, grant or account
+  if (donorId !== undefined) updateData.donorId = donorId || null;
+  if (grantId !== undefined) updateData.grantId = grantId || null;
+  if (accountId !== undefined) updateData.accountId = accountId || null;
+  // An empty list or null turns a split transaction back into a single line
+  if (splits !== undefined) updateData.splits = splits && splits.length ? buildSplitLines(splits) : null;
+
+  return updateData;
+};
+
+// Donations are income: an update may not leave a donor on an expense
+const checkDonor = (before, updateData) => {
+  const type = updateData.type || before.type;
+  const donorId = 'donorId' in updateData ? updateData.donorId : before.donorId;
+  if (donorId && type !== 'Income') {
+    throw validationError('donorId', 'Only Income transactions can have a donor');
+  }
+};
+
+// Expenses from a restricted fund may not exceed what the fund holds.
+// `excludeId` leaves out the transaction being updated.
+const checkFundBalance = async (ctx, { fundId, type, amount, currency, date }, { excludeId, session } = {}) => {
+  if (type !== 'Expense') return;
+
+  const fund = await Fund.findOne({ _id: fundId, organizationId: ctx.organizationId }).session(session || null);
+  if (!fund) throw validationError('fundId', 'Fund not found');
+  if (!fund.isRestricted()) return;
+
+  const code = currency || ctx.baseCurrency;
+  const rate = await findRate(ctx.organizationId, code, ctx.baseCurrency, date);
+  if (rate === null) {
+    throw validationError('currency', `Spending ${code} from a restricted fund needs an exchange rate on or before ${date.toISOString().slice(0, 10)}`);
+  }
+
+  const { balance } = await getFundBalance(ctx.organizationId, fund, ctx.baseCurrency, { excludeTransactionId: excludeId, session });
+  if (amount * rate > balance + TOLERANCE) {
+    throw validationError('amount', `Expense exceeds the available balance of restricted fund "${fund.name}" (${balance.toFixed(2)} ${ctx.baseCurrency})`);
+  }
+};
+
+// What an income adds to its fund in the base currency; null without a rate
+const incomeValue = async (ctx, { amount, currency, date }) => {
+  const rate = await findRate(ctx.organizationId, currency || ctx.baseCurrency, ctx.baseCurrency, date);
+  return rate === null ? null : amount * rate;
+};
+
+// Income leaving a restricted fund (trashed, moved, retyped or reduced) may
+// not leave the fund holding less than was already spent from it. `after` is
+// the transaction once changed, or null when it is trashed.
+const checkIncomeRemoval = async (ctx, before, after, { session } = {}) => {
+  if (before.type !== 'Income' || !before.fundId) return;
+
+  const fund = await Fund.findOne({ _id: before.fundId, organizationId: ctx.organizationId }).session(session || null);
+  if (!fund || !fund.isRestricted()) return;
+
+  const stays = after && after.type === 'Income' && String(after.fundId) === String(before.fundId);
+  const remaining = stays ? await incomeValue(ctx, after) || 0 : 0;
+  const previous = await incomeValue(ctx, before);
+  if (previous !== null && remaining >= previous - TOLERANCE) return;
+
+  const { balance } = await getFundBalance(ctx.organizationId, fund, ctx.baseCurrency, { excludeTransactionId: before._id, session });
+  if (balance + remaining < -TOLERANCE) {
+    throw validationError('fundId', `Restricted fund "${fund.name}" would hold ${(balance + remaining).toFixed(2)} ${ctx.baseCurrency}, less than is already spent from it`);
+  }
+};
+
+// A change to a transaction's fund, type, amount, currency or date may neither
+// overspend a restricted fund nor take away income it has already spent
+const checkFundChange = async (ctx, before, after, { session } = {}) => {
+  if (!after.fundId) after.fundId = (await ensureDefaultFund(ctx.organizationId, session))._id;
+  await checkFundBalance(ctx, after, { excludeId: before._id, session });
+  await checkIncomeRemoval(ctx, before, after, { session });
+};
+
+// Split lines need at least two lines adding up to the amount. Each line gets
+// its managed category, of the transaction's type; returns the resolved lines.
+const resolveSplits = async (ctx, splits, { amount, type }, { session } = {}) => {
+  if (splits.length < 2) throw validationError('splits', 'A split transaction needs at least two lines');
+  if (!splitsMatchAmount(splits, amount)) {
+    throw validationError('splits', `Split lines add up to ${splitTotal(splits).toFixed(2)}, not the amount of ${amount.toFixed(2)}`);
+  }
+
+  const lines = [];
+  for (const line of splits) {
+    const category = await resolveCategory(ctx.organizationId, line.category, type, { session, createdBy: ctx.userId });
+    lines.push({ ...line, category: category.name, categoryId: category._id });
+  }
+  return lines;
+};
+
+// Grant money can only be recorded within the grant period of an active grant
+const checkGrant = async (ctx, { grantId, date }, { session } = {}) => {
+  if (!grantId) return;
+
+  const grant = await Grant.findOne({ _id: grantId, organizationId: ctx.organizationId }).session(session || null);
+  if (!grant) throw validationError('grantId', 'Grant not found');
+  if (grant.status === 'closed') throw validationError('grantId', `Grant "${grant.name}" is closed`);
+  if (date < grant.startDate || date > grant.endDate) {
+    throw validationError('date', `Transaction date is outside the period of grant "${grant.name}"`);
+  }
+};
+
+// Category, type, payment method and tags left out of `body` come from the
+// organization's categorization rules. A split transaction is filed under the
+// category of its largest line. `fields` are set by the server rather than
+// the request, e.g. the template link of a recurring occurrence.
+const createTransactionRecord = async (ctx, body, { session, fields } = {}) => {
+  const input = isSplit(body) ? { ...body, category: primaryLine(buildSplitLines(body.splits)).category } : body;
+  const data = await applyRulesToNew(ctx.organizationId, input, { session });
+  if (!data.category) throw validationError('category', 'Category is required when no categorization rule sets it');
+  if (!data.type) throw validationError('type', 'Type is required when no categorization rule sets it');
+  checkDonor({}, data);
+
+  const transaction = new Transaction({
+    organizationId: ctx.organizationId,
+    userId: ctx.userId,
+    ...buildCreateData(data, ctx.baseCurrency),
+    ...fields
+  });
+  await assertPeriodsOpen(ctx.organizationId, [transaction.date], { session });
+
+  const category = await resolveCategory(ctx.organizationId, transaction.category, transaction.type, { session, createdBy: ctx.userId });
+  transaction.category = category.name;
+  transaction.categoryId = category._id;
+  if (isSplit(transaction)) {
+    transaction.splits = await resolveSplits(ctx, transaction.splits.map(line => line.toObject()), transaction, { session });
+  }
+
+  if (!transaction.fundId) transaction.fundId = (await ensureDefaultFund(ctx.organizationId, session))._id;
+  await checkFundBalance(ctx, transaction, { session });
+  await checkGrant(ctx, transaction, { session });
+
+  await transaction.save({ session });
+  await recordChange('create', { after: transaction, actor: ctx.actor, session });
+
+  return transaction;
+};
+
+// Returns null when the transaction does not exist in the organization.
+// `fields` are set by the server as they are, e.g. the notes of a reverted
+// version; with `revertedToVersion` the change is recorded as a revert.
+const updateTransactionRecord = async (ctx, id, body, { session, fields, revertedToVersion } = {}) => {
+  const before = await Transaction.findOne({ _id: id, organizationId: ctx.organizationId })
+    .session(session || null);
+  if (!before) return null;
+
+  assertNotReconciled(before);
+  const updateData = buildUpdateData(body);
+  await assertPeriodsOpen(ctx.organizationId, [before.date, updateData.date], { session });
+  checkDonor(before, updateData);
+
+  // Moving a cleared transaction to another account takes it out of its reconciliation
+  if ('accountId' in updateData && before.clearedStatus === 'cleared'
+    && String(updateData.accountId) !== String(before.accountId)) {
+    updateData.clearedStatus = 'uncleared';
+    updateData.reconciliationId = null;
+  }
+
+  // A split transaction's category follows its lines; an amount change needs
+  // lines that still add up
+  const splits = 'splits' in updateData ? updateData.splits : before.splits && before.splits.map(line => line.toObject());
+  if (splits && splits.length) {
+    if (updateData.category && !updateData.splits) {
+      throw validationError('category', 'Set the categories on the lines of a split transaction');
+    }
+    if (updateData.splits || updateData.amount || updateData.type) {
+      updateData.splits = await resolveSplits(ctx, splits, {
+        amount: updateData.amount || before.amount,
+        type: updateData.type || before.type
+      }, { session });
+      updateData.category = primaryLine(updateData.splits).category;
+    }
+  } else if (updateData.splits === null) {
+    delete updateData.splits;
+    if (isSplit(before)) updateData.$unset = { splits: 1 };
+  }
+
+  if (updateData.category) {
+    const category = await resolveCategory(ctx.organizationId, updateData.category, updateData.type || before.type, { session, createdBy: ctx.userId });
+    updateData.category = category.name;
+    updateData.categoryId = category._id;
+  }
+
+  const fundFields = ['fundId', 'type', 'amount', 'currency', 'date'];
+  if (fundFields.some(field => field in updateData)) {
+    await checkFundChange(ctx, before, { ...before.toObject(), ...updateData }, { session });
+  }
+
+  if (updateData.grantId || updateData.date) {
+    const grantId = 'grantId' in updateData ? updateData.grantId : before.grantId;
+    await checkGrant(ctx, { grantId, date: updateData.date || before.date }, { session });
+  }
+
+  const transaction = await Transaction.findOneAndUpdate(
+    { _id: before._id, organizationId: ctx.organizationId },
+    { ...updateData, ...fields },
+    { new: true, runValidators: true, session }
+  );
+  await recordChange(revertedToVersion ? 'revert' : 'update', {
+    before,
+    after: transaction,
+    actor: ctx.actor,
+    revertedToVersion,
+    session
+  });
+
+  return transaction;
+};
+
+// Move a transaction to the trash. Returns null when it does not exist.
+const trashTransactionRecord = async (ctx, id, { session } = {}) => {
+  const existing = await Transaction.findOne({ _id: id, organizationId: ctx.organizationId })
+    .select('date clearedStatus type amount currency fundId')
+    .session(session || null);
+  if (!existing) return null;
+  assertNotReconciled(existing);
+  await assertPeriodsOpen(ctx.organizationId, [existing.date], { session });
+  await checkIncomeRemoval(ctx, existing, null, { session });
+
+  const transaction = await Transaction.findOneAndUpdate(
+    { _id: existing._id, organizationId: ctx.organizationId },
+    { deletedAt: new Date(), deletedBy: ctx.userId },
+    { new: true, session }
+  );
+  if (!transaction) return null;
+
+  await recordChange('delete', { before: transaction, actor: ctx.actor, session });
+
+  return transaction;
+};
+
+// Bring a transaction back from the trash. It counts towards its fund and
+// grant again, so it is checked like a new one. Returns null when it is not
+// in the trash.
+const restoreTransactionRecord = async (ctx, id, { session } = {}) => {
+  const trashed = await Transaction.findOne({ _id: id, organizationId: ctx.organizationId, deletedAt: { $ne: null } })
+    .select('date type amount currency fundId grantId')
+    .session(session || null);
+  if (!trashed) return null;
+  await assertPeriodsOpen(ctx.organizationId, [trashed.date], { session });
+
+  if (!trashed.fundId) trashed.fundId = (await ensureDefaultFund(ctx.organizationId, session))._id;
+  await checkFundBalance(ctx, trashed, { session });
+  await checkGrant(ctx, trashed, { session });
+
+  const transaction = await Transaction.findOneAndUpdate(
+    { _id: trashed._id, organizationId: ctx.organizationId, deletedAt: { $ne: null } },
+    { deletedAt: null, $unset: { deletedBy: 1 } },
+    { new: true, session }
+  );
+  if (!transaction) return null;
+
+  await recordChange('restore', { after: transaction, actor: ctx.actor, session });
+
+  return transaction;
+};
+
+module.exports = {
+  createTransactionRecord,
+  updateTransactionRecord,
+  trashTransactionRecord,
+  restoreTransactionRecord
+};
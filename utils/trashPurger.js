@@ -0,0 +1,54 @@
+const Transaction = require('../models/Transaction');
+const { removeAttachments } = require('./attachments');
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+let timer = null;
+
+const getRetentionDays = () => Number(process.env.TRASH_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS;
+
+// Permanently delete transactions that have been in the trash longer than
+// the retention period, with their attachments. Their change history is kept.
+const purgeTrash = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - getRetentionDays() * 24 * 60 * 60 * 1000);
+  const filter = { deletedAt: { $ne: null, $lte: cutoff } };
+
+  const ids = await Transaction.distinct('_id', filter);
+  await removeAttachments({ transactionId: { $in: ids } });
+
+  const result = await Transaction.deleteMany({ _id: { $in: ids }, ...filter });
+  return result.deletedCount;
+};
+
+const runOnce = async () => {
+  try {
+    const purged = await purgeTrash();
+    if (purged > 0) {
+      console.log(`🗑️ Purged ${purged} trashed transaction(s)`);
+    }
+  } catch (error) {
+    console.error('Trash purge error:', error);
+  }
+};
+
+// Purge once at startup, then on an interval
+const startTrashPurger = (intervalMs = Number(process.env.TRASH_PURGE_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+  if (timer) return;
+
+  runOnce();
+  timer = setInterval(runOnce, intervalMs);
+  timer.unref();
+};
+
+const stopTrashPurger = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  getRetentionDays,
+  purgeTrash,
+  startTrashPurger,
+  stopTrashPurger
+};
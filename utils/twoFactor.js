@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const { hashToken } = require('./tokens');
+
+// TOTP as in RFC 6238 with the parameters authenticator apps assume:
+// HMAC-SHA1, 6 digits, 30 second steps
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Codes one step early or late are accepted to allow for clock drift
+const DRIFT_STEPS = 1;
+const SECRET_BYTES = 20;
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let output = '';
+  let value = 0;
+  let bits = 0;
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      bits -= 5;
+      output += BASE32_ALPHABET[(value >>> bits) & 31];
+    }
+    value &= (1 << bits) - 1;
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+
+  return output;
+};
+
+const base32Decode = (text) => {
+  const bytes = [];
+  let value = 0;
+  let bits = 0;
+
+  for (const char of text.toUpperCase().replace(/[\s=]/g, '')) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((value >>> bits) & 255);
+    }
+    value &= (1 << bits) - 1;
+  }
+
+  return Buffer.from(bytes);
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+const timeStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+// The code for a time step (RFC 4226 dynamic truncation)
+const codeForStep = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return (binary % 10 ** DIGITS).toString().padStart(DIGITS, '0');
+};
+
+const generateCode = (secret, time = Date.now()) => codeForStep(secret, timeStep(time));
+
+// The time step `code` belongs to, or null when it matches none near `time`
+const matchStep = (secret, code, time = Date.now()) => {
+  const current = timeStep(time);
+  const given = Buffer.from(String(code));
+
+  for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+    const expected = Buffer.from(codeForStep(secret, step));
+    if (given.length === expected.length && crypto.timingSafeEqual(given, expected)) return step;
+  }
+  return null;
+};
+
+const getIssuer = () => process.env.TWO_FACTOR_ISSUER || 'Finance Tracker';
+
+// What authenticator apps import, as a URI and as a QR code image
+const buildEnrollment = async (secret, accountName) => {
+  const issuer = getIssuer();
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  const otpauthUri = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}`
+    + `&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+
+  return {
+    secret,
+    otpauthUri,
+    qrCode: await QRCode.toDataURL(otpauthUri)
+  };
+};
+
+// Recovery codes are compared without case, spaces or dashes
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[\s-]/g, '');
+
+// Fresh recovery codes to show the user once, and the records to store
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  return {
+    codes,
+    records: codes.map(code => ({ hash: hashToken(normalizeRecoveryCode(code)) }))
+  };
+};
+
+// Check a second factor for a user loaded with +twoFactor.secret: either a
+// TOTP `code` or one of the `recoveryCode`s. Returns the method used, or null.
+// Both are spent atomically, so each works only once even under concurrent
+// requests.
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (!user.twoFactor.enabled) return null;
+
+  if (code) {
+    const step = matchStep(user.twoFactor.secret, code);
+    if (step === null) return null;
+
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount ? 'totp' : null;
+  }
+
+  if (recoveryCode) {
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        'twoFactor.recoveryCodes': {
+          $elemMatch: { hash: hashToken(normalizeRecoveryCode(recoveryCode)), usedAt: null }
+        }
+      },
+      { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+    );
+    return result.modifiedCount ? 'recovery-code' : null;
+  }
+
+  return null;
+};
+
+// Organizations that require two-factor authentication for the user's role
+const organizationsRequiringTwoFactor = async (userId) => {
+  const organizations = await Organization.find({
+    'members.userId': userId,
+    'twoFactorRequiredRoles.0': { $exists: true }
+  });
+
+  return organizations.filter(org => org.requiresTwoFactor(org.getMember(userId).role));
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  matchStep,
+  buildEnrollment,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  organizationsRequiringTwoFactor
+};
@@ -0,0 +1,311 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+const DEFAULT_INTERVAL_MS = 5 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+const FIRST_RETRY_MS = 30 * 1000;
+const MAX_RETRY_MS = 6 * 60 * 60 * 1000;
+const BATCH_SIZE = 50;
+const ATTEMPT_LOG_LIMIT = 20;
+const RESPONSE_SNIPPET = 200;
+
+// Transaction history actions and the event each one sends
+const ACTION_EVENTS = {
+  create: 'transaction.created',
+  update: 'transaction.updated',
+  revert: 'transaction.updated',
+  delete: 'transaction.deleted',
+  restore: 'transaction.restored'
+};
+
+// Addresses a webhook may not reach unless WEBHOOK_ALLOW_PRIVATE_HOSTS=true:
+// this host, private networks, link-local (cloud metadata) and reserved ranges.
+// IPv4-mapped IPv6 addresses match the IPv4 ranges.
+const PRIVATE_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 3, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+const privateAddresses = new net.BlockList();
+for (const [address, prefix, family] of PRIVATE_RANGES) {
+  privateAddresses.addSubnet(address, prefix, family);
+}
+
+let timer = null;
+let running = false;
+
+const getMaxAttempts = () => Number(process.env.WEBHOOK_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+const getTimeoutMs = () => Number(process.env.WEBHOOK_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+const allowPrivateHosts = () => process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true';
+
+const isPrivateAddress = (address) => privateAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// dns.lookup for the delivery's connection that fails when the host resolves
+// to a private address. The connection goes to the address checked here, so a
+// host cannot pass the check and then resolve elsewhere.
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) return callback(new Error(`${hostname} resolves to a private address (${blocked.address})`));
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Addresses written into the URL are connected to without a lookup, so they
+// are checked before sending
+const checkAddress = (url) => {
+  const hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+  return net.isIP(hostname) && isPrivateAddress(hostname) ? `${hostname} is a private address` : null;
+};
+
+// POST `body` to `url` without following redirects. Resolves with the status
+// and the start of the response body once it is read or long enough.
+const postRequest = (url, { headers, body, timeoutMs }) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+
+  const request = client.request(target, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    lookup: allowPrivateHosts() ? undefined : publicLookup
+  }, (response) => {
+    const chunks = [];
+    let length = 0;
+    const finish = () => {
+      clearTimeout(timer);
+      resolve({
+        status: response.statusCode,
+        statusText: response.statusMessage,
+        text: Buffer.concat(chunks).toString('utf8').slice(0, RESPONSE_SNIPPET)
+      });
+    };
+
+    response.on('data', (chunk) => {
+      chunks.push(chunk);
+      length += chunk.length;
+      if (length >= RESPONSE_SNIPPET) {
+        finish();
+        response.destroy();
+      }
+    });
+    response.on('end', finish);
+    response.on('error', reject);
+  });
+
+  const timer = setTimeout(() => {
+    const error = new Error(`No response within ${timeoutMs}ms`);
+    error.name = 'TimeoutError';
+    request.destroy(error);
+  }, timeoutMs);
+
+  request.on('error', (error) => {
+    clearTimeout(timer);
+    reject(error);
+  });
+  request.end(body);
+});
+
+const generateSecret = () => `whsec_${crypto.randomBytes(32).toString('base64url')}`;
+
+// HMAC-SHA256 of "<timestamp>.<body>", hex encoded. Receivers recompute it
+// from the raw body and the X-Webhook-Timestamp header.
+const signPayload = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+// Wait before the next attempt: 30s after the first failure, doubling up to 6h
+const retryDelay = (attempts) => Math.min(MAX_RETRY_MS, FIRST_RETRY_MS * 2 ** (attempts - 1));
+
+// A pending delivery of an event to one webhook. The payload is what the
+// receiver gets as the request body.
+const buildDelivery = (organizationId, webhookId, event, data, eventId = crypto.randomUUID()) => ({
+  organizationId,
+  webhookId,
+  eventId,
+  event,
+  payload: { id: eventId, event, createdAt: new Date(), organizationId, data }
+});
+
+// Queue `event` for every active webhook of the organization subscribed to
+// it. Pass `session` to queue it inside the write that caused it.
+const enqueueEvent = async (organizationId, event, data, { session } = {}) => {
+  const webhooks = await Webhook.find({ organizationId, active: true, events: event })
+    .select('_id')
+    .session(session || null);
+  if (!webhooks.length) return [];
+
+  const eventId = crypto.randomUUID();
+  return WebhookDelivery.insertMany(
+    webhooks.map(webhook => buildDelivery(organizationId, webhook._id, event, data, eventId)),
+    { session }
+  );
+};
+
+// Queue the event for a change recorded in a transaction's history
+const enqueueTransactionEvent = (entry, { session } = {}) => {
+  const event = ACTION_EVENTS[entry.action];
+  if (!event) return [];
+
+  return enqueueEvent(entry.organizationId, event, {
+    transactionId: entry.transactionId,
+    version: entry.version,
+    source: entry.source,
+    userId: entry.userId,
+    changes: entry.changes,
+    transaction: { _id: entry.transactionId, ...entry.snapshot }
+  }, { session });
+};
+
+// Send a delivery once and record the outcome: succeeded on any 2xx
+// response, otherwise retried later or, out of attempts, failed
+const attemptDelivery = async (delivery, now = new Date()) => {
+  const webhook = await Webhook.findById(delivery.webhookId).select('+secret');
+
+  let statusCode;
+  let error;
+  const started = Date.now();
+
+  if (!webhook || !webhook.active) {
+    error = webhook ? 'Webhook is disabled' : 'Webhook was deleted';
+  } else if (!allowPrivateHosts()) {
+    error = checkAddress(webhook.url);
+  }
+
+  if (!error) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(now.getTime() / 1000).toString();
+
+    try {
+      const response = await postRequest(webhook.url, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Webhooks/1.0',
+          'X-Webhook-Id': webhook._id.toString(),
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': delivery._id.toString(),
+          'X-Webhook-Event-Id': delivery.eventId,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`
+        },
+        body,
+        timeoutMs: getTimeoutMs()
+      });
+      statusCode = response.status;
+      if (statusCode < 200 || statusCode >= 300) error = response.text || response.statusText;
+    } catch (err) {
+      error = err.message;
+    }
+  }
+
+  const attempts = delivery.attempts + 1;
+  const update = {
+    attempts,
+    lockedUntil: null,
+    $push: {
+      attemptLog: {
+        $each: [{ at: now, statusCode, error, durationMs: Date.now() - started }],
+        $slice: -ATTEMPT_LOG_LIMIT
+      }
+    }
+  };
+
+  // A webhook that is gone or switched off is not retried
+  const retry = error && webhook && webhook.active && attempts < getMaxAttempts();
+  if (!error) Object.assign(update, { status: 'succeeded', completedAt: now });
+  else if (retry) update.nextAttemptAt = new Date(now.getTime() + retryDelay(attempts));
+  else Object.assign(update, { status: 'failed', completedAt: now });
+
+  return WebhookDelivery.findByIdAndUpdate(delivery._id, update, { new: true });
+};
+
+// Claim due deliveries one at a time, so several servers can share the
+// queue, and send them. A claim left by a crashed server expires.
+const processDueDeliveries = async (now = new Date()) => {
+  const lockFor = getTimeoutMs() * 2;
+  let sent = 0;
+
+  for (; sent < BATCH_SIZE; sent++) {
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      {
+        status: 'pending',
+        nextAttemptAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+      },
+      { lockedUntil: new Date(Date.now() + lockFor) },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+    if (!delivery) break;
+
+    try {
+      await attemptDelivery(delivery);
+    } catch (error) {
+      console.error(`Webhook delivery ${delivery._id} error:`, error);
+    }
+  }
+
+  return sent;
+};
+
+const runOnce = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    await processDueDeliveries();
+  } catch (error) {
+    console.error('Webhook dispatcher error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+// Send due deliveries immediately, then poll on an interval
+const startWebhookDispatcher = (intervalMs = Number(process.env.WEBHOOK_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+  if (timer) return;
+
+  runOnce();
+  timer = setInterval(runOnce, intervalMs);
+  timer.unref();
+};
+
+const stopWebhookDispatcher = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  generateSecret,
+  signPayload,
+  retryDelay,
+  buildDelivery,
+  enqueueEvent,
+  enqueueTransactionEvent,
+  attemptDelivery,
+  processDueDeliveries,
+  startWebhookDispatcher,
+  stopWebhookDispatcher
+};